@@ -0,0 +1,405 @@
+// ===================================
+// Door Access Schedules
+// Decides whether a recognised finger may open the door
+// ===================================
+//
+// A schedule names the people it covers (user ids and/or groups), the doors
+// it applies to (none = every door), weekly time windows and date-range
+// exceptions:
+//
+//   { name: "Office hours", groups: ["staff"], doors: ["front"],
+//     windows: [{ days: ["mon", "tue", "wed", "thu", "fri"], start: "07:00", end: "19:00" }],
+//     exceptions: [{ from: "2026-12-24", to: "2026-12-26", access: "deny", note: "Closed" }] }
+//
+// Times are wall-clock times in the checking device's time zone. A window
+// that ends at or before its start runs past midnight ("22:00"-"06:00" on
+// "fri" also covers Saturday until 06:00). An exception covering the local
+// date (optionally only between its own start and end) overrides the weekly
+// windows of its schedule; if several do, "deny" wins.
+//
+// Access is allowed when any schedule that applies to the person and door
+// allows it. People without any applicable schedule get ACCESS_DEFAULT_POLICY
+// ("allow" unless configured otherwise).
+//
+// Devices call checkAccess (POST /api/access/check) after the R503 matched
+// and before unlocking. It applies the same refusals as scan ingestion
+// (unknown slot, disabled user, low score) before the schedules, and every
+// decision is stored on the security feed with source "access-check".
+
+const crypto = require('crypto');
+const config = require('./config');
+const { createCollection } = require('./storage');
+const calendar = require('./calendar');
+const devices = require('./devices');
+const users = require('./users');
+const security = require('./security');
+const { MIN_MATCH_SCORE, checkEventId } = require('./ingest');
+
+const schedules = createCollection('access-schedules', { encrypted: ['users'] });
+
+const DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LABEL_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+
+const POLICIES = ['allow', 'deny'];
+
+// Decision for people no enabled schedule applies to
+const DEFAULT_POLICY = config.access.defaultPolicy;
+
+// Reasons an allowed check answers with (denials use lib/entries.js DENIAL_REASONS)
+const GRANT_REASONS = ['SCHEDULE', 'EXCEPTION', 'DEFAULT_POLICY'];
+
+function accessError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function validateName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw accessError('INVALID_SCHEDULE', 'name is required');
+    }
+    return name.trim();
+}
+
+function validateLabels(values, field) {
+    if (!Array.isArray(values) || !values.every(value => typeof value === 'string' && LABEL_PATTERN.test(value))) {
+        throw accessError('INVALID_SCHEDULE', `${field} must be an array of ids`);
+    }
+    return Array.from(new Set(values)).sort();
+}
+
+function validateDoors(doors) {
+    if (!Array.isArray(doors) || !doors.every(door => typeof door === 'string' && door.trim())) {
+        throw accessError('INVALID_SCHEDULE', 'doors must be an array of door names');
+    }
+    return Array.from(new Set(doors.map(door => door.trim()))).sort();
+}
+
+function validateTime(value, field) {
+    if (typeof value !== 'string' || !TIME_PATTERN.test(value)) {
+        throw accessError('INVALID_SCHEDULE', `${field} must be a time "HH:MM" (00:00-24:00)`);
+    }
+    return value;
+}
+
+function validateWindows(windows) {
+    if (!Array.isArray(windows)) {
+        throw accessError('INVALID_SCHEDULE', 'windows must be an array');
+    }
+    return windows.map((window, index) => {
+        const days = window && window.days;
+        if (!Array.isArray(days) || !days.length || !days.every(day => DAYS.includes(day))) {
+            throw accessError('INVALID_SCHEDULE', `windows[${index}].days must list days of ${DAYS.join(', ')}`);
+        }
+        const start = validateTime(window.start, `windows[${index}].start`);
+        const end = validateTime(window.end, `windows[${index}].end`);
+        if (start === end) {
+            throw accessError('INVALID_SCHEDULE', `windows[${index}] starts and ends at the same time`);
+        }
+        return { days: DAYS.filter(day => days.includes(day)), start: start, end: end };
+    });
+}
+
+function validateDate(value, field) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value) || Number.isNaN(calendar.parseDate(value))) {
+        throw accessError('INVALID_SCHEDULE', `${field} must be a date "YYYY-MM-DD"`);
+    }
+    return value;
+}
+
+function validateExceptions(exceptions) {
+    if (!Array.isArray(exceptions)) {
+        throw accessError('INVALID_SCHEDULE', 'exceptions must be an array');
+    }
+    return exceptions.map((exception, index) => {
+        const field = `exceptions[${index}]`;
+        if (!exception || typeof exception !== 'object') {
+            throw accessError('INVALID_SCHEDULE', `${field} must be an object`);
+        }
+        const from = validateDate(exception.from, `${field}.from`);
+        const to = exception.to === undefined ? from : validateDate(exception.to, `${field}.to`);
+        if (to < from) {
+            throw accessError('INVALID_SCHEDULE', `${field} ends before it starts`);
+        }
+        if (!POLICIES.includes(exception.access)) {
+            throw accessError('INVALID_SCHEDULE', `${field}.access must be "allow" or "deny"`);
+        }
+
+        const value = { from: from, to: to, access: exception.access };
+        if (exception.start !== undefined || exception.end !== undefined) {
+            value.start = validateTime(exception.start, `${field}.start`);
+            value.end = validateTime(exception.end, `${field}.end`);
+            if (toMinutes(value.end) <= toMinutes(value.start)) {
+                throw accessError('INVALID_SCHEDULE', `${field} must end after it starts`);
+            }
+        }
+        if (exception.note) value.note = String(exception.note).trim();
+        return value;
+    });
+}
+
+function validateEnabled(enabled) {
+    if (typeof enabled !== 'boolean') {
+        throw accessError('INVALID_SCHEDULE', 'enabled must be true or false');
+    }
+    return enabled;
+}
+
+/**
+ * A schedule must cover someone and open at least sometimes
+ */
+function checkComplete(schedule) {
+    if (!schedule.users.length && !schedule.groups.length) {
+        throw accessError('INVALID_SCHEDULE', 'A schedule needs at least one user or group');
+    }
+    if (!schedule.windows.length && !schedule.exceptions.length) {
+        throw accessError('INVALID_SCHEDULE', 'A schedule needs at least one window or exception');
+    }
+    return schedule;
+}
+
+function listSchedules(filters = {}) {
+    let list = schedules.all();
+    if (filters.userId) {
+        const user = users.getUser(filters.userId);
+        list = list.filter(schedule => user ? coversUser(schedule, user) : schedule.users.includes(filters.userId));
+    }
+    if (filters.group) {
+        list = list.filter(schedule => schedule.groups.includes(filters.group));
+    }
+    if (filters.door) {
+        list = list.filter(schedule => coversDoor(schedule, filters.door));
+    }
+    return list.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getSchedule(id) {
+    return schedules.get(id);
+}
+
+/**
+ * @param {object} data - { name, users?, groups?, doors?, windows?, exceptions?, enabled? }
+ * @param {string} createdBy - Account id of the admin
+ * @throws {Error} with a `code` property on invalid input
+ */
+function createSchedule(data, createdBy) {
+    const now = Date.now();
+    const schedule = checkComplete({
+        id: crypto.randomUUID(),
+        name: validateName(data.name),
+        users: validateLabels(data.users || [], 'users'),
+        groups: validateLabels(data.groups || [], 'groups'),
+        doors: validateDoors(data.doors || []),
+        windows: validateWindows(data.windows || []),
+        exceptions: validateExceptions(data.exceptions || []),
+        enabled: data.enabled === undefined ? true : validateEnabled(data.enabled),
+        createdBy: createdBy || null,
+        createdAt: now,
+        updatedAt: now
+    });
+    return schedules.put(schedule);
+}
+
+/**
+ * @returns {object|null} The updated schedule, or null if unknown
+ * @throws {Error} with a `code` property on invalid input
+ */
+function updateSchedule(id, changes) {
+    const schedule = schedules.get(id);
+    if (!schedule) return null;
+
+    const updated = { ...schedule };
+    if (changes.name !== undefined) updated.name = validateName(changes.name);
+    if (changes.users !== undefined) updated.users = validateLabels(changes.users, 'users');
+    if (changes.groups !== undefined) updated.groups = validateLabels(changes.groups, 'groups');
+    if (changes.doors !== undefined) updated.doors = validateDoors(changes.doors);
+    if (changes.windows !== undefined) updated.windows = validateWindows(changes.windows);
+    if (changes.exceptions !== undefined) updated.exceptions = validateExceptions(changes.exceptions);
+    if (changes.enabled !== undefined) updated.enabled = validateEnabled(changes.enabled);
+    updated.updatedAt = Date.now();
+
+    return schedules.put(checkComplete(updated));
+}
+
+function removeSchedule(id) {
+    return schedules.remove(id);
+}
+
+/**
+ * Takes a user out of every schedule (e.g. when the person is erased).
+ * Schedules left covering no one are removed.
+ * @returns {number} How many schedules changed
+ */
+function forgetUser(userId) {
+    const affected = schedules.all().filter(schedule => schedule.users.includes(userId));
+    affected.forEach(schedule => {
+        const remaining = schedule.users.filter(id => id !== userId);
+        if (!remaining.length && !schedule.groups.length) {
+            schedules.remove(schedule.id);
+        } else {
+            schedules.put({ ...schedule, users: remaining, updatedAt: Date.now() });
+        }
+    });
+    if (affected.length) schedules.compact();
+    return affected.length;
+}
+
+function coversUser(schedule, user) {
+    return schedule.users.includes(user.id) ||
+        users.groupsOf(user).some(group => schedule.groups.includes(group));
+}
+
+function coversDoor(schedule, door) {
+    return !schedule.doors.length || schedule.doors.includes(door);
+}
+
+function inWindow(window, local) {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    const today = DAYS[local.weekday];
+    if (start < end) {
+        return window.days.includes(today) && local.minutes >= start && local.minutes < end;
+    }
+    // Runs past midnight: the evening of a listed day or the early hours after it
+    const yesterday = DAYS[(local.weekday + 6) % 7];
+    return (window.days.includes(today) && local.minutes >= start) ||
+        (window.days.includes(yesterday) && local.minutes < end);
+}
+
+function exceptionApplies(exception, local) {
+    if (local.date < exception.from || local.date > exception.to) return false;
+    if (exception.start === undefined) return true;
+    return local.minutes >= toMinutes(exception.start) && local.minutes < toMinutes(exception.end);
+}
+
+/**
+ * What one schedule says at a local time
+ * @returns {{ allowed: boolean, reason: string }}
+ */
+function evaluateSchedule(schedule, local) {
+    const exceptions = schedule.exceptions.filter(exception => exceptionApplies(exception, local));
+    if (exceptions.length) {
+        const allowed = exceptions.every(exception => exception.access === 'allow');
+        return { allowed: allowed, reason: allowed ? 'EXCEPTION' : 'OUTSIDE_SCHEDULE' };
+    }
+    const allowed = schedule.windows.some(window => inWindow(window, local));
+    return { allowed: allowed, reason: allowed ? 'SCHEDULE' : 'OUTSIDE_SCHEDULE' };
+}
+
+/**
+ * Decides whether the schedules let a user through a device's door
+ * @param {object} user - Directory record
+ * @param {object} device - Registry record
+ * @param {number} [timestamp] - Defaults to now
+ * @returns {{ allowed: boolean, reason: string, scheduleId: string|null }}
+ */
+function evaluate(user, device, timestamp = Date.now()) {
+    const applicable = schedules.all().filter(schedule =>
+        schedule.enabled && coversUser(schedule, user) && coversDoor(schedule, device.door || null));
+
+    if (!applicable.length) {
+        return {
+            allowed: DEFAULT_POLICY === 'allow',
+            reason: DEFAULT_POLICY === 'allow' ? 'DEFAULT_POLICY' : 'OUTSIDE_SCHEDULE',
+            scheduleId: null
+        };
+    }
+
+    const local = calendar.localTime(timestamp, devices.getTimeZone(device.id));
+    const results = applicable.map(schedule => ({ ...evaluateSchedule(schedule, local), scheduleId: schedule.id }));
+    return results.find(result => result.allowed) || results[0];
+}
+
+function isValidScore(score) {
+    return typeof score === 'number' && Number.isFinite(score) && score >= 0;
+}
+
+/**
+ * Decides and records whether a device may open its door for a finger
+ * @param {object} data - { fingerprintId, score?, eventId? }
+ * @param {object} device - Registry record of the asking device
+ * @returns {{ error: string, code: string }
+ *   | { allowed: boolean, reason: string, scheduleId: string|null, event: object, duplicate: boolean }}
+ */
+function checkAccess(data, device) {
+    data = data || {};
+    const slot = data.fingerprintId;
+    if (!Number.isInteger(slot) || slot < 0 || slot >= users.FINGERPRINT_SLOT_COUNT) {
+        return {
+            error: `fingerprintId must be an integer 0-${users.FINGERPRINT_SLOT_COUNT - 1}`,
+            code: 'INVALID_FINGERPRINT_ID'
+        };
+    }
+    if (data.score !== undefined && !isValidScore(data.score)) {
+        return { error: 'score must be a non-negative number', code: 'INVALID_ENTRY' };
+    }
+    const checked = checkEventId(data, {});
+    if (checked.error) {
+        return checked;
+    }
+
+    // A retried check gets the decision it was given the first time
+    if (checked.eventId !== undefined) {
+        const existing = security.findByClientEventId(device.id, checked.eventId, 'access-check');
+        if (existing) {
+            return {
+                allowed: existing.type === 'access-granted',
+                reason: existing.reason,
+                scheduleId: existing.scheduleId || null,
+                event: existing,
+                duplicate: true
+            };
+        }
+    }
+
+    const timestamp = Date.now();
+    const user = users.findUserBySlot(slot);
+    let decision;
+    if (!user) {
+        decision = { allowed: false, reason: 'UNKNOWN_FINGERPRINT', scheduleId: null };
+    } else if (!users.isEnabled(user)) {
+        decision = { allowed: false, reason: 'USER_DISABLED', scheduleId: null };
+    } else if (data.score !== undefined && data.score < MIN_MATCH_SCORE) {
+        decision = { allowed: false, reason: 'LOW_CONFIDENCE', scheduleId: null };
+    } else {
+        decision = evaluate(user, device, timestamp);
+    }
+
+    const record = {
+        source: 'access-check',
+        reason: decision.reason,
+        scheduleId: decision.scheduleId,
+        score: data.score !== undefined ? data.score : null,
+        fingerprintId: slot,
+        userId: user ? user.id : null,
+        name: user ? user.displayName : null,
+        timestamp: timestamp,
+        deviceId: device.id,
+        door: device.door || null,
+        location: device.location || null,
+        clientEventId: checked.eventId || null
+    };
+    const event = decision.allowed ? security.recordGrant(record) : security.recordDenial(record);
+    return { ...decision, event: event, duplicate: false };
+}
+
+module.exports = {
+    DAYS,
+    DEFAULT_POLICY,
+    GRANT_REASONS,
+    listSchedules,
+    getSchedule,
+    createSchedule,
+    updateSchedule,
+    removeSchedule,
+    forgetUser,
+    evaluate,
+    checkAccess
+};
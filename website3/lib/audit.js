@@ -0,0 +1,210 @@
+// ===================================
+// Audit Log
+// Append-only trail of administrative actions
+// ===================================
+//
+// Every change made from the dashboard or the API by a logged-in account
+// (accounts, devices, users, enrollments, commands, imports, webhooks,
+// access schedules, purges, erasures, retention runs, the legacy Pi flag) is
+// recorded with who did it, when, from which IP, and the record before and
+// after the change.
+// Entries are only ever added, and purging the event history does not touch
+// them. The one exception is personal data: erasing a person redacts what
+// the entries hold about them (redactPerson), so "erase me" reaches the
+// audit log too, while who did what and when stays on record. The retention
+// policy does the same for older entries (stripPersonalData).
+
+const crypto = require('crypto');
+const { createCollection } = require('./storage');
+
+const auditLog = createCollection('audit-log', {
+    indexes: ['actor', 'action', 'targetType', 'targetId'],
+    encrypted: ['actor', 'targetId', 'ip', 'userAgent', 'before', 'after', 'details']
+});
+
+// Never copied into the log, wherever they appear in a record
+const SECRET_FIELDS = ['secret', 'previousSecret', 'password', 'passwordHash'];
+
+// Stands in for a record about an erased person
+const ERASED = '[erased]';
+
+function redact(value) {
+    if (Array.isArray(value)) return value.map(redact);
+    if (!value || typeof value !== 'object') return value;
+    const copy = {};
+    Object.keys(value).forEach(key => {
+        copy[key] = SECRET_FIELDS.includes(key) ? '[redacted]' : redact(value[key]);
+    });
+    return copy;
+}
+
+/**
+ * Appends an entry for an action taken by the request's account
+ * @param {object} req - The request (its user and IP are recorded)
+ * @param {string} action - e.g. "device.update", "data.purge"
+ * @param {object} [change]
+ * @param {string} [change.targetType] - e.g. "device"
+ * @param {string} [change.targetId]
+ * @param {*} [change.before] - The record before the change (null when created)
+ * @param {*} [change.after] - The record after the change (null when removed)
+ * @param {object} [change.details] - Anything else worth keeping
+ */
+function recordAction(req, action, { targetType, targetId, before, after, details } = {}) {
+    return auditLog.put({
+        id: crypto.randomUUID(),
+        timestamp: Date.now(),
+        actor: req.user ? req.user.id : null,
+        role: req.user ? req.user.role : null,
+        ip: req.ip || null,
+        userAgent: req.get('User-Agent') || null,
+        action: action,
+        targetType: targetType || action.split('.')[0],
+        targetId: targetId !== undefined && targetId !== null ? String(targetId) : null,
+        before: before === undefined ? null : redact(before),
+        after: after === undefined ? null : redact(after),
+        details: details ? redact(details) : null
+    });
+}
+
+/**
+ * Audit entries matching the filters, newest first
+ * @param {object} [filters]
+ * @param {string} [filters.actor]
+ * @param {string} [filters.action]
+ * @param {string} [filters.targetType]
+ * @param {string} [filters.targetId]
+ * @param {number} [filters.from] - Inclusive lower timestamp bound (ms)
+ * @param {number} [filters.to] - Exclusive upper timestamp bound (ms)
+ * @param {number} [filters.limit]
+ */
+function queryAudit(filters = {}) {
+    const fields = ['targetId', 'actor', 'action', 'targetType'];
+    const indexed = fields.find(field => filters[field] !== undefined);
+    let results = indexed ? auditLog.find(indexed, filters[indexed]) : auditLog.all();
+
+    results = results.filter(entry =>
+        fields.every(field => filters[field] === undefined || entry[field] === filters[field]) &&
+        (filters.from === undefined || entry.timestamp >= filters.from) &&
+        (filters.to === undefined || entry.timestamp < filters.to)
+    );
+
+    results.sort((a, b) => b.timestamp - a.timestamp);
+    return filters.limit !== undefined ? results.slice(0, filters.limit) : results;
+}
+
+// Whether a stored record refers to the user: a userId field (enrollments,
+// erasures...) or a member list such as an access schedule's users
+function mentions(value, userId) {
+    if (Array.isArray(value)) return value.some(item => mentions(item, userId));
+    if (!value || typeof value !== 'object') return false;
+    if (value.userId === userId || (Array.isArray(value.users) && value.users.includes(userId))) return true;
+    return Object.keys(value).some(key => mentions(value[key], userId));
+}
+
+function isAboutUser(entry, userId) {
+    return entry.targetType === 'user' && entry.targetId === userId;
+}
+
+function concernsPerson(entry, userId) {
+    return isAboutUser(entry, userId) ||
+        mentions(entry.before, userId) || mentions(entry.after, userId) || mentions(entry.details, userId);
+}
+
+/**
+ * Entries about a person, oldest first, for a data access request
+ */
+function listPersonEntries(userId) {
+    return auditLog.all()
+        .filter(entry => concernsPerson(entry, userId))
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Removes a person from the log when they are erased. Records about them
+ * (their directory record, their enrollments...) are replaced by "[erased]";
+ * their id elsewhere, such as a schedule's member list or the target of an
+ * entry, becomes the replacement. The file is rewritten so the old versions
+ * are gone from disk.
+ * @param {string} userId
+ * @param {string} replacement - The person's pseudonym, or "[erased]"
+ * @returns {number} How many entries were redacted
+ */
+function redactPerson(userId, replacement) {
+    const scrub = value => {
+        if (Array.isArray(value)) return value.map(scrub);
+        if (!value || typeof value !== 'object') return value;
+        if (value.userId === userId) return ERASED;
+        const copy = {};
+        Object.keys(value).forEach(key => {
+            copy[key] = key === 'users' && Array.isArray(value[key])
+                ? value[key].map(id => (id === userId ? replacement : id))
+                : scrub(value[key]);
+        });
+        return copy;
+    };
+
+    const redacted = auditLog.all().filter(entry => concernsPerson(entry, userId));
+    redacted.forEach(entry => {
+        // The before/after of user.* entries are the person's directory record
+        const aboutUser = isAboutUser(entry, userId);
+        const record = value => (aboutUser && value !== null ? ERASED : scrub(value));
+        auditLog.put({
+            ...entry,
+            targetId: aboutUser ? replacement : entry.targetId,
+            before: record(entry.before),
+            after: record(entry.after),
+            details: record(entry.details)
+        });
+    });
+    if (redacted.length > 0) auditLog.compact();
+    return redacted.length;
+}
+
+/**
+ * Strips the personal details from entries older than the cutoff, for the
+ * retention policy: the IP, user agent, before/after records and details
+ * are cleared, and a person named as the target is replaced by their
+ * pseudonym. The action, its actor and its time are kept.
+ * @param {number} cutoff
+ * @param {function} pseudonymFor - (userId) => pseudonym
+ * @returns {number} How many entries were stripped
+ */
+function stripPersonalData(cutoff, pseudonymFor) {
+    const strippedAt = Date.now();
+    const stripped = auditLog.all().filter(entry => entry.timestamp < cutoff && !entry.strippedAt);
+    stripped.forEach(entry => {
+        auditLog.put({
+            ...entry,
+            targetId: entry.targetType === 'user' && entry.targetId && entry.targetId !== ERASED
+                ? pseudonymFor(entry.targetId)
+                : entry.targetId,
+            ip: null,
+            userAgent: null,
+            before: null,
+            after: null,
+            details: null,
+            strippedAt: strippedAt
+        });
+    });
+    if (stripped.length > 0) auditLog.compact();
+    return stripped.length;
+}
+
+/**
+ * Distinct actions recorded so far, for filter menus
+ */
+function listActions() {
+    const actions = new Set();
+    auditLog.all().forEach(entry => actions.add(entry.action));
+    return Array.from(actions).sort();
+}
+
+module.exports = {
+    ERASED,
+    recordAction,
+    queryAudit,
+    listPersonEntries,
+    redactPerson,
+    stripPersonalData,
+    listActions
+};
@@ -0,0 +1,294 @@
+// ===================================
+// Authentication & Roles
+// Dashboard accounts, sessions and role checks
+// ===================================
+
+const crypto = require('crypto');
+const config = require('./config');
+const { createCollection } = require('./storage');
+
+const accounts = createCollection('accounts');
+const sessions = createCollection('sessions');
+
+const SESSION_COOKIE = 'wsyd_session';
+const SESSION_TTL_MS = config.auth.sessionTtlHours * 60 * 60 * 1000;
+const ADMIN_TOKEN = config.auth.adminToken;
+
+// Each role includes the permissions of the roles before it
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,63}$/i;
+const MIN_PASSWORD_LENGTH = 8;
+
+// ===================================
+// Passwords
+// ===================================
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function secretsMatch(expected, provided) {
+    const a = crypto.createHash('sha256').update(expected).digest();
+    const b = crypto.createHash('sha256').update(provided).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+// ===================================
+// Accounts
+// ===================================
+function accountError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function toPublicAccount(account) {
+    const { passwordHash, ...publicFields } = account;
+    return publicFields;
+}
+
+function validateRole(role) {
+    if (!ROLES.includes(role)) {
+        throw accountError('INVALID_ROLE', `Role must be one of: ${ROLES.join(', ')}`);
+    }
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw accountError('INVALID_PASSWORD', `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+}
+
+function listAccounts() {
+    return accounts.all().map(toPublicAccount);
+}
+
+function getAccount(id) {
+    const account = accounts.get(id);
+    return account ? toPublicAccount(account) : null;
+}
+
+function createAccount({ username, password, role }) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        throw accountError('INVALID_USERNAME', 'Username must be 2-64 letters, digits, ".", "-" or "_"');
+    }
+    validateRole(role);
+    validatePassword(password);
+
+    const id = username.toLowerCase();
+    if (accounts.get(id)) {
+        throw accountError('ACCOUNT_EXISTS', `Account "${id}" already exists`);
+    }
+
+    return toPublicAccount(accounts.put({
+        id: id,
+        role: role,
+        passwordHash: hashPassword(password),
+        createdAt: Date.now()
+    }));
+}
+
+function updateAccount(id, { role, password }) {
+    const account = accounts.get(id);
+    if (!account) return null;
+
+    const updated = { ...account };
+    if (role !== undefined) {
+        validateRole(role);
+        updated.role = role;
+    }
+    if (password !== undefined) {
+        validatePassword(password);
+        updated.passwordHash = hashPassword(password);
+        // A new password signs the account out everywhere
+        sessions.all()
+            .filter(session => session.accountId === id)
+            .forEach(session => sessions.remove(session.id));
+    }
+
+    return toPublicAccount(accounts.put(updated));
+}
+
+function removeAccount(id) {
+    if (!accounts.get(id)) return false;
+    sessions.all()
+        .filter(session => session.accountId === id)
+        .forEach(session => sessions.remove(session.id));
+    return accounts.remove(id);
+}
+
+function countAdmins() {
+    return accounts.all().filter(account => account.role === 'admin').length;
+}
+
+/**
+ * Creates the first admin account on an empty install. Uses ADMIN_USERNAME /
+ * ADMIN_PASSWORD when set, otherwise prints a generated password once.
+ */
+function ensureInitialAdmin() {
+    if (accounts.size > 0) return;
+
+    const username = config.auth.adminUsername;
+    const generated = !config.auth.adminPassword;
+    const password = config.auth.adminPassword || crypto.randomBytes(9).toString('hex');
+
+    createAccount({ username, password, role: 'admin' });
+
+    console.log('-------------------------------------------');
+    console.log(`Created initial admin account "${username}"`);
+    if (generated) {
+        console.log(`Generated password: ${password}`);
+        console.log('Change it after the first login.');
+    }
+    console.log('-------------------------------------------');
+}
+
+// ===================================
+// Sessions
+// ===================================
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index < 0) return;
+        const name = pair.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+        } catch (error) {
+            // Ignore malformed cookie values
+        }
+    });
+    return cookies;
+}
+
+function sessionCookie(req, value, maxAgeSeconds) {
+    const parts = [
+        `${SESSION_COOKIE}=${value}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Strict',
+        `Max-Age=${maxAgeSeconds}`
+    ];
+    if (req.secure) parts.push('Secure');
+    return parts.join('; ');
+}
+
+/**
+ * Verifies credentials and opens a session. Returns the account or null.
+ */
+function login(req, res, username, password) {
+    const account = typeof username === 'string' ? accounts.get(username.toLowerCase()) : null;
+
+    if (!account) {
+        // Hash anyway so response time does not reveal unknown usernames
+        hashPassword(String(password || ''));
+        return null;
+    }
+    if (!verifyPassword(String(password || ''), account.passwordHash)) return null;
+
+    const now = Date.now();
+    const session = sessions.put({
+        id: crypto.randomBytes(32).toString('hex'),
+        accountId: account.id,
+        createdAt: now,
+        expiresAt: now + SESSION_TTL_MS
+    });
+
+    res.setHeader('Set-Cookie', sessionCookie(req, session.id, SESSION_TTL_MS / 1000));
+    return toPublicAccount(account);
+}
+
+function logout(req, res) {
+    const sessionId = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+    if (sessionId) sessions.remove(sessionId);
+    res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+}
+
+function pruneExpiredSessions() {
+    const now = Date.now();
+    sessions.all()
+        .filter(session => session.expiresAt <= now)
+        .forEach(session => sessions.remove(session.id));
+}
+
+/**
+ * Express middleware that sets req.user from the session cookie or the
+ * ADMIN_TOKEN bearer token (for scripts). Never rejects on its own.
+ */
+function authenticate(req, res, next) {
+    req.user = null;
+
+    const header = req.get('Authorization') || '';
+    const bearer = header.match(/^Bearer\s+(.+)$/i);
+    if (bearer) {
+        if (ADMIN_TOKEN && secretsMatch(ADMIN_TOKEN, bearer[1].trim())) {
+            req.user = { id: 'admin-token', role: 'admin' };
+        }
+        return next();
+    }
+
+    const sessionId = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+    const session = sessionId ? sessions.get(sessionId) : null;
+    if (session && session.expiresAt > Date.now()) {
+        const account = accounts.get(session.accountId);
+        if (account) {
+            req.user = { id: account.id, role: account.role };
+        }
+    }
+
+    next();
+}
+
+function hasRole(user, role) {
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Express middleware factory: 401 without a session, 403 when the role is
+ * below the required one
+ */
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Login required', code: 'UNAUTHENTICATED' });
+        }
+        if (!hasRole(req.user, role)) {
+            return res.status(403).json({
+                error: `This action requires the ${role} role`,
+                code: 'FORBIDDEN'
+            });
+        }
+        next();
+    };
+}
+
+ensureInitialAdmin();
+pruneExpiredSessions();
+sessions.compact();
+setInterval(pruneExpiredSessions, 60 * 60 * 1000).unref();
+
+module.exports = {
+    ROLES,
+    listAccounts,
+    getAccount,
+    createAccount,
+    updateAccount,
+    removeAccount,
+    countAdmins,
+    login,
+    logout,
+    authenticate,
+    hasRole,
+    requireRole
+};
@@ -0,0 +1,202 @@
+// ===================================
+// Calendar Helpers
+// Day and week boundaries used by reports and statistics
+// ===================================
+//
+// Days are calendar days in a time zone: the site time zone (SITE_TIMEZONE,
+// an IANA name such as "Europe/Berlin") unless a caller passes another one.
+// The server's own clock zone does not matter. Weeks start on Monday
+// (ISO 8601).
+
+const config = require('./config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+const SITE_TIMEZONE = config.site.timeZone;
+
+// Formatters are expensive to create, so keep one per zone
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock fields of a timestamp in a time zone (month is 1-12)
+ */
+function zonedParts(timestamp, timeZone) {
+    const parts = {};
+    formatterFor(timeZone).formatToParts(new Date(timestamp)).forEach(part => {
+        if (part.type !== 'literal') parts[part.type] = Number(part.value);
+    });
+    return parts;
+}
+
+/**
+ * Milliseconds the zone is ahead of UTC at the timestamp
+ */
+function offsetAt(timestamp, timeZone) {
+    const parts = zonedParts(timestamp, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Timestamp of local midnight on a calendar date. Day overflow is allowed
+ * (day 32 is the 1st of the next month). Where midnight does not exist
+ * because of a daylight saving change, the first moment of the day is used.
+ */
+function zonedMidnight(year, month, day, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day);
+    const guess = wallClock - offsetAt(wallClock, timeZone);
+    const offset = offsetAt(guess, timeZone);
+    return offset === offsetAt(wallClock, timeZone) ? guess : Math.max(guess, wallClock - offset);
+}
+
+/**
+ * Midnight at the start of the day containing the timestamp
+ */
+function startOfDay(timestamp, timeZone = SITE_TIMEZONE) {
+    const parts = zonedParts(timestamp, timeZone);
+    return zonedMidnight(parts.year, parts.month, parts.day, timeZone);
+}
+
+/**
+ * Midnight `days` calendar days later (handles daylight saving changes)
+ */
+function addDays(dayStart, days, timeZone = SITE_TIMEZONE) {
+    const parts = zonedParts(dayStart, timeZone);
+    return zonedMidnight(parts.year, parts.month, parts.day + days, timeZone);
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+/**
+ * "YYYY-MM-DD" of the day containing the timestamp
+ */
+function formatDate(timestamp, timeZone = SITE_TIMEZONE) {
+    const parts = zonedParts(timestamp, timeZone);
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+/**
+ * ISO 8601 date-time with the zone's offset, e.g. "2024-03-04T09:15:00+01:00"
+ */
+function formatDateTime(timestamp, timeZone = SITE_TIMEZONE) {
+    const parts = zonedParts(timestamp, timeZone);
+    const offsetMinutes = Math.round(offsetAt(timestamp, timeZone) / 60000);
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const offset = `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}${offset}`;
+}
+
+/**
+ * The zone's wall-clock time at the timestamp, expressed as if it were UTC.
+ * Spreadsheet cells have no zone, so this is what they should show.
+ */
+function wallClockTime(timestamp, timeZone = SITE_TIMEZONE) {
+    return timestamp + offsetAt(timestamp, timeZone);
+}
+
+/**
+ * Local date ("YYYY-MM-DD"), weekday (Monday = 0) and minutes since midnight
+ * at the timestamp
+ */
+function localTime(timestamp, timeZone = SITE_TIMEZONE) {
+    const parts = zonedParts(timestamp, timeZone);
+    return {
+        date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+        weekday: (new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay() + 6) % 7,
+        minutes: parts.hour * 60 + parts.minute
+    };
+}
+
+/**
+ * Midnight on the Monday of the week containing the timestamp
+ */
+function startOfWeek(timestamp, timeZone = SITE_TIMEZONE) {
+    const parts = zonedParts(timestamp, timeZone);
+    const weekday = (new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay() + 6) % 7; // Monday = 0
+    return zonedMidnight(parts.year, parts.month, parts.day - weekday, timeZone);
+}
+
+/**
+ * ISO week label, e.g. "2024-W10"
+ */
+function formatWeek(timestamp, timeZone = SITE_TIMEZONE) {
+    // Calendar arithmetic on the local date, done in UTC where days are 24h
+    const parts = zonedParts(timestamp, timeZone);
+    const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+    const weekday = (date.getUTCDay() + 6) % 7;
+
+    // The ISO year is the year of the week's Thursday
+    const thursday = new Date(date.getTime() + (3 - weekday) * DAY_MS);
+    const firstOfYear = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    const week = 1 + Math.floor((thursday.getTime() - firstOfYear) / (7 * DAY_MS));
+    return `${thursday.getUTCFullYear()}-W${pad(week)}`;
+}
+
+/**
+ * Parses a "YYYY-MM-DD" date as local midnight; returns NaN for anything else
+ */
+function parseDate(value, timeZone = SITE_TIMEZONE) {
+    const match = DATE_PATTERN.exec(String(value));
+    if (!match) return NaN;
+    const [year, month, day] = match.slice(1).map(Number);
+    const valid = new Date(Date.UTC(year, month - 1, day)).getUTCDate() === day && month >= 1 && month <= 12;
+    return valid ? zonedMidnight(year, month, day, timeZone) : NaN;
+}
+
+/**
+ * Validates an optional ?tz= parameter
+ * @returns {{ error: string }|{ timeZone: string }} `fallback` when none is given
+ */
+function parseTimeZone(value, fallback = SITE_TIMEZONE) {
+    if (value === undefined || value === '') return { timeZone: fallback };
+    if (!isValidTimeZone(String(value))) {
+        return { error: 'tz must be an IANA time zone name, e.g. "Europe/Berlin"' };
+    }
+    return { timeZone: String(value) };
+}
+
+module.exports = {
+    DAY_MS,
+    SITE_TIMEZONE,
+    isValidTimeZone,
+    parseTimeZone,
+    startOfDay,
+    addDays,
+    formatDate,
+    formatDateTime,
+    wallClockTime,
+    localTime,
+    startOfWeek,
+    formatWeek,
+    parseDate
+};
@@ -0,0 +1,233 @@
+// ===================================
+// Device Command Queue
+// Typed commands for Raspberry Pi scanners, with acknowledgements
+// ===================================
+//
+// queued -> delivered -> succeeded | failed
+// Commands not acknowledged before expiresAt become expired; an operator can
+// cancel anything that has not been acknowledged.
+
+const crypto = require('crypto');
+const { createCollection } = require('./storage');
+const devices = require('./devices');
+const users = require('./users');
+
+const commands = createCollection('commands', { indexes: ['deviceId'] });
+
+const MAX_TTL_SECONDS = 24 * 60 * 60;
+
+const LED_COLORS = ['red', 'blue', 'purple', 'green', 'yellow', 'cyan', 'white'];
+const LED_MODES = ['breathing', 'flashing', 'on', 'off'];
+
+const FINISHED = ['succeeded', 'failed', 'expired', 'cancelled'];
+
+function commandError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Supported command types: default time-to-live and parameter validation.
+ * Each validator returns the normalized params or throws.
+ */
+const COMMAND_TYPES = {
+    unlock: {
+        // A late unlock is worse than none, so it expires quickly
+        ttlSeconds: 30,
+        validate(params) {
+            const duration = params.durationSeconds === undefined ? 5 : params.durationSeconds;
+            if (!Number.isInteger(duration) || duration < 1 || duration > 60) {
+                throw commandError('INVALID_PARAMS', 'durationSeconds must be an integer 1-60');
+            }
+            return { durationSeconds: duration };
+        }
+    },
+    lock: {
+        ttlSeconds: 60,
+        validate: () => ({})
+    },
+    enroll: {
+        ttlSeconds: 10 * 60,
+        validate(params) {
+            if (typeof params.enrollmentId !== 'string' || typeof params.slot !== 'number') {
+                throw commandError('INVALID_PARAMS', 'enroll commands are created by POST /api/enrollments');
+            }
+            return { enrollmentId: params.enrollmentId, slot: params.slot };
+        }
+    },
+    delete_template: {
+        ttlSeconds: 60 * 60,
+        validate(params) {
+            if (!Number.isInteger(params.slot) || params.slot < 0 || params.slot >= users.FINGERPRINT_SLOT_COUNT) {
+                throw commandError('INVALID_PARAMS', `slot must be an integer 0-${users.FINGERPRINT_SLOT_COUNT - 1}`);
+            }
+            return { slot: params.slot };
+        }
+    },
+    set_led: {
+        ttlSeconds: 60,
+        validate(params) {
+            if (!LED_COLORS.includes(params.color)) {
+                throw commandError('INVALID_PARAMS', `color must be one of: ${LED_COLORS.join(', ')}`);
+            }
+            const mode = params.mode || 'on';
+            if (!LED_MODES.includes(mode)) {
+                throw commandError('INVALID_PARAMS', `mode must be one of: ${LED_MODES.join(', ')}`);
+            }
+            return { color: params.color, mode: mode };
+        }
+    },
+    reboot: {
+        ttlSeconds: 5 * 60,
+        validate: () => ({})
+    }
+};
+
+function isOpen(command) {
+    return !FINISHED.includes(command.status);
+}
+
+function update(command, changes) {
+    return commands.put({ ...command, ...changes, updatedAt: Date.now() });
+}
+
+/**
+ * Marks open commands past their expiry as expired. Returns the changed ones.
+ */
+function expireStale() {
+    const now = Date.now();
+    return commands.all()
+        .filter(command => isOpen(command) && command.expiresAt <= now)
+        .map(command => update(command, { status: 'expired' }));
+}
+
+function listCommands(filters = {}) {
+    let list = filters.deviceId ? commands.find('deviceId', filters.deviceId) : commands.all();
+    if (filters.status) list = list.filter(command => command.status === filters.status);
+    return list.sort((a, b) => b.createdAt - a.createdAt).slice(0, filters.limit || 100);
+}
+
+function getCommand(id) {
+    return commands.get(id);
+}
+
+/**
+ * Queues a command for a device
+ * @param {object} request - { deviceId, type, params?, ttlSeconds? }
+ * @param {string} createdBy - Account or subsystem that issued it
+ * @throws {Error} with a `code` property
+ */
+function enqueueCommand({ deviceId, type, params, ttlSeconds }, createdBy) {
+    if (!devices.getDevice(deviceId)) {
+        throw commandError('DEVICE_UNKNOWN', `Device "${deviceId}" is not registered`);
+    }
+    const definition = COMMAND_TYPES[type];
+    if (!definition) {
+        throw commandError('INVALID_TYPE', `type must be one of: ${Object.keys(COMMAND_TYPES).join(', ')}`);
+    }
+
+    const ttl = ttlSeconds === undefined ? definition.ttlSeconds : ttlSeconds;
+    if (!Number.isInteger(ttl) || ttl < 1 || ttl > MAX_TTL_SECONDS) {
+        throw commandError('INVALID_PARAMS', `ttlSeconds must be an integer 1-${MAX_TTL_SECONDS}`);
+    }
+
+    const now = Date.now();
+    return commands.put({
+        id: crypto.randomUUID(),
+        deviceId: deviceId,
+        type: type,
+        params: definition.validate(params || {}),
+        status: 'queued',
+        result: null,
+        error: null,
+        createdBy: createdBy,
+        createdAt: now,
+        updatedAt: now,
+        deliveredAt: null,
+        acknowledgedAt: null,
+        expiresAt: now + ttl * 1000
+    });
+}
+
+/**
+ * Returns the device's unacknowledged commands, oldest first, and marks them
+ * delivered. Delivered commands are sent again until acknowledged, so a Pi
+ * that crashed mid-command sees it again.
+ */
+function takePendingCommands(deviceId) {
+    const now = Date.now();
+    return commands.find('deviceId', deviceId)
+        .filter(command => isOpen(command) && command.expiresAt > now)
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(command => command.status === 'queued'
+            ? update(command, { status: 'delivered', deliveredAt: now })
+            : command);
+}
+
+/**
+ * Records the device's result for a command
+ * @param {object} ack - { status: "succeeded"|"failed", result?, error? }
+ * @throws {Error} with a `code` property
+ */
+function acknowledgeCommand(id, deviceId, ack) {
+    const command = commands.get(id);
+    if (!command || command.deviceId !== deviceId) {
+        throw commandError('COMMAND_UNKNOWN', 'Command not found for this device');
+    }
+    if (!isOpen(command)) {
+        throw commandError('COMMAND_CLOSED', `Command is already ${command.status}`);
+    }
+    if (ack.status !== 'succeeded' && ack.status !== 'failed') {
+        throw commandError('INVALID_STATUS', 'status must be "succeeded" or "failed"');
+    }
+
+    // Keep the user directory in step with the sensor's template library
+    if (ack.status === 'succeeded' && command.type === 'delete_template') {
+        const owner = users.findUserBySlot(command.params.slot);
+        if (owner) {
+            users.updateUser(owner.id, {
+                fingerprintSlots: owner.fingerprintSlots.filter(slot => slot !== command.params.slot)
+            });
+        }
+    }
+
+    return update(command, {
+        status: ack.status,
+        result: ack.result === undefined ? null : ack.result,
+        error: ack.status === 'failed' ? String(ack.error || 'Device reported a failure') : null,
+        acknowledgedAt: Date.now()
+    });
+}
+
+function cancelCommand(id) {
+    const command = commands.get(id);
+    if (!command) return null;
+    if (!isOpen(command)) {
+        throw commandError('COMMAND_CLOSED', `Command is already ${command.status}`);
+    }
+    return update(command, { status: 'cancelled' });
+}
+
+/**
+ * Cancels open commands matching a predicate (e.g. when an enrollment ends)
+ */
+function cancelWhere(predicate) {
+    return commands.all()
+        .filter(command => isOpen(command) && predicate(command))
+        .map(command => update(command, { status: 'cancelled' }));
+}
+
+module.exports = {
+    COMMAND_TYPES,
+    LED_COLORS,
+    LED_MODES,
+    expireStale,
+    listCommands,
+    getCommand,
+    enqueueCommand,
+    takePendingCommands,
+    acknowledgeCommand,
+    cancelCommand,
+    cancelWhere
+};
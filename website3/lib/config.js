@@ -0,0 +1,327 @@
+// ===================================
+// Configuration
+// Every server setting, loaded and validated in one place
+// ===================================
+//
+// Each setting comes from, in increasing priority: its default below, the
+// JSON config file, and its environment variable. The file is CONFIG_FILE,
+// or config.json next to server.js when that exists (see
+// config.example.json). Everything is validated when the server starts and
+// all problems are reported together, so a bad deployment fails fast.
+//
+// Modules read the frozen result (e.g. config.devices.offlineAfterSeconds)
+// instead of process.env. toPublic() is what GET /api/config serves: the
+// same settings without secrets or server paths, and the warnings the
+// server logs at startup (getWarnings).
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// ===================================
+// Value Types
+// ===================================
+// Each parser takes a raw value (a string from the environment, any JSON
+// value from the file) and returns the setting or throws a description of
+// what is expected.
+
+function integer({ min = 0, max = Infinity } = {}) {
+    return value => {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (!Number.isInteger(number) || number < min || number > max) {
+            throw new Error(max === Infinity
+                ? `must be a whole number of at least ${min}`
+                : `must be a whole number from ${min} to ${max}`);
+        }
+        return number;
+    };
+}
+
+function oneOf(choices) {
+    return value => {
+        const choice = String(value).toLowerCase();
+        if (!choices.includes(choice)) {
+            throw new Error(`must be one of: ${choices.join(', ')}`);
+        }
+        return choice;
+    };
+}
+
+function text(value) {
+    if (typeof value !== 'string') throw new Error('must be a string');
+    return value;
+}
+
+// Comma-separated in the environment, an array in the file
+function list(value) {
+    const items = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+        throw new Error('must be a list of strings');
+    }
+    return items.map(item => item.trim()).filter(Boolean);
+}
+
+// Body size as understood by express.json, e.g. "256kb" or 1048576 (bytes)
+function size(value) {
+    if (Number.isInteger(value) && value > 0) return value;
+    if (typeof value !== 'string' || !/^\d+(\.\d+)?\s*(b|kb|mb|gb)?$/i.test(value.trim())) {
+        throw new Error('must be a size such as "256kb" or "10mb"');
+    }
+    return value.trim().toLowerCase();
+}
+
+function directory(value) {
+    if (typeof value !== 'string' || value.trim() === '') throw new Error('must be a directory path');
+    return path.resolve(value);
+}
+
+function timeZone(value) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: text(value) });
+        return value;
+    } catch (error) {
+        throw new Error('must be an IANA time zone (e.g. "Europe/Berlin")');
+    }
+}
+
+// false, a number of proxy hops, or an Express trust proxy expression ("loopback")
+function trustProxy(value) {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false' || value === '') return false;
+    if (Number.isInteger(Number(value))) return Number(value);
+    return text(value);
+}
+
+// "*" or exact origins such as "https://hr.example.com"
+function origins(value) {
+    const items = list(value);
+    items.forEach(origin => {
+        if (origin === '*') return;
+        let parsed;
+        try {
+            parsed = new URL(origin);
+        } catch (error) {
+            parsed = null;
+        }
+        if (!parsed || parsed.origin !== origin.replace(/\/$/, '')) {
+            throw new Error(`must list "*" or origins like "https://hr.example.com" ("${origin}" is not an origin)`);
+        }
+    });
+    return items.includes('*') ? ['*'] : items.map(origin => origin.replace(/\/$/, ''));
+}
+
+// "id:base64" pairs of 32-byte keys (see encryption.js)
+function encryptionKeys(value) {
+    const pairs = list(value);
+    const ids = new Set();
+    pairs.forEach(pair => {
+        const separator = pair.indexOf(':');
+        const id = separator > 0 ? pair.slice(0, separator) : '';
+        if (!/^[A-Za-z0-9_-]{1,32}$/.test(id)) {
+            throw new Error('must be "id:base64key" pairs; ids use letters, digits, "-" and "_" (at most 32)');
+        }
+        const bytes = Buffer.from(pair.slice(separator + 1), 'base64').length;
+        if (bytes !== 32) {
+            throw new Error(`key "${id}" must be 32 bytes, base64-encoded (got ${bytes} bytes)`);
+        }
+        if (ids.has(id)) {
+            throw new Error(`key id "${id}" is listed twice`);
+        }
+        ids.add(id);
+    });
+    return pairs;
+}
+
+// ===================================
+// Settings
+// ===================================
+// key: section.name in the config file; env: the overriding variable;
+// secret: never served by /api/config or echoed in errors; hidden: not
+// served by /api/config either (server details rather than secrets)
+const SETTINGS = [
+    // Server
+    { key: 'server.port', env: 'PORT', parse: integer({ min: 1, max: 65535 }), default: 3000 },
+    { key: 'server.trustProxy', env: 'TRUST_PROXY', parse: trustProxy, default: false },
+    { key: 'server.corsOrigins', env: 'CORS_ORIGINS', parse: origins, default: [] },
+    { key: 'server.maxBodySize', env: 'MAX_BODY_SIZE', parse: size, default: '256kb' },
+    { key: 'server.maxImportSize', env: 'MAX_IMPORT_SIZE', parse: size, default: '10mb' },
+
+    // Storage
+    { key: 'storage.dataDir', env: 'DATA_DIR', parse: directory, default: path.join(ROOT_DIR, 'data'), hidden: true },
+    { key: 'storage.encryptionKeys', env: 'ENCRYPTION_KEYS', parse: encryptionKeys, default: [], secret: true },
+
+    // Dashboard accounts and the admin token
+    { key: 'auth.sessionTtlHours', env: 'SESSION_TTL_HOURS', parse: integer({ min: 1 }), default: 12 },
+    { key: 'auth.adminToken', env: 'ADMIN_TOKEN', parse: text, default: '', secret: true },
+    { key: 'auth.adminUsername', env: 'ADMIN_USERNAME', parse: text, default: 'admin', hidden: true },
+    { key: 'auth.adminPassword', env: 'ADMIN_PASSWORD', parse: text, default: '', secret: true },
+
+    // Site
+    { key: 'site.timeZone', env: 'SITE_TIMEZONE', parse: timeZone, default: Intl.DateTimeFormat().resolvedOptions().timeZone },
+    { key: 'site.minSessionSeconds', env: 'MIN_SESSION_SECONDS', parse: integer(), default: 60 },
+
+    // Retention (0 keeps data forever; securityDays and auditDays default to eventDays)
+    { key: 'retention.eventDays', env: 'RETENTION_DAYS', parse: integer(), default: 0 },
+    { key: 'retention.securityDays', env: 'RETENTION_SECURITY_DAYS', parse: integer(), default: null },
+    { key: 'retention.auditDays', env: 'RETENTION_AUDIT_DAYS', parse: integer(), default: null },
+    { key: 'retention.webhookDays', env: 'RETENTION_WEBHOOK_DAYS', parse: integer(), default: 30 },
+    { key: 'retention.mode', env: 'RETENTION_MODE', parse: oneOf(['purge', 'anonymise']), default: 'purge' },
+
+    // Devices
+    { key: 'devices.signatureWindowSeconds', env: 'SIGNATURE_WINDOW_SECONDS', parse: integer({ min: 1 }), default: 300 },
+    { key: 'devices.offlineAfterSeconds', env: 'DEVICE_OFFLINE_SECONDS', parse: integer({ min: 1 }), default: 120 },
+    { key: 'devices.minMatchScore', env: 'MIN_MATCH_SCORE', parse: integer(), default: 0 },
+
+    // Access control
+    { key: 'access.defaultPolicy', env: 'ACCESS_DEFAULT_POLICY', parse: oneOf(['allow', 'deny']), default: 'allow' },
+
+    // Rate limits (0 turns a limiter off)
+    { key: 'rateLimits.windowSeconds', env: 'RATE_LIMIT_WINDOW_SECONDS', parse: integer({ min: 1 }), default: 60 },
+    { key: 'rateLimits.perIp', env: 'RATE_LIMIT_PER_IP', parse: integer(), default: 600 },
+    { key: 'rateLimits.perDevice', env: 'RATE_LIMIT_PER_DEVICE', parse: integer(), default: 120 },
+    { key: 'rateLimits.login', env: 'RATE_LIMIT_LOGIN', parse: integer(), default: 10 },
+
+    // Dashboard defaults (a browser's saved settings win)
+    { key: 'dashboard.refreshInterval', env: 'DASHBOARD_REFRESH_SECONDS', parse: integer({ min: 1, max: 60 }), default: 3 },
+    { key: 'dashboard.historySize', env: 'DASHBOARD_HISTORY_SIZE', parse: integer({ min: 1, max: 1000 }), default: 50 }
+];
+
+// ===================================
+// Loading
+// ===================================
+function readFile(errors) {
+    const file = process.env.CONFIG_FILE
+        ? path.resolve(process.env.CONFIG_FILE)
+        : path.join(ROOT_DIR, 'config.json');
+
+    if (!fs.existsSync(file)) {
+        if (process.env.CONFIG_FILE) errors.push(`CONFIG_FILE: ${file} does not exist`);
+        return { file: null, values: {} };
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        errors.push(`${file} is not valid JSON: ${error.message}`);
+        return { file: file, values: {} };
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        errors.push(`${file} must contain a JSON object`);
+        return { file: file, values: {} };
+    }
+
+    // Flatten { server: { port } } to { "server.port" } and catch typos
+    const values = {};
+    const known = new Set(SETTINGS.map(setting => setting.key));
+    Object.keys(parsed).forEach(section => {
+        const settings = parsed[section];
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            errors.push(`${path.basename(file)}: "${section}" must be an object of settings`);
+            return;
+        }
+        Object.keys(settings).forEach(name => {
+            const key = `${section}.${name}`;
+            if (!known.has(key)) {
+                errors.push(`${path.basename(file)}: unknown setting "${key}"`);
+                return;
+            }
+            values[key] = settings[name];
+        });
+    });
+    return { file: file, values: values };
+}
+
+function load() {
+    const errors = [];
+    const { file, values } = readFile(errors);
+    const config = {};
+    const sources = {};
+
+    SETTINGS.forEach(setting => {
+        const [section, name] = setting.key.split('.');
+        const fromEnv = process.env[setting.env] !== undefined && process.env[setting.env] !== '';
+        const fromFile = !fromEnv && values[setting.key] !== undefined;
+        const origin = fromEnv ? setting.env : `${setting.key} in ${path.basename(file || '')}`;
+
+        let value = setting.default;
+        if (fromEnv || fromFile) {
+            const raw = fromEnv ? process.env[setting.env] : values[setting.key];
+            try {
+                // Relative paths in the file are relative to the file
+                value = setting.parse === directory && fromFile
+                    ? directory(path.resolve(path.dirname(file), text(raw)))
+                    : setting.parse(raw);
+            } catch (error) {
+                const got = setting.secret ? '' : `, got ${JSON.stringify(raw)}`;
+                errors.push(`${origin} ${error.message}${got}`);
+            }
+        }
+
+        config[section] = config[section] || {};
+        config[section][name] = value;
+        sources[setting.key] = fromEnv ? 'env' : fromFile ? 'file' : 'default';
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    if (config.retention.securityDays === null) {
+        config.retention.securityDays = config.retention.eventDays;
+    }
+    if (config.retention.auditDays === null) {
+        config.retention.auditDays = config.retention.eventDays;
+    }
+
+    Object.values(config).forEach(Object.freeze);
+    return { file, config, sources };
+}
+
+const { file: CONFIG_FILE, config, sources } = load();
+
+/**
+ * Valid settings that still leave the server in an unsafe state
+ * @returns {string[]}
+ */
+function getWarnings() {
+    const warnings = [];
+    if (config.storage.encryptionKeys.length === 0) {
+        warnings.push('ENCRYPTION_KEYS is not set: names, user ids, fingerprint slots and IPs are written to disk in plaintext');
+    }
+    return warnings;
+}
+
+/**
+ * The settings without secrets or server paths, with where each came from
+ * ("env", "file" or "default"), for GET /api/config
+ */
+function toPublic() {
+    const settings = {};
+    const publicSources = {};
+    SETTINGS.filter(setting => !setting.secret && !setting.hidden).forEach(setting => {
+        const [section, name] = setting.key.split('.');
+        settings[section] = settings[section] || {};
+        settings[section][name] = config[section][name];
+        publicSources[setting.key] = sources[setting.key];
+    });
+
+    // Key ids only, never the keys
+    const keyIds = config.storage.encryptionKeys.map(pair => pair.slice(0, pair.indexOf(':')));
+    settings.storage = { encryption: { enabled: keyIds.length > 0, activeKey: keyIds[0] || null, keys: keyIds } };
+    settings.auth.adminTokenSet = Boolean(config.auth.adminToken);
+
+    return {
+        file: CONFIG_FILE ? path.basename(CONFIG_FILE) : null,
+        settings: settings,
+        sources: publicSources,
+        warnings: getWarnings()
+    };
+}
+
+module.exports = Object.freeze({
+    ...config,
+    getWarnings,
+    toPublic
+});
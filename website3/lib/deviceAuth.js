@@ -0,0 +1,114 @@
+// ===================================
+// Device Request Signing
+// HMAC verification for Raspberry Pi requests
+// ===================================
+//
+// Each request carries three headers:
+//   X-Device-Id  - registered device id
+//   X-Timestamp  - Unix time in seconds when the request was signed
+//   X-Signature  - hex HMAC-SHA256 of "<X-Timestamp>.<raw request body>"
+//                  keyed with the device secret
+
+const crypto = require('crypto');
+const config = require('./config');
+const devices = require('./devices');
+const deviceHealth = require('./deviceHealth');
+const { limitByDevice } = require('./rateLimit');
+
+const REPLAY_WINDOW_SECONDS = config.devices.signatureWindowSeconds;
+
+// Signatures already accepted inside the replay window: signature -> expiry (ms)
+const seenSignatures = new Map();
+
+function rejectDevice(res, status, code, message) {
+    return res.status(status).json({ error: message, code: code });
+}
+
+function signPayload(secret, timestamp, rawBody) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${rawBody}`)
+        .digest('hex');
+}
+
+function signaturesMatch(expected, provided) {
+    const a = Buffer.from(expected, 'hex');
+    const b = Buffer.from(provided, 'hex');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function forgetExpiredSignatures(now) {
+    seenSignatures.forEach((expiresAt, signature) => {
+        if (expiresAt <= now) seenSignatures.delete(signature);
+    });
+}
+
+/**
+ * Captures the raw body for signature checks; pass to express.json({ verify })
+ */
+function captureRawBody(req, res, buffer) {
+    req.rawBody = buffer.toString('utf8');
+}
+
+/**
+ * Express middleware that rejects unsigned, stale, replayed or forged
+ * requests and sets req.device for accepted ones. Accepted requests also
+ * count as a sign of life for offline detection, and against the device's
+ * rate limit (lib/rateLimit.js).
+ */
+function requireDeviceSignature(req, res, next) {
+    const deviceId = req.get('X-Device-Id');
+    const timestampHeader = req.get('X-Timestamp');
+    const signature = req.get('X-Signature');
+
+    if (!deviceId || !timestampHeader || !signature) {
+        return rejectDevice(res, 401, 'SIGNATURE_MISSING',
+            'Missing X-Device-Id, X-Timestamp or X-Signature header');
+    }
+
+    const device = devices.getDevice(deviceId);
+    if (!device) {
+        return rejectDevice(res, 401, 'DEVICE_UNKNOWN', `Unknown device "${deviceId}"`);
+    }
+    if (!device.enabled) {
+        return rejectDevice(res, 403, 'DEVICE_DISABLED', `Device "${deviceId}" is disabled`);
+    }
+
+    const signedAt = Number(timestampHeader);
+    const nowSeconds = Date.now() / 1000;
+    if (!Number.isFinite(signedAt) || Math.abs(nowSeconds - signedAt) > REPLAY_WINDOW_SECONDS) {
+        return rejectDevice(res, 401, 'TIMESTAMP_OUT_OF_WINDOW',
+            `X-Timestamp must be within ${REPLAY_WINDOW_SECONDS}s of server time (${Math.floor(nowSeconds)})`);
+    }
+
+    if (!/^[0-9a-f]{64}$/i.test(signature)) {
+        return rejectDevice(res, 401, 'SIGNATURE_INVALID', 'X-Signature must be a hex HMAC-SHA256 digest');
+    }
+
+    const rawBody = req.rawBody || '';
+    const valid = devices.getActiveSecrets(device).some(secret =>
+        signaturesMatch(signPayload(secret, timestampHeader, rawBody), signature)
+    );
+    if (!valid) {
+        return rejectDevice(res, 401, 'SIGNATURE_INVALID', 'Signature does not match request body');
+    }
+
+    const now = Date.now();
+    forgetExpiredSignatures(now);
+    const signatureKey = signature.toLowerCase();
+    if (seenSignatures.has(signatureKey)) {
+        return rejectDevice(res, 409, 'REQUEST_REPLAYED', 'This signed request was already accepted');
+    }
+    seenSignatures.set(signatureKey, now + REPLAY_WINDOW_SECONDS * 2000);
+
+    deviceHealth.touch(device.id);
+    req.device = device;
+    limitByDevice(req, res, next);
+}
+
+module.exports = {
+    REPLAY_WINDOW_SECONDS,
+    captureRawBody,
+    requireDeviceSignature,
+    signPayload
+};
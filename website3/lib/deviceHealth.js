@@ -0,0 +1,165 @@
+// ===================================
+// Device Health
+// Heartbeats, last-seen tracking and offline detection
+// ===================================
+//
+// Any signed request counts as a sign of life; heartbeats add the device's
+// own view (uptime, firmware, sensor, unsent scans). A device is offline
+// once nothing has been heard from it for DEVICE_OFFLINE_SECONDS.
+
+const config = require('./config');
+const { createCollection } = require('./storage');
+const devices = require('./devices');
+
+// One record per device id, overwritten on every sign of life
+const health = createCollection('device-health');
+
+// Only the latest record per device matters, so drop the history regularly
+health.compact();
+setInterval(() => health.compact(), 60 * 60 * 1000).unref();
+
+const OFFLINE_AFTER_SECONDS = config.devices.offlineAfterSeconds;
+
+const SENSOR_STATUSES = ['ok', 'degraded', 'error', 'disconnected'];
+
+function healthError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function emptyRecord(deviceId) {
+    return {
+        id: deviceId,
+        status: 'unknown',
+        statusChangedAt: null,
+        lastSeenAt: null,
+        lastHeartbeatAt: null,
+        heartbeat: null
+    };
+}
+
+/**
+ * Records that a device made an authenticated request
+ */
+function touch(deviceId) {
+    const record = health.get(deviceId) || emptyRecord(deviceId);
+    return health.put({ ...record, lastSeenAt: Date.now() });
+}
+
+/**
+ * Validates and stores a heartbeat
+ * @param {object} data - { uptimeSeconds, firmwareVersion, sensorStatus, queueDepth }
+ * @throws {Error} with a `code` property on invalid input
+ */
+function recordHeartbeat(deviceId, data) {
+    if (!isNonNegativeNumber(data.uptimeSeconds)) {
+        throw healthError('INVALID_HEARTBEAT', 'uptimeSeconds must be a non-negative number');
+    }
+    if (typeof data.firmwareVersion !== 'string' || !data.firmwareVersion.trim() || data.firmwareVersion.length > 64) {
+        throw healthError('INVALID_HEARTBEAT', 'firmwareVersion must be a string of at most 64 characters');
+    }
+    if (!SENSOR_STATUSES.includes(data.sensorStatus)) {
+        throw healthError('INVALID_HEARTBEAT', `sensorStatus must be one of: ${SENSOR_STATUSES.join(', ')}`);
+    }
+    if (!Number.isInteger(data.queueDepth) || data.queueDepth < 0) {
+        throw healthError('INVALID_HEARTBEAT', 'queueDepth must be a non-negative integer');
+    }
+
+    const now = Date.now();
+    const record = health.get(deviceId) || emptyRecord(deviceId);
+    return health.put({
+        ...record,
+        lastSeenAt: now,
+        lastHeartbeatAt: now,
+        heartbeat: {
+            uptimeSeconds: data.uptimeSeconds,
+            firmwareVersion: data.firmwareVersion.trim(),
+            sensorStatus: data.sensorStatus,
+            queueDepth: data.queueDepth
+        }
+    });
+}
+
+function statusFor(record, now) {
+    if (!record.lastSeenAt) return 'unknown';
+    return now - record.lastSeenAt > OFFLINE_AFTER_SECONDS * 1000 ? 'offline' : 'online';
+}
+
+/**
+ * Health of one registered device, merged with its registry entry
+ */
+function describe(device, now) {
+    const record = health.get(device.id) || emptyRecord(device.id);
+    return {
+        ...devices.toPublicDevice(device),
+        ...record,
+        status: statusFor(record, now)
+    };
+}
+
+/**
+ * Re-evaluates online/offline for every device and stores the changes.
+ * Returns the devices whose status changed.
+ */
+function refreshStatuses() {
+    const now = Date.now();
+    const changed = [];
+    devices.listDevices().forEach(device => {
+        const record = health.get(device.id) || emptyRecord(device.id);
+        const status = statusFor(record, now);
+        if (status !== record.status) {
+            health.put({ ...record, status: status, statusChangedAt: now });
+            changed.push(describe(devices.getDevice(device.id), now));
+        }
+    });
+    return changed;
+}
+
+function listDeviceHealth() {
+    const now = Date.now();
+    return devices.listDevices().map(device => describe(devices.getDevice(device.id), now));
+}
+
+function getDeviceHealth(deviceId) {
+    const device = devices.getDevice(deviceId);
+    return device ? describe(device, Date.now()) : null;
+}
+
+/**
+ * Counts for /health; only enabled devices are expected to be online
+ */
+function summarize() {
+    const enabled = listDeviceHealth().filter(device => device.enabled);
+    const count = status => enabled.filter(device => device.status === status).length;
+    return {
+        total: enabled.length,
+        online: count('online'),
+        offline: count('offline'),
+        unknown: count('unknown'),
+        offlineDevices: enabled.filter(device => device.status === 'offline').map(device => device.id),
+        sensorProblems: enabled
+            .filter(device => device.status === 'online' && device.heartbeat && device.heartbeat.sensorStatus !== 'ok')
+            .map(device => device.id)
+    };
+}
+
+function forgetDevice(deviceId) {
+    return health.remove(deviceId);
+}
+
+module.exports = {
+    OFFLINE_AFTER_SECONDS,
+    SENSOR_STATUSES,
+    touch,
+    recordHeartbeat,
+    refreshStatuses,
+    listDeviceHealth,
+    getDeviceHealth,
+    summarize,
+    forgetDevice
+};
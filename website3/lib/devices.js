@@ -0,0 +1,227 @@
+// ===================================
+// Device Registry
+// Raspberry Pi scanners and their signing secrets
+// ===================================
+
+const crypto = require('crypto');
+const { createCollection } = require('./storage');
+const calendar = require('./calendar');
+
+const devices = createCollection('devices');
+
+// After a rotation the old secret keeps working for this long, so the Pi
+// can be reconfigured without dropping scans
+const ROTATION_GRACE_MS = 10 * 60 * 1000;
+
+const DEVICE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+// explicit: the Pi sends action "in"/"out"; toggle: the server decides
+const SCAN_MODES = ['explicit', 'toggle'];
+
+// Repeat scans by the same person on the same device within this window are
+// ignored as accidental double scans
+const DEFAULT_COOLDOWN_SECONDS = 10;
+const MAX_COOLDOWN_SECONDS = 3600;
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Device record without any secret material, safe to return from the API
+ */
+function toPublicDevice(device) {
+    const { secret, previousSecret, previousSecretExpiresAt, ...publicFields } = device;
+    return publicFields;
+}
+
+function listDevices() {
+    return devices.all().map(toPublicDevice);
+}
+
+function getDevice(id) {
+    return devices.get(id);
+}
+
+/**
+ * Distinct door names across registered devices, sorted
+ */
+function listDoors() {
+    const doors = new Set(devices.all().map(device => device.door).filter(Boolean));
+    return Array.from(doors).sort((a, b) => a.localeCompare(b));
+}
+
+// Optional free-text label: trimmed string, or null when empty
+function normalizeLabel(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function deviceError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function validateScanMode(scanMode) {
+    if (!SCAN_MODES.includes(scanMode)) {
+        throw deviceError('INVALID_DEVICE', `scanMode must be one of: ${SCAN_MODES.join(', ')}`);
+    }
+    return scanMode;
+}
+
+function validateCooldown(seconds) {
+    if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_COOLDOWN_SECONDS) {
+        throw deviceError('INVALID_DEVICE', `cooldownSeconds must be an integer 0-${MAX_COOLDOWN_SECONDS}`);
+    }
+    return seconds;
+}
+
+// Optional IANA zone for a device at another site; null uses the site time zone
+function validateTimeZone(timeZone) {
+    if (timeZone === undefined || timeZone === null || timeZone === '') return null;
+    if (!calendar.isValidTimeZone(timeZone)) {
+        throw deviceError('INVALID_DEVICE', 'timeZone must be an IANA time zone name, e.g. "Europe/Berlin"');
+    }
+    return timeZone;
+}
+
+/**
+ * Scan settings with defaults for devices registered before they existed
+ */
+function getScanSettings(device) {
+    return {
+        scanMode: device.scanMode || 'explicit',
+        cooldownSeconds: device.cooldownSeconds !== undefined ? device.cooldownSeconds : DEFAULT_COOLDOWN_SECONDS
+    };
+}
+
+/**
+ * Time zone for "today" and day boundaries of a device's scans
+ * @param {string} [deviceId]
+ * @returns {string} The device's own zone, or the site time zone
+ */
+function getTimeZone(deviceId) {
+    const device = deviceId ? devices.get(deviceId) : null;
+    return (device && device.timeZone) || calendar.SITE_TIMEZONE;
+}
+
+/**
+ * Registers a device and returns it together with its new secret
+ * @param {object} data - { id?, name?, door?, location?, timeZone?, scanMode?, cooldownSeconds? }
+ * @throws {Error} with a `code` property on invalid input or duplicate ids
+ */
+function registerDevice({ id, name, door, location, timeZone, scanMode, cooldownSeconds }) {
+    const deviceId = id || `pi-${crypto.randomBytes(4).toString('hex')}`;
+
+    if (!DEVICE_ID_PATTERN.test(deviceId)) {
+        throw deviceError('INVALID_DEVICE_ID', 'Device id may only contain letters, digits, "-" and "_" (max 64)');
+    }
+    if (devices.get(deviceId)) {
+        throw deviceError('DEVICE_EXISTS', `Device "${deviceId}" already exists`);
+    }
+
+    const now = Date.now();
+    const device = devices.put({
+        id: deviceId,
+        name: name || deviceId,
+        door: normalizeLabel(door),
+        location: normalizeLabel(location),
+        timeZone: validateTimeZone(timeZone),
+        scanMode: validateScanMode(scanMode || 'explicit'),
+        cooldownSeconds: validateCooldown(cooldownSeconds === undefined ? DEFAULT_COOLDOWN_SECONDS : cooldownSeconds),
+        enabled: true,
+        secret: generateSecret(),
+        createdAt: now,
+        keyRotatedAt: now
+    });
+
+    return { device: toPublicDevice(device), secret: device.secret };
+}
+
+/**
+ * Applies a partial update; returns null when the device does not exist
+ * @throws {Error} with a `code` property on invalid settings
+ */
+function updateDevice(id, changes) {
+    const device = devices.get(id);
+    if (!device) return null;
+
+    const updated = { ...device };
+    if (typeof changes.name === 'string' && changes.name.trim()) {
+        updated.name = changes.name.trim();
+    }
+    if (typeof changes.enabled === 'boolean') {
+        updated.enabled = changes.enabled;
+    }
+    if (changes.scanMode !== undefined) {
+        updated.scanMode = validateScanMode(changes.scanMode);
+    }
+    if (changes.cooldownSeconds !== undefined) {
+        updated.cooldownSeconds = validateCooldown(changes.cooldownSeconds);
+    }
+    // null or "" goes back to the site time zone
+    if (changes.timeZone !== undefined) {
+        updated.timeZone = validateTimeZone(changes.timeZone);
+    }
+    // null or "" clears the door/location
+    ['door', 'location'].forEach(field => {
+        if (changes[field] !== undefined) {
+            updated[field] = normalizeLabel(changes[field]);
+        }
+    });
+
+    return toPublicDevice(devices.put(updated));
+}
+
+/**
+ * Issues a new secret; the previous one stays valid for ROTATION_GRACE_MS
+ */
+function rotateDeviceKey(id) {
+    const device = devices.get(id);
+    if (!device) return null;
+
+    const now = Date.now();
+    const updated = devices.put({
+        ...device,
+        secret: generateSecret(),
+        previousSecret: device.secret,
+        previousSecretExpiresAt: now + ROTATION_GRACE_MS,
+        keyRotatedAt: now
+    });
+
+    return {
+        device: toPublicDevice(updated),
+        secret: updated.secret,
+        previousKeyValidUntil: updated.previousSecretExpiresAt
+    };
+}
+
+function removeDevice(id) {
+    return devices.remove(id);
+}
+
+/**
+ * Secrets currently accepted for a device (current first)
+ */
+function getActiveSecrets(device) {
+    const secrets = [device.secret];
+    if (device.previousSecret && device.previousSecretExpiresAt > Date.now()) {
+        secrets.push(device.previousSecret);
+    }
+    return secrets;
+}
+
+module.exports = {
+    SCAN_MODES,
+    toPublicDevice,
+    getScanSettings,
+    getTimeZone,
+    listDevices,
+    getDevice,
+    listDoors,
+    registerDevice,
+    updateDevice,
+    rotateDeviceKey,
+    removeDevice,
+    getActiveSecrets
+};
@@ -0,0 +1,147 @@
+// ===================================
+// Field-Level Encryption
+// AES-256-GCM for personal data at rest
+// ===================================
+//
+// Collections name the fields that identify a person (names, user ids,
+// fingerprint slots, IPs...); storage.js encrypts those fields whenever a
+// record is written to disk and decrypts them when the file is replayed.
+// Records in memory, indexes and API responses are plain, so lookups by user
+// id work as before.
+//
+// ENCRYPTION_KEYS (storage.encryptionKeys in config.js) lists the keys as
+// "id:base64" pairs, each key 32 random bytes (`openssl rand -base64 32`).
+// The first key encrypts; the others are only used to read values written
+// with them. To rotate, put a new key first and restart: every file still
+// holding values under an old key (or in plaintext) is rewritten with the
+// new one, after which the old key can be dropped.
+//
+// Without ENCRYPTION_KEYS the fields are written in plaintext, and the
+// server says so at startup and in GET /api/config (config.getWarnings).
+//
+// The server log names people by logReference() instead: a keyed hash that
+// stays the same while the active key does (and for the life of the process
+// without keys).
+
+const crypto = require('crypto');
+const config = require('./config');
+
+const ALGORITHM = 'aes-256-gcm';
+
+// enc:<key id>:<iv>:<auth tag>:<ciphertext>, parts in base64url
+const ENCRYPTED_VALUE = /^enc:([A-Za-z0-9_-]{1,32}):([A-Za-z0-9_-]+):([A-Za-z0-9_-]+):([A-Za-z0-9_-]*)$/;
+
+// Validated by config.js
+function readKeys() {
+    return new Map(config.storage.encryptionKeys.map(pair => {
+        const separator = pair.indexOf(':');
+        return [pair.slice(0, separator), Buffer.from(pair.slice(separator + 1), 'base64')];
+    }));
+}
+
+const KEYS = readKeys();
+const ACTIVE_KEY_ID = KEYS.size ? KEYS.keys().next().value : null;
+
+// Derived from the active key, so the log never shows a value the key encrypts
+const LOG_REFERENCE_KEY = ACTIVE_KEY_ID
+    ? crypto.createHmac('sha256', KEYS.get(ACTIVE_KEY_ID)).update('log-reference').digest()
+    : crypto.randomBytes(32);
+
+function isEncrypted(value) {
+    return typeof value === 'string' && ENCRYPTED_VALUE.test(value);
+}
+
+/**
+ * Encrypts any JSON value with the active key. The field name is bound to
+ * the ciphertext, so a value cannot be moved to another field.
+ */
+function encryptValue(value, field) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, KEYS.get(ACTIVE_KEY_ID), iv);
+    cipher.setAAD(Buffer.from(field));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return ['enc', ACTIVE_KEY_ID, iv.toString('base64url'), cipher.getAuthTag().toString('base64url'), ciphertext.toString('base64url')].join(':');
+}
+
+function decryptValue(text, field) {
+    const [, keyId, iv, tag, ciphertext] = ENCRYPTED_VALUE.exec(text);
+    const key = KEYS.get(keyId);
+    if (!key) {
+        throw new Error(`Stored data was encrypted with key "${keyId}", which is not in ENCRYPTION_KEYS`);
+    }
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+    decipher.setAAD(Buffer.from(field));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    try {
+        const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]);
+        return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+        throw new Error(`Stored value of "${field}" could not be decrypted with key "${keyId}" (wrong key or damaged data)`);
+    }
+}
+
+/**
+ * Copy of the record with the given fields encrypted (unchanged when
+ * encryption is off). null and missing fields are left as they are.
+ */
+function encryptFields(record, fields) {
+    if (!ACTIVE_KEY_ID || fields.length === 0) return record;
+    const copy = { ...record };
+    fields.forEach(field => {
+        if (copy[field] !== undefined && copy[field] !== null) {
+            copy[field] = encryptValue(copy[field], field);
+        }
+    });
+    return copy;
+}
+
+/**
+ * Decrypts the given fields of a stored record
+ * @returns {{ record: object, stale: boolean }} stale is true when a field
+ *   should be rewritten: stored in plaintext, or under a key other than the
+ *   active one
+ * @throws {Error} if a value's key is not configured or it fails to decrypt
+ */
+function decryptFields(record, fields) {
+    let stale = false;
+    const copy = { ...record };
+    fields.forEach(field => {
+        const value = copy[field];
+        if (value === undefined || value === null) return;
+        if (isEncrypted(value)) {
+            copy[field] = decryptValue(value, field);
+            if (ENCRYPTED_VALUE.exec(value)[1] !== ACTIVE_KEY_ID) stale = true;
+        } else if (ACTIVE_KEY_ID) {
+            stale = true;
+        }
+    });
+    return { record: copy, stale: stale };
+}
+
+/**
+ * Stands in for an identifier (user id, username, IP) in the server log:
+ * the same value gets the same reference, so its lines can be followed, but
+ * the log alone does not tell whose they are
+ */
+function logReference(value) {
+    const digest = crypto.createHmac('sha256', LOG_REFERENCE_KEY).update(String(value)).digest('hex');
+    return `ref-${digest.slice(0, 12)}`;
+}
+
+/**
+ * Key ids for status displays; never the keys themselves
+ */
+function getStatus() {
+    return {
+        enabled: Boolean(ACTIVE_KEY_ID),
+        activeKey: ACTIVE_KEY_ID,
+        keys: Array.from(KEYS.keys())
+    };
+}
+
+module.exports = {
+    encryptFields,
+    decryptFields,
+    logReference,
+    getStatus
+};
@@ -0,0 +1,209 @@
+// ===================================
+// Enrollment Workflow
+// Server-orchestrated R503 fingerprint enrollment
+// ===================================
+//
+// pending -> claimed -> first_capture -> second_capture -> stored
+//                    \______________________________________-> failed
+// An operator can cancel anything not finished; unfinished enrollments
+// expire when the device stops reporting progress.
+
+const crypto = require('crypto');
+const { createCollection } = require('./storage');
+const users = require('./users');
+
+const enrollments = createCollection('enrollments', { indexes: ['status'], encrypted: ['userId', 'displayName'] });
+
+const ENROLLMENT_TIMEOUT_MS = 10 * 60 * 1000;
+
+const STEPS = ['pending', 'claimed', 'first_capture', 'second_capture', 'stored'];
+const FINISHED = ['stored', 'failed', 'cancelled', 'expired'];
+
+// Device-reported steps (claimed is set by the claim call itself)
+const REPORTABLE = ['first_capture', 'second_capture', 'stored', 'failed'];
+
+function enrollmentError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function isActive(enrollment) {
+    return !FINISHED.includes(enrollment.status);
+}
+
+function transition(enrollment, status, details = {}) {
+    const now = Date.now();
+    return enrollments.put({
+        ...enrollment,
+        ...details,
+        status: status,
+        updatedAt: now,
+        expiresAt: isActive({ status }) ? now + ENROLLMENT_TIMEOUT_MS : null,
+        history: enrollment.history.concat({ status, at: now, message: details.error || null })
+    });
+}
+
+/**
+ * Marks unfinished enrollments whose device went quiet as expired.
+ * Returns the enrollments that changed.
+ */
+function expireStale() {
+    const now = Date.now();
+    return enrollments.all()
+        .filter(enrollment => isActive(enrollment) && enrollment.expiresAt <= now)
+        .map(enrollment => transition(enrollment, 'expired', { error: 'Timed out waiting for the device' }));
+}
+
+function reservedSlots() {
+    return new Set(enrollments.all().filter(isActive).map(enrollment => enrollment.slot));
+}
+
+function nextFreeSlot() {
+    const reserved = reservedSlots();
+    for (let slot = 0; slot < users.FINGERPRINT_SLOT_COUNT; slot++) {
+        if (!users.isSlotAssigned(slot) && !reserved.has(slot)) return slot;
+    }
+    return null;
+}
+
+function listEnrollments(filters = {}) {
+    let list = enrollments.all();
+    if (filters.status) list = list.filter(enrollment => enrollment.status === filters.status);
+    if (filters.userId) list = list.filter(enrollment => enrollment.userId === filters.userId);
+    return list.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function getEnrollment(id) {
+    return enrollments.get(id);
+}
+
+/**
+ * Queues an enrollment for a user
+ * @param {object} request - { userId, deviceId?, slot? }; without deviceId any device may claim it
+ * @param {string} createdBy - Account that requested it
+ * @throws {Error} with a `code` property
+ */
+function createEnrollment({ userId, deviceId, slot }, createdBy) {
+    const user = users.getUser(userId);
+    if (!user) {
+        throw enrollmentError('USER_UNKNOWN', `User "${userId}" not found`);
+    }
+
+    let targetSlot = slot;
+    if (targetSlot === undefined || targetSlot === null) {
+        targetSlot = nextFreeSlot();
+        if (targetSlot === null) {
+            throw enrollmentError('NO_FREE_SLOT', 'All fingerprint slots are in use');
+        }
+    } else if (!Number.isInteger(targetSlot) || targetSlot < 0 || targetSlot >= users.FINGERPRINT_SLOT_COUNT) {
+        throw enrollmentError('INVALID_SLOT', `slot must be an integer 0-${users.FINGERPRINT_SLOT_COUNT - 1}`);
+    } else if (users.isSlotAssigned(targetSlot) || reservedSlots().has(targetSlot)) {
+        throw enrollmentError('SLOT_TAKEN', `Fingerprint slot ${targetSlot} is already in use`);
+    }
+
+    const now = Date.now();
+    return enrollments.put({
+        id: crypto.randomUUID(),
+        userId: user.id,
+        displayName: user.displayName,
+        deviceId: deviceId || null,
+        slot: targetSlot,
+        status: 'pending',
+        error: null,
+        createdBy: createdBy,
+        createdAt: now,
+        updatedAt: now,
+        expiresAt: now + ENROLLMENT_TIMEOUT_MS,
+        history: [{ status: 'pending', at: now, message: null }]
+    });
+}
+
+/**
+ * Hands the oldest pending enrollment for this device to it, or null
+ */
+function claimNextEnrollment(deviceId) {
+    const next = enrollments.find('status', 'pending')
+        .filter(enrollment => !enrollment.deviceId || enrollment.deviceId === deviceId)
+        .sort((a, b) => a.createdAt - b.createdAt)[0];
+
+    if (!next) return null;
+    return transition(next, 'claimed', { deviceId: deviceId });
+}
+
+/**
+ * Records a progress report from the device. On "stored" the slot is bound
+ * to the user record.
+ * @param {object} report - { status, slot?, error? }
+ * @throws {Error} with a `code` property
+ */
+function reportProgress(id, deviceId, report) {
+    const enrollment = enrollments.get(id);
+    if (!enrollment || enrollment.deviceId !== deviceId) {
+        throw enrollmentError('ENROLLMENT_UNKNOWN', 'Enrollment not found for this device');
+    }
+    // A pending enrollment bound to this device may start directly (enroll command)
+    if (!isActive(enrollment)) {
+        throw enrollmentError('ENROLLMENT_NOT_ACTIVE', `Enrollment is ${enrollment.status}`);
+    }
+    if (!REPORTABLE.includes(report.status)) {
+        throw enrollmentError('INVALID_STATUS', `status must be one of: ${REPORTABLE.join(', ')}`);
+    }
+
+    if (report.status === 'failed') {
+        return transition(enrollment, 'failed', { error: String(report.error || 'Device reported a failure') });
+    }
+    if (STEPS.indexOf(report.status) <= STEPS.indexOf(enrollment.status)) {
+        throw enrollmentError('INVALID_STATUS', `Cannot go from ${enrollment.status} to ${report.status}`);
+    }
+
+    if (report.status !== 'stored') {
+        return transition(enrollment, report.status);
+    }
+
+    // Template is on the sensor: bind the slot the device actually used
+    const slot = report.slot !== undefined ? Number(report.slot) : enrollment.slot;
+    const user = users.getUser(enrollment.userId);
+    if (!user) {
+        return transition(enrollment, 'failed', { error: 'User was removed during enrollment' });
+    }
+    try {
+        users.updateUser(user.id, { fingerprintSlots: user.fingerprintSlots.concat(slot) });
+    } catch (error) {
+        return transition(enrollment, 'failed', { slot: slot, error: error.message });
+    }
+    return transition(enrollment, 'stored', { slot: slot });
+}
+
+function cancelEnrollment(id) {
+    const enrollment = enrollments.get(id);
+    if (!enrollment) return null;
+    if (!isActive(enrollment)) {
+        throw enrollmentError('ENROLLMENT_NOT_ACTIVE', `Enrollment is already ${enrollment.status}`);
+    }
+    return transition(enrollment, 'cancelled');
+}
+
+/**
+ * Deletes every enrollment of a user (e.g. when the person is erased) and
+ * rewrites the file without them
+ * @returns {object[]} The removed enrollments
+ */
+function removeForUser(userId) {
+    const removed = listEnrollments({ userId: userId });
+    removed.forEach(enrollment => enrollments.remove(enrollment.id));
+    enrollments.compact();
+    return removed;
+}
+
+module.exports = {
+    ENROLLMENT_TIMEOUT_MS,
+    expireStale,
+    listEnrollments,
+    getEnrollment,
+    createEnrollment,
+    claimNextEnrollment,
+    reportProgress,
+    cancelEnrollment,
+    removeForUser
+};
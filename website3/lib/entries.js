@@ -0,0 +1,121 @@
+// ===================================
+// Entry Validation
+// Shared rules for incoming scan data
+// ===================================
+
+const ACTIONS = ['in', 'out'];
+
+// Why a scan was denied. Devices report the first four; the server also
+// denies fingerprint slots that belong to no user.
+const DENIAL_REASONS = ['NO_MATCH', 'LOW_CONFIDENCE', 'OUTSIDE_SCHEDULE', 'USER_DISABLED', 'UNKNOWN_FINGERPRINT'];
+
+/**
+ * Converts Unix seconds, Unix milliseconds or an ISO date string to
+ * milliseconds. Returns NaN when the value cannot be understood.
+ */
+function normalizeTimestamp(value) {
+    let timestamp = value;
+
+    // Query strings and CSV cells carry numbers as text
+    if (typeof timestamp === 'string' && /^\d+(\.\d+)?$/.test(timestamp.trim())) {
+        timestamp = Number(timestamp);
+    }
+
+    if (typeof timestamp === 'number' && timestamp < 10000000000) {
+        // Likely in seconds, convert to milliseconds
+        timestamp = timestamp * 1000;
+    } else if (typeof timestamp === 'string') {
+        // ISO string
+        timestamp = new Date(timestamp).getTime();
+    }
+
+    return typeof timestamp === 'number' ? timestamp : NaN;
+}
+
+function hasValue(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+// R503 match score: optional, a non-negative number
+function isValidScore(score) {
+    return !hasValue(score) || (typeof score === 'number' && Number.isFinite(score) && score >= 0);
+}
+
+/**
+ * Validates a { name | fingerprintId, action, timestamp } payload.
+ * Identity is resolved later (lib/users.js); this only checks the shape.
+ * @param {object} data
+ * @param {object} [options]
+ * @param {boolean} [options.requireAction=true] - false lets the server decide in/out (toggle mode)
+ * @returns {{ error: string }|{ value: { name?: string, fingerprintId?: number, action?: string, timestamp: number } }}
+ */
+function validateEntry(data, options = {}) {
+    const requireAction = options.requireAction !== false;
+
+    if (!data || (!data.name && !hasValue(data.fingerprintId)) || (requireAction && !data.action) || !data.timestamp) {
+        return {
+            error: requireAction
+                ? 'Invalid data format. Required: name or fingerprintId, action, timestamp'
+                : 'Invalid data format. Required: name or fingerprintId, timestamp'
+        };
+    }
+
+    if (hasValue(data.action) && !ACTIONS.includes(data.action)) {
+        return { error: 'Invalid action. Must be "in" or "out"' };
+    }
+
+    const timestamp = normalizeTimestamp(data.timestamp);
+    if (!Number.isFinite(timestamp)) {
+        return { error: 'Invalid timestamp. Use Unix seconds/milliseconds or an ISO date string' };
+    }
+    if (!isValidScore(data.score)) {
+        return { error: 'Invalid score. Must be a non-negative number' };
+    }
+
+    const value = {
+        timestamp: timestamp
+    };
+    if (hasValue(data.action)) value.action = data.action;
+    if (data.name) value.name = String(data.name);
+    if (hasValue(data.fingerprintId)) value.fingerprintId = Number(data.fingerprintId);
+    if (hasValue(data.score)) value.score = data.score;
+
+    return { value };
+}
+
+/**
+ * Validates a denied scan: { action: "denied", reason, timestamp, score?, fingerprintId?, name? }.
+ * No identity is needed, since a finger that did not match has none.
+ * @returns {{ error: string }|{ value: { reason: string, timestamp: number, score?: number, fingerprintId?: number, name?: string } }}
+ */
+function validateDenial(data) {
+    if (!data || !data.reason || !data.timestamp) {
+        return { error: 'Invalid data format. Required for a denied scan: reason, timestamp' };
+    }
+    if (!DENIAL_REASONS.includes(data.reason)) {
+        return { error: `Invalid reason. Must be one of: ${DENIAL_REASONS.join(', ')}` };
+    }
+
+    const timestamp = normalizeTimestamp(data.timestamp);
+    if (!Number.isFinite(timestamp)) {
+        return { error: 'Invalid timestamp. Use Unix seconds/milliseconds or an ISO date string' };
+    }
+    if (!isValidScore(data.score)) {
+        return { error: 'Invalid score. Must be a non-negative number' };
+    }
+
+    const value = { reason: data.reason, timestamp: timestamp };
+    if (hasValue(data.score)) value.score = data.score;
+    if (hasValue(data.fingerprintId)) value.fingerprintId = Number(data.fingerprintId);
+    if (data.name) value.name = String(data.name);
+
+    return { value };
+}
+
+module.exports = {
+    ACTIONS,
+    DENIAL_REASONS,
+    normalizeTimestamp,
+    validateEntry,
+    validateDenial
+};
@@ -0,0 +1,213 @@
+// ===================================
+// Event Store
+// Fingerprint scan history on durable storage
+// ===================================
+
+const crypto = require('crypto');
+const { createCollection } = require('./storage');
+const { compareByTime, createTimeline } = require('./timeline');
+
+const events = createCollection('events', {
+    indexes: ['name', 'userId', 'deviceId', 'door', 'clientEventId', 'importId'],
+    encrypted: ['name', 'userId', 'fingerprintId']
+});
+
+// Events in time order; filters on these fields are answered from an index
+const timeline = createTimeline(events, ['userId', 'name', 'deviceId', 'door']);
+
+/**
+ * Stores a normalized entry and returns the stored event (with its id)
+ */
+function addEvent(entry) {
+    return timeline.add({ id: crypto.randomUUID(), ...entry });
+}
+
+/**
+ * Stores many normalized entries at once, e.g. an import, and returns the
+ * stored events in the order given. The batch is written in one go and
+ * merged into the timeline in a single pass, however far back it reaches.
+ */
+function addEvents(entries) {
+    return timeline.addMany(entries.map(entry => ({ id: crypto.randomUUID(), ...entry })));
+}
+
+function getEvent(id) {
+    return events.get(id);
+}
+
+/**
+ * Returns events matching the given filters
+ * @param {object} [filters]
+ * @param {string} [filters.userId]
+ * @param {string} [filters.name]
+ * @param {string} [filters.action]
+ * @param {string} [filters.deviceId]
+ * @param {string} [filters.door]
+ * @param {number} [filters.from] - Inclusive lower timestamp bound (ms)
+ * @param {number} [filters.to] - Exclusive upper timestamp bound (ms)
+ * @param {'asc'|'desc'} [filters.order] - Defaults to newest first
+ * @param {number} [filters.limit]
+ */
+function queryEvents(filters = {}) {
+    let results = timeline.select(filters);
+    if (filters.action !== undefined) {
+        results = results.filter(event => event.action === filters.action);
+    }
+
+    if (filters.order !== 'asc') {
+        results.reverse();
+    }
+    if (filters.limit !== undefined) {
+        results = results.slice(0, filters.limit);
+    }
+
+    return results;
+}
+
+// Cursors are "<timestamp>.<receivedAt>.<id>" of the last event on a page
+function encodeCursor(event) {
+    return `${event.timestamp}.${event.receivedAt}.${event.id}`;
+}
+
+function decodeCursor(cursor) {
+    const match = /^(-?\d+)\.(\d+)\.(.+)$/.exec(String(cursor));
+    if (!match) return null;
+    return { timestamp: Number(match[1]), receivedAt: Number(match[2]), id: match[3] };
+}
+
+/**
+ * Cursor-paginated variant of queryEvents
+ * @param {object} filters - Same filters as queryEvents (without limit)
+ * @param {object} page
+ * @param {number} page.limit
+ * @param {string} [page.cursor] - nextCursor from the previous page
+ * @returns {{ data: object[], total: number, nextCursor: string|null }}
+ * @throws {Error} with code INVALID_CURSOR
+ */
+function paginateEvents(filters, page) {
+    const matches = queryEvents({ ...filters, limit: undefined });
+
+    let start = 0;
+    if (page.cursor) {
+        const position = decodeCursor(page.cursor);
+        if (!position) {
+            const error = new Error('Invalid cursor');
+            error.code = 'INVALID_CURSOR';
+            throw error;
+        }
+        // First event strictly after the cursor in the requested order
+        const direction = filters.order === 'asc' ? 1 : -1;
+        start = matches.findIndex(event => compareByTime(event, position) * direction > 0);
+        if (start < 0) start = matches.length;
+    }
+
+    const data = matches.slice(start, start + page.limit);
+    const hasMore = start + page.limit < matches.length;
+
+    return {
+        data: data,
+        total: matches.length,
+        nextCursor: hasMore ? encodeCursor(data[data.length - 1]) : null
+    };
+}
+
+/**
+ * The event a device already sent under its own eventId, or null
+ */
+function findByClientEventId(deviceId, clientEventId) {
+    return events.find('clientEventId', clientEventId)
+        .find(event => event.deviceId === deviceId) || null;
+}
+
+/**
+ * The event an earlier import from the same source stored under a row's eventId, or null
+ */
+function findImportedEvent(source, clientEventId) {
+    return events.find('clientEventId', clientEventId)
+        .find(event => event.importId && event.source === source) || null;
+}
+
+/**
+ * Events stored by one import
+ */
+function listImportedEvents(importId) {
+    return events.find('importId', importId);
+}
+
+/**
+ * Deletes events by id
+ * @returns {number} How many were removed
+ */
+function removeEvents(ids) {
+    return timeline.remove(ids);
+}
+
+/**
+ * Stores changed copies of events (same ids and timestamps), e.g. with the
+ * person replaced by a pseudonym
+ * @returns {number} How many were replaced
+ */
+function replaceEvents(updated) {
+    return timeline.replace(updated);
+}
+
+/**
+ * Rewrites the log file without removed or replaced versions, so erased
+ * data is gone from disk and not only from memory
+ */
+function compactEvents() {
+    events.compact();
+}
+
+function getLatestEvent() {
+    return timeline.latest();
+}
+
+/**
+ * How many events match, without copying them when an index or the time
+ * range alone answers it
+ * @param {object} [filters] - Same filters as queryEvents (without order and limit)
+ */
+function countEvents(filters = {}) {
+    if (filters.action !== undefined) {
+        return queryEvents(filters).length;
+    }
+    return timeline.count(filters);
+}
+
+/**
+ * Doors that have events, unsorted
+ */
+function listDoors() {
+    return events.values('door');
+}
+
+/**
+ * Archives the whole event log and starts a fresh one
+ * @returns {{ purged: number, archive: string|null }}
+ */
+function purgeEvents() {
+    const purged = timeline.length;
+    const archive = events.archive();
+    timeline.reload();
+    return { purged, archive };
+}
+
+module.exports = {
+    compareByTime,
+    addEvent,
+    addEvents,
+    getEvent,
+    queryEvents,
+    paginateEvents,
+    findByClientEventId,
+    findImportedEvent,
+    listImportedEvents,
+    removeEvents,
+    replaceEvents,
+    compactEvents,
+    getLatestEvent,
+    countEvents,
+    listDoors,
+    purgeEvents
+};
@@ -0,0 +1,216 @@
+// ===================================
+// Data Export
+// Events, sessions and timesheets as CSV, JSON Lines or XLSX
+// ===================================
+//
+// Each table is a list of columns ({ key, header, type, value(row) }) plus the
+// rows to export. Date-times are shown in the export's time zone (the site
+// time zone by default): ISO strings with the offset in CSV and JSON Lines,
+// date cells in XLSX. Lists stay arrays in JSON Lines and are space-separated
+// elsewhere.
+
+const { buildWorkbook } = require('./xlsx');
+const calendar = require('./calendar');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const EVENT_COLUMNS = [
+    { key: 'id', header: 'Event ID' },
+    { key: 'timestamp', header: 'Time', type: 'datetime' },
+    { key: 'name', header: 'Name' },
+    { key: 'userId', header: 'User ID' },
+    { key: 'fingerprintId', header: 'Fingerprint slot', type: 'number' },
+    { key: 'action', header: 'Action' },
+    { key: 'score', header: 'Match score', type: 'number' },
+    { key: 'inferred', header: 'Action inferred', type: 'boolean', value: entry => Boolean(entry.inferred) },
+    { key: 'door', header: 'Door' },
+    { key: 'location', header: 'Location' },
+    { key: 'deviceId', header: 'Device' },
+    { key: 'anomalies', header: 'Anomalies', type: 'list' },
+    { key: 'clientEventId', header: 'Device event ID' },
+    { key: 'receivedAt', header: 'Received', type: 'datetime' }
+];
+
+const SESSION_COLUMNS = [
+    { key: 'id', header: 'Session ID' },
+    { key: 'name', header: 'Name' },
+    { key: 'userId', header: 'User ID' },
+    { key: 'door', header: 'Door' },
+    { key: 'start', header: 'Signed in', type: 'datetime' },
+    { key: 'end', header: 'Signed out', type: 'datetime' },
+    { key: 'hours', header: 'Hours', type: 'number',
+      value: session => (session.durationMs === null ? null : Math.round(session.durationMs / 36000) / 100) },
+    { key: 'status', header: 'Status' },
+    { key: 'anomalies', header: 'Anomalies', type: 'list' },
+    { key: 'startEventId', header: 'Sign-in event ID' },
+    { key: 'endEventId', header: 'Sign-out event ID' }
+];
+
+// One row per person and day of a timesheet report
+const TIMESHEET_COLUMNS = [
+    { key: 'name', header: 'Name' },
+    { key: 'userId', header: 'User ID' },
+    { key: 'date', header: 'Date' },
+    { key: 'week', header: 'Week' },
+    { key: 'hours', header: 'Hours', type: 'number' },
+    { key: 'sessions', header: 'Sessions', type: 'number' },
+    { key: 'incomplete', header: 'Incomplete', type: 'boolean' },
+    { key: 'open', header: 'In progress', type: 'boolean' },
+    { key: 'anomalies', header: 'Anomalies', type: 'list' }
+];
+
+function timesheetRows(report) {
+    const rows = [];
+    report.people.forEach(person => {
+        person.days.forEach(day => {
+            rows.push({
+                ...day,
+                name: person.name,
+                userId: person.userId,
+                week: calendar.formatWeek(day.dayStart, report.timeZone)
+            });
+        });
+    });
+    return rows;
+}
+
+const TABLES = {
+    events: { columns: EVENT_COLUMNS, sheet: 'Events' },
+    sessions: { columns: SESSION_COLUMNS, sheet: 'Sessions' },
+    timesheet: { columns: TIMESHEET_COLUMNS, sheet: 'Timesheet', rows: timesheetRows }
+};
+
+function cellValue(column, row) {
+    const value = column.value ? column.value(row) : row[column.key];
+    return value === undefined ? null : value;
+}
+
+// CSV and JSON Lines write date-times as text
+function textCellValue(column, row, timeZone) {
+    const value = cellValue(column, row);
+    if (column.type === 'datetime' && value !== null) return calendar.formatDateTime(value, timeZone);
+    return value;
+}
+
+// CSV and XLSX cells hold a single value
+function flatList(value) {
+    return Array.isArray(value) ? value.join(' ') : value;
+}
+
+function header(column, timeZone) {
+    return column.type === 'datetime' ? `${column.header} (${timeZone})` : column.header;
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+function neutralizeFormula(text) {
+    return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+function csvField(value) {
+    if (value === null) return '';
+    let text = String(value);
+    if (typeof value === 'string') text = neutralizeFormula(text);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows, timeZone) {
+    const lines = [columns.map(column => csvField(header(column, timeZone))).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => csvField(flatList(textCellValue(column, row, timeZone)))).join(','));
+    });
+    // The byte order mark makes Excel read the file as UTF-8
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+function toJsonLines(columns, rows, timeZone) {
+    return rows.map(row => {
+        const record = {};
+        columns.forEach(column => {
+            record[column.key] = textCellValue(column, row, timeZone);
+        });
+        return JSON.stringify(record) + '\n';
+    }).join('');
+}
+
+function xlsxCellValue(column, row, timeZone) {
+    const value = cellValue(column, row);
+    if (column.type === 'datetime' && value !== null) {
+        // Spreadsheet dates have no zone: store the local wall-clock time
+        return new Date(calendar.wallClockTime(value, timeZone));
+    }
+    return flatList(value);
+}
+
+function toXlsx(columns, rows, sheetName, timeZone) {
+    return buildWorkbook(
+        sheetName,
+        columns.map(column => header(column, timeZone)),
+        rows.map(row => columns.map(column => xlsxCellValue(column, row, timeZone)))
+    );
+}
+
+/**
+ * Validates ?format= (csv, jsonl or xlsx)
+ * @returns {{ error: string }|{ format: string }}
+ */
+function parseFormat(value) {
+    const format = value ? String(value).toLowerCase() : 'csv';
+    if (!EXPORT_FORMATS[format]) {
+        return { error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+    }
+    return { format };
+}
+
+/**
+ * Renders a table in the requested format
+ * @param {'events'|'sessions'|'timesheet'} table
+ * @param {'csv'|'jsonl'|'xlsx'} format
+ * @param {Array|object} data - Events or sessions, or a timesheet report
+ * @param {string} [timeZone] - Zone for date-times; defaults to the site time zone
+ * @returns {{ filename: string, contentType: string, body: string|Buffer, rows: number }}
+ */
+function renderExport(table, format, data, timeZone = calendar.SITE_TIMEZONE) {
+    const { columns, sheet, rows: toRows } = TABLES[table];
+    const rows = toRows ? toRows(data) : data;
+    const { contentType, extension } = EXPORT_FORMATS[format];
+
+    let body;
+    if (format === 'csv') body = toCsv(columns, rows, timeZone);
+    else if (format === 'jsonl') body = toJsonLines(columns, rows, timeZone);
+    else body = toXlsx(columns, rows, sheet, timeZone);
+
+    return {
+        filename: `${table}-${calendar.formatDate(Date.now(), timeZone)}.${extension}`,
+        contentType: contentType,
+        body: body,
+        rows: rows.length
+    };
+}
+
+/**
+ * Sends an export as a file download (413 when it does not fit a worksheet)
+ */
+function sendExport(res, table, format, data, timeZone) {
+    let file;
+    try {
+        file = renderExport(table, format, data, timeZone);
+    } catch (error) {
+        if (error.code !== 'EXPORT_TOO_LARGE') throw error;
+        return res.status(413).json({ error: error.message, code: error.code });
+    }
+    res.attachment(file.filename);
+    res.type(file.contentType);
+    res.setHeader('X-Export-Rows', String(file.rows));
+    res.send(file.body);
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    parseFormat,
+    renderExport,
+    sendExport
+};
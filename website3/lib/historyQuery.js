@@ -0,0 +1,67 @@
+// ===================================
+// History Query Parameters
+// Shared by /api/data and anything that filters the event log
+// ===================================
+
+const { ACTIONS, normalizeTimestamp } = require('./entries');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Parses ?user=&name=&action=&device=&door=&from=&to=&order=&limit=&cursor=
+ * from/to accept Unix seconds, milliseconds or ISO dates (to is exclusive).
+ * @returns {{ error: string }|{ filters: object, page: { limit: number, cursor?: string } }}
+ */
+function parseHistoryQuery(query) {
+    const filters = {};
+
+    if (query.user) filters.userId = String(query.user);
+    if (query.name) filters.name = String(query.name);
+    if (query.device) filters.deviceId = String(query.device);
+    if (query.door) filters.door = String(query.door);
+
+    if (query.action) {
+        if (!ACTIONS.includes(query.action)) {
+            return { error: `action must be one of: ${ACTIONS.join(', ')}` };
+        }
+        filters.action = query.action;
+    }
+
+    for (const bound of ['from', 'to']) {
+        if (query[bound] === undefined || query[bound] === '') continue;
+        const timestamp = normalizeTimestamp(String(query[bound]));
+        if (!Number.isFinite(timestamp)) {
+            return { error: `${bound} must be a Unix timestamp or ISO date` };
+        }
+        filters[bound] = timestamp;
+    }
+    if (filters.from !== undefined && filters.to !== undefined && filters.from >= filters.to) {
+        return { error: 'from must be earlier than to' };
+    }
+
+    const order = query.order || 'desc';
+    if (order !== 'asc' && order !== 'desc') {
+        return { error: 'order must be "asc" or "desc"' };
+    }
+    filters.order = order;
+
+    let limit = DEFAULT_PAGE_SIZE;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+        }
+    }
+
+    const page = { limit };
+    if (query.cursor) page.cursor = String(query.cursor);
+
+    return { filters, page };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    parseHistoryQuery
+};
@@ -0,0 +1,370 @@
+// ===================================
+// Bulk Import
+// Historical attendance records from CSV, JSON or JSON Lines files
+// ===================================
+//
+// Every row passes the same checks as POST /fingerprint-data (lib/ingest.js)
+// and identity resolution. Valid rows are stored together, without a device,
+// and carry the import's `source` tag and `importId` so the whole import can
+// be rolled back. The sessions of everyone in the file are then rebuilt once,
+// which also flags the imported scans, instead of once per row. A dry run
+// reports the outcome of every row without storing anything.
+
+const crypto = require('crypto');
+const { createCollection } = require('./storage');
+const eventStore = require('./eventStore');
+const sessions = require('./sessions');
+const users = require('./users');
+const { validateScan } = require('./ingest');
+
+const IMPORT_FORMATS = ['csv', 'json', 'jsonl'];
+const MAX_IMPORT_ROWS = 50000;
+const SOURCE_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/;
+
+// Row fields, also the accepted CSV headers (matched case-insensitively)
+const ROW_FIELDS = ['eventId', 'name', 'fingerprintId', 'action', 'timestamp', 'door', 'location'];
+
+const imports = createCollection('imports');
+
+function importError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Splits CSV text into records (RFC 4180: quoted fields may hold commas,
+ * quotes and line breaks). Each record keeps the line it starts on.
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endRecord = () => {
+        record.push(field);
+        // Blank lines are skipped
+        if (record.length > 1 || record[0] !== '') {
+            records.push({ line: recordLine, values: record });
+        }
+        record = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw importError('INVALID_FILE', `Unterminated quoted field starting on line ${recordLine}`);
+    }
+    if (field !== '' || record.length > 0) endRecord();
+    return records;
+}
+
+function csvRows(text) {
+    const [header, ...records] = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!header) {
+        throw importError('INVALID_FILE', 'The file is empty');
+    }
+
+    const columns = header.values.map(title => {
+        const key = title.trim().toLowerCase();
+        return ROW_FIELDS.find(field => field.toLowerCase() === key) || null;
+    });
+    if (!columns.includes('timestamp')) {
+        throw importError('INVALID_FILE', `The first line must name the columns, including timestamp. Known columns: ${ROW_FIELDS.join(', ')}`);
+    }
+
+    return records.map(record => {
+        const data = {};
+        columns.forEach((field, index) => {
+            const value = (record.values[index] || '').trim();
+            if (field && value !== '') data[field] = value;
+        });
+        return { row: record.line, data: data };
+    });
+}
+
+function jsonRows(body) {
+    const list = Array.isArray(body) ? body : body && body.events;
+    if (!Array.isArray(list)) {
+        throw importError('INVALID_FILE', 'JSON imports must be an array of rows or { events: [...] }');
+    }
+    return list.map((data, index) => ({ row: index + 1, data: data }));
+}
+
+function jsonLinesRows(text) {
+    const rows = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+            rows.push({ row: index + 1, data: JSON.parse(line) });
+        } catch (error) {
+            rows.push({ row: index + 1, error: 'Line is not valid JSON', code: 'INVALID_ROW' });
+        }
+    });
+    return rows;
+}
+
+/**
+ * Turns an uploaded file into numbered rows. `row` is the line number for
+ * CSV and JSON Lines, and the 1-based position for JSON arrays.
+ * @param {string|object|Array} body - File text, or already-parsed JSON
+ * @param {'csv'|'json'|'jsonl'} format
+ * @returns {Array<{ row: number, data?: object, error?: string, code?: string }>}
+ * @throws {Error} with code INVALID_FILE or IMPORT_TOO_LARGE
+ */
+function parseRows(body, format) {
+    let rows;
+    if (format === 'json') {
+        let parsed = body;
+        if (typeof body === 'string') {
+            try {
+                parsed = JSON.parse(body);
+            } catch (error) {
+                throw importError('INVALID_FILE', 'The file is not valid JSON');
+            }
+        }
+        rows = jsonRows(parsed);
+    } else if (typeof body !== 'string') {
+        throw importError('INVALID_FILE', `${format === 'csv' ? 'CSV' : 'JSON Lines'} imports must be sent as text`);
+    } else {
+        rows = format === 'csv' ? csvRows(body) : jsonLinesRows(body);
+    }
+
+    if (rows.length === 0) {
+        throw importError('INVALID_FILE', 'The file has no rows');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw importError('IMPORT_TOO_LARGE', `An import may hold at most ${MAX_IMPORT_ROWS} rows`);
+    }
+    return rows;
+}
+
+function optionalLabel(data, field) {
+    const value = data[field];
+    if (value === undefined || value === null || value === '') return { value: null };
+    if (typeof value !== 'string') return { error: `${field} must be text` };
+    return { value: value.trim() || null };
+}
+
+/**
+ * Checks one row without storing it
+ */
+function checkRow(item, source, seenEventIds) {
+    const { row, data } = item;
+    if (item.error) {
+        return { row, status: 'rejected', error: item.error, code: item.code };
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { row, status: 'rejected', error: 'Row must be an object', code: 'INVALID_ROW' };
+    }
+
+    const checked = validateScan(data);
+    if (checked.error) {
+        return { row, status: 'rejected', error: checked.error, code: checked.code };
+    }
+    const { value, eventId } = checked;
+
+    const identity = users.resolveIdentity(value);
+    if (identity.error) {
+        return { row, status: 'rejected', error: identity.error, code: identity.code };
+    }
+
+    const door = optionalLabel(data, 'door');
+    const location = optionalLabel(data, 'location');
+    if (door.error || location.error) {
+        return { row, status: 'rejected', error: door.error || location.error, code: 'INVALID_ENTRY' };
+    }
+
+    const result = {
+        row,
+        status: 'valid',
+        eventId: eventId || null,
+        name: identity.name,
+        userId: identity.userId,
+        action: value.action,
+        timestamp: value.timestamp
+    };
+
+    // Re-importing the same file (or a row repeated in it) is not recorded twice
+    if (eventId !== undefined) {
+        const existing = eventStore.findImportedEvent(source, eventId);
+        if (existing || seenEventIds.has(eventId)) {
+            return { ...result, status: 'duplicate', entryId: existing ? existing.id : null };
+        }
+        seenEventIds.add(eventId);
+    }
+
+    result.scan = {
+        name: identity.name,
+        userId: identity.userId,
+        fingerprintId: value.fingerprintId !== undefined ? value.fingerprintId : null,
+        action: value.action,
+        timestamp: value.timestamp,
+        deviceId: null,
+        door: door.value,
+        location: location.value,
+        clientEventId: eventId || null
+    };
+    return result;
+}
+
+function validateSource(source) {
+    if (typeof source !== 'string' || !SOURCE_PATTERN.test(source)) {
+        throw importError('INVALID_SOURCE', 'source must be 1-64 letters, digits or ". _ : -" (e.g. "paper-2024")');
+    }
+    return source;
+}
+
+/**
+ * Validates the rows and, unless it is a dry run, stores the valid ones
+ * @param {object} options
+ * @param {Array} options.rows - From parseRows
+ * @param {string} options.source - Tag stored on every imported event
+ * @param {string} options.format
+ * @param {boolean} [options.dryRun]
+ * @param {string} createdBy - Account id of the importer
+ * @returns {{ import: object|null, dryRun: boolean, summary: object, results: object[] }}
+ * @throws {Error} with code INVALID_SOURCE
+ */
+function runImport({ rows, source, format, dryRun }, createdBy) {
+    validateSource(source);
+
+    const seenEventIds = new Set();
+    const results = rows.map(item => checkRow(item, source, seenEventIds));
+    const valid = results.filter(result => result.status === 'valid');
+
+    let record = null;
+    if (!dryRun && valid.length > 0) {
+        const id = crypto.randomUUID();
+        const receivedAt = Date.now();
+
+        const stored = eventStore.addEvents(valid.map(result => ({
+            ...result.scan,
+            receivedAt: receivedAt,
+            source: source,
+            importId: id,
+            inferred: false,
+            anomalies: []
+        })));
+        // Saves the anomalies of the imported scans, and of later ones they change
+        sessions.refresh(new Set(stored.map(sessions.personKey)));
+
+        valid.forEach((result, index) => {
+            const entry = eventStore.getEvent(stored[index].id);
+            result.status = 'imported';
+            result.entryId = entry.id;
+            result.anomalies = entry.anomalies;
+        });
+
+        const timestamps = valid.map(result => result.timestamp).sort((a, b) => a - b);
+        record = imports.put({
+            id: id,
+            source: source,
+            format: format,
+            status: 'applied',
+            createdAt: receivedAt,
+            createdBy: createdBy,
+            rows: rows.length,
+            imported: valid.length,
+            duplicates: results.filter(result => result.status === 'duplicate').length,
+            rejected: results.filter(result => result.status === 'rejected').length,
+            from: timestamps[0],
+            to: timestamps[timestamps.length - 1]
+        });
+    }
+
+    results.forEach(result => delete result.scan);
+
+    const count = status => results.filter(result => result.status === status).length;
+    const summary = { rows: rows.length };
+    if (dryRun) summary.valid = count('valid');
+    else summary.imported = count('imported');
+    summary.duplicates = count('duplicate');
+    summary.rejected = count('rejected');
+
+    return {
+        import: record,
+        dryRun: Boolean(dryRun),
+        summary: summary,
+        results: results
+    };
+}
+
+/**
+ * Imports, newest first
+ */
+function listImports() {
+    return imports.all().sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function getImport(id) {
+    return imports.get(id) || null;
+}
+
+/**
+ * Deletes every event an import stored, rewrites the events file without
+ * them and rebuilds the sessions of the people concerned
+ * @throws {Error} with code IMPORT_UNKNOWN or IMPORT_ROLLED_BACK
+ */
+function rollbackImport(id, rolledBackBy) {
+    const record = imports.get(id);
+    if (!record) {
+        throw importError('IMPORT_UNKNOWN', 'Import not found');
+    }
+    if (record.status === 'rolled_back') {
+        throw importError('IMPORT_ROLLED_BACK', 'This import was already rolled back');
+    }
+
+    const imported = eventStore.listImportedEvents(id);
+    const removed = eventStore.removeEvents(imported.map(event => event.id));
+    sessions.refresh(new Set(imported.map(sessions.personKey)));
+    eventStore.compactEvents();
+
+    return imports.put({
+        ...record,
+        status: 'rolled_back',
+        rolledBackAt: Date.now(),
+        rolledBackBy: rolledBackBy,
+        removed: removed
+    });
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    MAX_IMPORT_ROWS,
+    ROW_FIELDS,
+    parseRows,
+    runImport,
+    listImports,
+    getImport,
+    rollbackImport
+};
@@ -0,0 +1,198 @@
+// ===================================
+// Scan Ingestion
+// Turns a device payload into a stored event
+// ===================================
+//
+// Devices may tag each scan with their own eventId. The id is stored on the
+// event, so a scan that is retried (or flushed again after an outage) is
+// recognised and not recorded twice. Every stored scan also advances the
+// person's in/out state (lib/sessions.js) and carries the anomalies it raised.
+//
+// Devices in toggle mode send no action: the person's state decides it
+// (outside -> "in", inside -> "out"). A repeat scan by the same person on
+// the same device within the device's cooldown is ignored, not stored.
+//
+// Denied scans go to the security feed (lib/security.js) instead: those the
+// device reports with action "denied", and those the server refuses because
+// the slot belongs to no one, the user is disabled or the match score is
+// below MIN_MATCH_SCORE.
+
+const config = require('./config');
+const eventStore = require('./eventStore');
+const users = require('./users');
+const sessions = require('./sessions');
+const devices = require('./devices');
+const security = require('./security');
+const { validateEntry, validateDenial } = require('./entries');
+
+const EVENT_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Scans matched with a lower R503 score are denied; 0 accepts every match
+const MIN_MATCH_SCORE = config.devices.minMatchScore;
+
+/**
+ * The payload checks every scan passes, from a device or an import:
+ * shape (lib/entries.js) and the optional eventId
+ * @returns {{ error: string, code: string }|{ value: object, eventId?: string }}
+ */
+function validateScan(data, options) {
+    const { error, value } = validateEntry(data, options);
+    if (error) {
+        return { error: error, code: 'INVALID_ENTRY' };
+    }
+    return checkEventId(data, value);
+}
+
+/**
+ * Validates the optional device eventId of a payload
+ * @returns {{ error: string, code: string }|{ value: object, eventId?: string }}
+ */
+function checkEventId(data, value) {
+    const eventId = data.eventId;
+    if (eventId !== undefined && (typeof eventId !== 'string' || !EVENT_ID_PATTERN.test(eventId))) {
+        return {
+            error: 'eventId must be 1-128 letters, digits or ". _ : -"',
+            code: 'INVALID_EVENT_ID'
+        };
+    }
+    return { value, eventId };
+}
+
+/**
+ * A scan this device already sent under its eventId, as an ingest result
+ */
+function findDuplicate(device, eventId) {
+    const entry = eventStore.findByClientEventId(device.id, eventId);
+    if (entry) {
+        return { entry: entry, duplicate: true };
+    }
+    const denial = security.findByClientEventId(device.id, eventId);
+    if (denial) {
+        return { denied: true, event: denial, duplicate: true };
+    }
+    return null;
+}
+
+function deny(reason, value, identity, device, eventId) {
+    const event = security.recordDenial({
+        reason: reason,
+        score: value.score !== undefined ? value.score : null,
+        fingerprintId: value.fingerprintId !== undefined ? value.fingerprintId : null,
+        userId: identity.userId || null,
+        name: identity.name || null,
+        timestamp: value.timestamp,
+        deviceId: device.id,
+        door: device.door || null,
+        location: device.location || null,
+        clientEventId: eventId || null
+    });
+    return { denied: true, event: event, duplicate: false };
+}
+
+/**
+ * Records a denial the device reported
+ */
+function ingestDenial(data, device) {
+    const { error, value } = validateDenial(data);
+    if (error) {
+        return { error: error, code: 'INVALID_ENTRY' };
+    }
+    const checked = checkEventId(data, value);
+    if (checked.error) {
+        return checked;
+    }
+
+    const eventId = checked.eventId;
+    if (eventId !== undefined) {
+        const existing = findDuplicate(device, eventId);
+        if (existing) return existing;
+    }
+
+    // Name whoever the reported slot belongs to (e.g. a low-confidence match)
+    const identity = users.resolveIdentity(value);
+    return deny(value.reason, value, identity.error ? { name: value.name } : identity, device, eventId);
+}
+
+/**
+ * Validates, resolves and stores one scan from a device
+ * @param {object} data - { eventId?, name?, fingerprintId?, action, timestamp, score? } (action optional
+ *   in toggle mode), or { eventId?, action: "denied", reason, timestamp, score?, fingerprintId?, name? }
+ * @param {object} device - Registry record of the sending device
+ * @returns {{ error: string, code: string }
+ *   | { ignored: true, reason: string, action: string, previous: object }
+ *   | { denied: true, event: object, duplicate: boolean }
+ *   | { entry: object, duplicate: boolean, inferred?: boolean, presence?: object }}
+ */
+function ingestScan(data, device) {
+    if (data && data.action === 'denied') {
+        return ingestDenial(data, device);
+    }
+
+    const settings = devices.getScanSettings(device);
+    const checked = validateScan(data, { requireAction: settings.scanMode !== 'toggle' });
+    if (checked.error) {
+        return checked;
+    }
+
+    const { value, eventId } = checked;
+    if (eventId !== undefined) {
+        const existing = findDuplicate(device, eventId);
+        if (existing) return existing;
+    }
+
+    // Resolve the fingerprint slot to a person from the user directory
+    const identity = users.resolveIdentity(value);
+    if (identity.code === 'UNKNOWN_FINGERPRINT') {
+        return deny('UNKNOWN_FINGERPRINT', value, {}, device, eventId);
+    }
+    if (identity.error) {
+        return { error: identity.error, code: identity.code };
+    }
+    const user = identity.userId ? users.getUser(identity.userId) : null;
+    if (user && !users.isEnabled(user)) {
+        return deny('USER_DISABLED', value, identity, device, eventId);
+    }
+    if (value.score !== undefined && value.score < MIN_MATCH_SCORE) {
+        return deny('LOW_CONFIDENCE', value, identity, device, eventId);
+    }
+
+    const scan = {
+        name: identity.name,
+        userId: identity.userId,
+        fingerprintId: value.fingerprintId !== undefined ? value.fingerprintId : null,
+        action: value.action,
+        timestamp: value.timestamp,
+        deviceId: device.id,
+        door: device.door || null,
+        location: device.location || null,
+        clientEventId: eventId || null,
+        score: value.score !== undefined ? value.score : null,
+        receivedAt: Date.now()
+    };
+
+    const before = sessions.stateBefore(scan);
+
+    const previous = before.lastEvent;
+    if (previous && previous.deviceId === device.id &&
+        scan.timestamp - previous.timestamp < settings.cooldownSeconds * 1000 &&
+        (!scan.action || previous.action === scan.action)) {
+        return { ignored: true, reason: 'COOLDOWN', action: previous.action, previous: previous };
+    }
+
+    const inferred = !scan.action;
+    if (inferred) {
+        scan.action = before.inside ? 'out' : 'in';
+    }
+
+    const entry = eventStore.addEvent({ ...scan, inferred: inferred, anomalies: sessions.evaluate(scan) });
+    const presence = sessions.record(entry);
+
+    return { entry: entry, duplicate: false, inferred: inferred, presence: presence };
+}
+
+module.exports = {
+    MIN_MATCH_SCORE,
+    validateScan,
+    checkEventId,
+    ingestScan
+};
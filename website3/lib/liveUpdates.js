@@ -0,0 +1,99 @@
+// ===================================
+// Live Updates
+// Server-Sent Events broadcast to dashboards
+// ===================================
+
+const crypto = require('crypto');
+
+// Event ids are "<bootId>-<sequence>"; a client holding an id from another
+// boot (or one that fell out of the buffer) is told to reload instead
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+const BUFFER_SIZE = 500;
+const KEEP_ALIVE_MS = 25 * 1000;
+const RETRY_MS = 3000;
+
+const clients = new Set();
+const recentMessages = [];
+let sequence = 0;
+
+function formatMessage(message) {
+    return `id: ${message.id}\nevent: ${message.type}\ndata: ${JSON.stringify(message.data)}\n\n`;
+}
+
+/**
+ * Sends a typed message to every connected dashboard
+ * @param {string} type - SSE event name ("entry", "stats", "reset", ...)
+ * @param {*} data - JSON-serializable payload
+ */
+function publish(type, data) {
+    sequence++;
+    const message = { id: `${BOOT_ID}-${sequence}`, sequence, type, data };
+
+    recentMessages.push(message);
+    if (recentMessages.length > BUFFER_SIZE) {
+        recentMessages.shift();
+    }
+
+    const payload = formatMessage(message);
+    clients.forEach(res => res.write(payload));
+}
+
+/**
+ * Messages published after lastEventId, or null if they cannot be replayed
+ */
+function messagesSince(lastEventId) {
+    const [bootId, sequenceText] = String(lastEventId).split('-');
+    const lastSequence = Number(sequenceText);
+    if (bootId !== BOOT_ID || !Number.isInteger(lastSequence)) return null;
+
+    const oldest = recentMessages.length ? recentMessages[0].sequence : sequence + 1;
+    if (lastSequence < oldest - 1) return null;
+
+    return recentMessages.filter(message => message.sequence > lastSequence);
+}
+
+/**
+ * Express handler that opens an SSE stream. Resumes from the Last-Event-ID
+ * header (or ?lastEventId=) when possible, otherwise sends "reset".
+ */
+function handleStream(req, res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+        const missed = messagesSince(lastEventId);
+        if (missed) {
+            missed.forEach(message => res.write(formatMessage(message)));
+        } else {
+            res.write(formatMessage({ id: `${BOOT_ID}-${sequence}`, type: 'reset', data: {} }));
+        }
+    } else {
+        // Give new clients a position to resume from
+        res.write(`id: ${BOOT_ID}-${sequence}\nevent: ready\ndata: {}\n\n`);
+    }
+
+    clients.add(res);
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        clients.delete(res);
+    });
+}
+
+function countClients() {
+    return clients.size;
+}
+
+module.exports = {
+    publish,
+    handleStream,
+    countClients
+};
@@ -0,0 +1,189 @@
+// ===================================
+// Personal Data Export & Erasure
+// "Export my data" and "erase me" for one person in the directory
+// ===================================
+//
+// A person's data is everything stored under their user id: scans (and the
+// sessions and anomalies derived from them), security feed entries, the
+// directory record with its fingerprint slots, enrollments, access schedule
+// memberships, webhook deliveries and audit log entries about them. Scans
+// and denials stored without a user id (free-text names, the name fallback)
+// are theirs too when the name is their display name: only the name ties
+// those to anyone.
+//
+// Erasure either deletes the scans and security entries ("delete") or keeps
+// them for attendance totals under a random pseudonym ("pseudonymise"). Either
+// way the directory record is removed, the R503 templates are deleted from
+// every enabled device, the audit log is redacted, and the data files
+// (including purge archives) are rewritten so the old versions are gone from
+// disk too.
+
+const crypto = require('crypto');
+const { readArchives, rewriteArchives } = require('./storage');
+const eventStore = require('./eventStore');
+const sessions = require('./sessions');
+const security = require('./security');
+const users = require('./users');
+const devices = require('./devices');
+const commands = require('./commands');
+const enrollments = require('./enrollments');
+const access = require('./access');
+const webhooks = require('./webhooks');
+const audit = require('./audit');
+
+const ERASURE_MODES = ['delete', 'pseudonymise'];
+
+// Name shown for scans of an erased person
+const ERASED_NAME = 'Erased user';
+
+function privacyError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// A record without a user id, under the person's display name
+function isNameOnly(record, user) {
+    return Boolean(user) && !record.userId && record.name === user.displayName;
+}
+
+function belongsTo(record, userId, user) {
+    return record.userId === userId || isNameOnly(record, user);
+}
+
+/**
+ * The person's scans, oldest first: under their id, and without an id under
+ * their display name
+ */
+function personEvents(userId, user) {
+    const events = eventStore.queryEvents({ userId: userId, order: 'asc' });
+    if (!user) return events;
+    const nameOnly = eventStore.queryEvents({ name: user.displayName, order: 'asc' }).filter(event => !event.userId);
+    return events.concat(nameOnly).sort(eventStore.compareByTime);
+}
+
+/**
+ * The person's security feed entries, oldest first, matched as for scans
+ */
+function personSecurityEvents(userId, user) {
+    const entries = security.querySecurityEvents({ userId: userId });
+    if (user) {
+        entries.push(...security.querySecurityEvents({ name: user.displayName }).filter(entry => !entry.userId));
+    }
+    return entries.sort(eventStore.compareByTime);
+}
+
+/**
+ * Everything stored about a person, for a data access request
+ * @returns {object|null} null if nothing is stored under the id
+ */
+function exportUser(userId) {
+    const user = users.getUser(userId);
+    const events = personEvents(userId, user);
+    const securityEvents = personSecurityEvents(userId, user);
+    if (!user && events.length === 0 && securityEvents.length === 0) {
+        return null;
+    }
+
+    // Scans archived by DELETE /api/data are still held, so they are included
+    return {
+        exportedAt: new Date().toISOString(),
+        userId: userId,
+        user: user,
+        events: events,
+        archivedEvents: readArchives('events').filter(event => belongsTo(event, userId, user)),
+        sessions: sessions.listSessions().filter(session => belongsTo(session, userId, user)).reverse(),
+        anomalies: sessions.listAnomalies().filter(anomaly => belongsTo(anomaly, userId, user)).reverse(),
+        securityEvents: securityEvents,
+        enrollments: enrollments.listEnrollments({ userId: userId }),
+        accessSchedules: user ? access.listSchedules({ userId: userId }) : [],
+        webhookDeliveries: webhooks.listDeliveriesFor(userId, user ? user.displayName : undefined),
+        auditEntries: audit.listPersonEntries(userId)
+    };
+}
+
+/**
+ * Queues the deletion of the person's templates on every enabled device
+ * @returns {object[]} The queued commands
+ */
+function deleteTemplates(slots, erasedBy) {
+    const queued = [];
+    devices.listDevices().filter(device => device.enabled).forEach(device => {
+        slots.forEach(slot => {
+            queued.push(commands.enqueueCommand({ deviceId: device.id, type: 'delete_template', params: { slot } }, erasedBy));
+        });
+    });
+    return queued;
+}
+
+/**
+ * Erases a person
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {string} [options.mode] - "delete" (default) or "pseudonymise"
+ * @param {string} erasedBy - Account id of the admin
+ * @returns {object|null} What was erased, or null if nothing is stored under the id
+ * @throws {Error} with code INVALID_MODE
+ */
+function eraseUser(userId, { mode = 'delete' } = {}, erasedBy) {
+    if (!ERASURE_MODES.includes(mode)) {
+        throw privacyError('INVALID_MODE', `mode must be one of: ${ERASURE_MODES.join(', ')}`);
+    }
+
+    const user = users.getUser(userId);
+    const events = personEvents(userId, user);
+    const securityEvents = personSecurityEvents(userId, user);
+    if (!user && events.length === 0 && securityEvents.length === 0) {
+        return null;
+    }
+
+    const pseudonym = mode === 'pseudonymise' ? `erased-${crypto.randomBytes(6).toString('hex')}` : null;
+    const erasedAt = Date.now();
+    const pseudonymise = record => ({ ...record, userId: pseudonym, name: ERASED_NAME, fingerprintId: null, erasedAt: erasedAt });
+    // For archived purges: drop or pseudonymise the person's records, keep the rest
+    const scrub = record => (!belongsTo(record, userId, user) ? record : pseudonym ? pseudonymise(record) : null);
+
+    if (pseudonym) {
+        eventStore.replaceEvents(events.map(pseudonymise));
+        security.replaceSecurityEvents(securityEvents.map(pseudonymise));
+    } else {
+        eventStore.removeEvents(events.map(event => event.id));
+        security.removeSecurityEvents(securityEvents.map(event => event.id));
+    }
+    eventStore.compactEvents();
+    security.compactSecurityEvents();
+    const archivedEvents = rewriteArchives('events', scrub);
+    sessions.rebuild();
+
+    const slots = user ? user.fingerprintSlots : [];
+    const nameOnlyEvents = events.filter(event => !event.userId).length;
+    const deleteCommands = deleteTemplates(slots, erasedBy);
+    if (user) {
+        users.removeUser(userId);
+        users.compactUsers();
+    }
+
+    return {
+        userId: userId,
+        mode: mode,
+        pseudonym: pseudonym,
+        erasedAt: erasedAt,
+        events: events.length,
+        nameOnlyEvents: nameOnlyEvents,
+        archivedEvents: archivedEvents,
+        securityEvents: securityEvents.length,
+        fingerprintSlots: slots,
+        deleteCommands: deleteCommands,
+        enrollments: enrollments.removeForUser(userId).length,
+        accessSchedules: access.forgetUser(userId),
+        webhookDeliveries: webhooks.removeDeliveriesFor(userId, user ? user.displayName : undefined),
+        auditEntries: audit.redactPerson(userId, pseudonym || audit.ERASED)
+    };
+}
+
+module.exports = {
+    ERASURE_MODES,
+    ERASED_NAME,
+    exportUser,
+    eraseUser
+};
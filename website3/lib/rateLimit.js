@@ -0,0 +1,108 @@
+// ===================================
+// Rate Limiting
+// Per-IP and per-device request budgets
+// ===================================
+//
+// Each limiter counts requests per key (client IP or device id) in fixed
+// windows of RATE_LIMIT_WINDOW_SECONDS. Requests over the budget are
+// answered 429 with a Retry-After header until the window ends. The first
+// rejection of a key in a window is recorded on the security feed as a
+// suspected flood (type "flood") and announced to the dashboard.
+//
+// A limit of 0 turns that limiter off. Counters live in memory, so a
+// restart starts every budget afresh.
+
+const config = require('./config');
+const security = require('./security');
+const liveUpdates = require('./liveUpdates');
+const { logReference } = require('./encryption');
+
+const WINDOW_SECONDS = config.rateLimits.windowSeconds;
+
+const LIMITS = {
+    // Every request from one client IP (dashboard, API and devices)
+    ip: config.rateLimits.perIp,
+    // Signed requests of one device, counted after its signature checks out
+    device: config.rateLimits.perDevice,
+    // Login attempts from one client IP
+    login: config.rateLimits.login
+};
+
+/**
+ * Builds an Express middleware enforcing one budget
+ * @param {string} scope - "ip", "device" or "login"
+ * @param {function} keyOf - (req) => key to count under
+ */
+function createLimiter(scope, keyOf) {
+    const limit = LIMITS[scope];
+    const windowMs = WINDOW_SECONDS * 1000;
+    // key -> { windowStart, count, flagged }
+    const counters = new Map();
+
+    setInterval(() => {
+        const now = Date.now();
+        counters.forEach((counter, key) => {
+            if (now - counter.windowStart >= windowMs) counters.delete(key);
+        });
+    }, windowMs).unref();
+
+    function reportFlood(req, key, counter, now) {
+        const event = security.recordFlood({
+            source: 'rate-limit',
+            reason: 'RATE_LIMITED',
+            scope: scope,
+            key: key,
+            ip: req.ip || null,
+            deviceId: req.device ? req.device.id : null,
+            door: req.device ? req.device.door || null : null,
+            method: req.method,
+            path: req.baseUrl + req.path,
+            limit: limit,
+            windowSeconds: WINDOW_SECONDS,
+            windowStart: counter.windowStart,
+            timestamp: now
+        });
+        console.log(`[${new Date().toISOString()}] Suspected flood: ${scope} ${scope === 'device' ? key : logReference(key)} exceeded ${limit} requests per ${WINDOW_SECONDS}s (${req.method} ${req.baseUrl}${req.path})`);
+        liveUpdates.publish('security', event);
+    }
+
+    return function rateLimit(req, res, next) {
+        if (!limit) return next();
+
+        const key = keyOf(req);
+        const now = Date.now();
+        let counter = counters.get(key);
+        if (!counter || now - counter.windowStart >= windowMs) {
+            counter = { windowStart: now, count: 0, flagged: false };
+            counters.set(key, counter);
+        }
+
+        counter.count++;
+        if (counter.count <= limit) return next();
+
+        if (!counter.flagged) {
+            counter.flagged = true;
+            reportFlood(req, key, counter, now);
+        }
+
+        const retryAfter = Math.max(1, Math.ceil((counter.windowStart + windowMs - now) / 1000));
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+            error: `Too many requests; try again in ${retryAfter}s`,
+            code: 'RATE_LIMITED',
+            retryAfter: retryAfter
+        });
+    };
+}
+
+const limitByIp = createLimiter('ip', req => req.ip);
+const limitByDevice = createLimiter('device', req => req.device.id);
+const limitLogins = createLimiter('login', req => req.ip);
+
+module.exports = {
+    WINDOW_SECONDS,
+    LIMITS,
+    limitByIp,
+    limitByDevice,
+    limitLogins
+};
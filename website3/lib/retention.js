@@ -0,0 +1,199 @@
+// ===================================
+// Retention Policy
+// Purges or anonymises old scans, security events, webhook deliveries and
+// audit entries
+// ===================================
+//
+// RETENTION_DAYS keeps scans (and the sessions derived from them) for that
+// many days; RETENTION_SECURITY_DAYS does the same for the security feed
+// (denied scans, access decisions, floods) and defaults to RETENTION_DAYS.
+// 0 keeps data forever, which is the default.
+//
+// RETENTION_MODE decides what happens to older records:
+//   purge     - they are deleted
+//   anonymise - they are kept for totals, but each person is replaced by a
+//               pseudonym, and names, fingerprint slots and client IPs are
+//               cleared. The pseudonym is an HMAC of the person under a
+//               secret kept in the data directory, so it stays the same
+//               from one run to the next and sessions still pair up.
+//
+// Two logs copy personal data and follow their own periods, whatever the mode:
+//   RETENTION_WEBHOOK_DAYS (30) - finished webhook deliveries, which carry
+//       full scan payloads, are deleted; never kept longer than the scans or
+//       denials they copy
+//   RETENTION_AUDIT_DAYS (RETENTION_DAYS) - audit entries lose their IP, user
+//       agent and before/after records, but stay on record
+//
+// The policy runs at startup and then daily, over the live data files and
+// the archives left by DELETE /api/data.
+
+const crypto = require('crypto');
+const config = require('./config');
+const { createCollection, rewriteArchives } = require('./storage');
+const eventStore = require('./eventStore');
+const sessions = require('./sessions');
+const security = require('./security');
+const webhooks = require('./webhooks');
+const audit = require('./audit');
+const liveUpdates = require('./liveUpdates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Name shown for anonymised scans
+const ANONYMOUS_NAME = 'Anonymous';
+
+const EVENT_RETENTION_DAYS = config.retention.eventDays;
+const SECURITY_RETENTION_DAYS = config.retention.securityDays;
+const AUDIT_RETENTION_DAYS = config.retention.auditDays;
+const RETENTION_MODE = config.retention.mode;
+
+// The delivery log copies scans and denials, so it never outlives them
+const WEBHOOK_RETENTION_DAYS = Math.min(...[
+    config.retention.webhookDays, EVENT_RETENTION_DAYS, SECURITY_RETENTION_DAYS
+].map(days => (days > 0 ? days : Infinity)));
+
+// Holds the pseudonym key, generated on first use
+const keys = createCollection('retention-keys', { encrypted: ['secret'] });
+const PSEUDONYM_KEY_ID = 'pseudonym';
+
+let lastRun = null;
+
+function pseudonymKey() {
+    const stored = keys.get(PSEUDONYM_KEY_ID);
+    if (stored) return stored.secret;
+    return keys.put({
+        id: PSEUDONYM_KEY_ID,
+        secret: crypto.randomBytes(32).toString('hex'),
+        createdAt: Date.now()
+    }).secret;
+}
+
+/**
+ * The stable pseudonym of a person ("user:<id>" or "name:<name>")
+ */
+function pseudonymOf(person) {
+    const digest = crypto.createHmac('sha256', pseudonymKey()).update(person).digest('hex');
+    return `anon-${digest.slice(0, 12)}`;
+}
+
+/**
+ * A record transform for one run
+ */
+function createAnonymiser(anonymisedAt) {
+    return record => {
+        if (record.anonymisedAt) return record;
+
+        const copy = { ...record, anonymisedAt: anonymisedAt };
+        if (record.userId || record.name) {
+            copy.userId = pseudonymOf(record.userId ? `user:${record.userId}` : `name:${record.name}`);
+            copy.name = ANONYMOUS_NAME;
+        }
+        if (record.fingerprintId !== undefined) copy.fingerprintId = null;
+        if (record.ip) copy.ip = null;
+        if (record.scope === 'ip' || record.scope === 'login') copy.key = null;
+        return copy;
+    };
+}
+
+function applyToEvents(cutoff, anonymise) {
+    const old = eventStore.queryEvents({ to: cutoff });
+    let changed = 0;
+    if (RETENTION_MODE === 'purge') {
+        changed = eventStore.removeEvents(old.map(event => event.id));
+    } else {
+        changed = eventStore.replaceEvents(old.filter(event => !event.anonymisedAt).map(anonymise));
+    }
+    if (changed > 0) {
+        eventStore.compactEvents();
+        sessions.rebuild();
+    }
+
+    const archived = rewriteArchives('events', record =>
+        record.timestamp >= cutoff ? record : RETENTION_MODE === 'purge' ? null : anonymise(record));
+    return { events: changed, archivedEvents: archived };
+}
+
+function applyToSecurityEvents(cutoff, anonymise) {
+    const old = security.querySecurityEvents({ to: cutoff });
+    let changed = 0;
+    if (RETENTION_MODE === 'purge') {
+        changed = security.removeSecurityEvents(old.map(event => event.id));
+    } else {
+        changed = security.replaceSecurityEvents(old.filter(event => !event.anonymisedAt).map(anonymise));
+    }
+    if (changed > 0) security.compactSecurityEvents();
+    return changed;
+}
+
+/**
+ * Applies the retention policy now
+ * @returns {{ mode: string, ranAt: number, events: number, archivedEvents: number, securityEvents: number, webhookDeliveries: number, auditEntries: number }}
+ */
+function runRetention(now = Date.now()) {
+    const anonymise = createAnonymiser(now);
+    const result = {
+        mode: RETENTION_MODE,
+        ranAt: now,
+        events: 0,
+        archivedEvents: 0,
+        securityEvents: 0,
+        webhookDeliveries: 0,
+        auditEntries: 0
+    };
+
+    if (EVENT_RETENTION_DAYS > 0) {
+        Object.assign(result, applyToEvents(now - EVENT_RETENTION_DAYS * DAY_MS, anonymise));
+    }
+    if (SECURITY_RETENTION_DAYS > 0) {
+        result.securityEvents = applyToSecurityEvents(now - SECURITY_RETENTION_DAYS * DAY_MS, anonymise);
+    }
+    if (WEBHOOK_RETENTION_DAYS < Infinity) {
+        result.webhookDeliveries = webhooks.pruneDeliveries(now - WEBHOOK_RETENTION_DAYS * DAY_MS);
+    }
+    if (AUDIT_RETENTION_DAYS > 0) {
+        result.auditEntries = audit.stripPersonalData(now - AUDIT_RETENTION_DAYS * DAY_MS,
+            userId => pseudonymOf(`user:${userId}`));
+    }
+
+    lastRun = result;
+    return result;
+}
+
+/**
+ * The configured policy and the outcome of the latest run
+ */
+function getPolicy() {
+    return {
+        mode: RETENTION_MODE,
+        eventDays: EVENT_RETENTION_DAYS,
+        securityDays: SECURITY_RETENTION_DAYS,
+        webhookDays: WEBHOOK_RETENTION_DAYS < Infinity ? WEBHOOK_RETENTION_DAYS : 0,
+        auditDays: AUDIT_RETENTION_DAYS,
+        lastRun: lastRun
+    };
+}
+
+function runScheduled() {
+    const result = runRetention();
+    const changed = result.events + result.archivedEvents + result.securityEvents;
+    if (changed > 0) {
+        const verb = RETENTION_MODE === 'purge' ? 'purged' : 'anonymised';
+        console.log(`[${new Date().toISOString()}] Retention: ${verb} ${result.events} events, ${result.archivedEvents} archived events and ${result.securityEvents} security events`);
+        liveUpdates.publish('reset', {});
+    }
+    if (result.webhookDeliveries + result.auditEntries > 0) {
+        console.log(`[${new Date().toISOString()}] Retention: dropped ${result.webhookDeliveries} webhook deliveries, stripped ${result.auditEntries} audit entries`);
+    }
+}
+
+if (EVENT_RETENTION_DAYS > 0 || SECURITY_RETENTION_DAYS > 0 ||
+    WEBHOOK_RETENTION_DAYS < Infinity || AUDIT_RETENTION_DAYS > 0) {
+    setImmediate(runScheduled);
+    setInterval(runScheduled, DAY_MS).unref();
+}
+
+module.exports = {
+    ANONYMOUS_NAME,
+    runRetention,
+    getPolicy
+};
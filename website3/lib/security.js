@@ -0,0 +1,151 @@
+// ===================================
+// Security Feed
+// Denied scan attempts and door access decisions, kept apart from the
+// attendance history
+// ===================================
+//
+// A denied attempt never changes anyone's in/out state, so it is not an
+// attendance event: it is stored here instead of in lib/eventStore.js and
+// has a `reason` code instead of an action. Devices report the denials the
+// R503 decides (no match, low confidence, ...); the server adds the ones it
+// decides itself (unknown fingerprint slot, disabled user, low score).
+//
+// Each event has a `source`: "scan" for scans sent to /fingerprint-data,
+// "access-check" for decisions of /api/access/check (lib/access.js). Access
+// checks also store the doors they open, as type "access-granted". Clients
+// that exceed a rate limit are stored as type "flood" (lib/rateLimit.js).
+
+const crypto = require('crypto');
+const { createCollection } = require('./storage');
+const { createTimeline } = require('./timeline');
+
+const securityEvents = createCollection('security-events', {
+    indexes: ['type', 'source', 'reason', 'userId', 'name', 'deviceId', 'door', 'clientEventId'],
+    // key is the client IP for ip and login floods
+    encrypted: ['name', 'userId', 'fingerprintId', 'ip', 'key']
+});
+
+// Events in time order; filters on these fields are answered from an index
+const timeline = createTimeline(securityEvents, ['userId', 'name', 'deviceId', 'door', 'reason', 'type']);
+
+// Events stored before sources existed all came from scans
+function sourceOf(event) {
+    return event.source || 'scan';
+}
+
+/**
+ * Stores a denied attempt and returns it (with its id)
+ * @param {object} attempt - { reason, score, fingerprintId, userId, name,
+ *   timestamp, deviceId, door, location, clientEventId, source? }
+ */
+function recordDenial(attempt) {
+    return timeline.add({
+        id: crypto.randomUUID(),
+        type: 'denied',
+        source: 'scan',
+        ...attempt,
+        receivedAt: Date.now()
+    });
+}
+
+/**
+ * Stores an allowed access check and returns it (with its id)
+ * @param {object} decision - same fields as a denial, plus scheduleId
+ */
+function recordGrant(decision) {
+    return timeline.add({
+        id: crypto.randomUUID(),
+        type: 'access-granted',
+        source: 'access-check',
+        ...decision,
+        receivedAt: Date.now()
+    });
+}
+
+/**
+ * Stores a suspected flood (a client over its rate limit) and returns it
+ * @param {object} flood - { scope, key, ip, deviceId, door, method, path,
+ *   limit, windowSeconds, windowStart, timestamp }
+ */
+function recordFlood(flood) {
+    return timeline.add({
+        id: crypto.randomUUID(),
+        type: 'flood',
+        ...flood,
+        receivedAt: Date.now()
+    });
+}
+
+/**
+ * Finds an event a device already sent under its own event id
+ * @param {string} [source] - "scan" (default) or "access-check"
+ */
+function findByClientEventId(deviceId, clientEventId, source = 'scan') {
+    return securityEvents.find('clientEventId', clientEventId)
+        .find(event => event.deviceId === deviceId && sourceOf(event) === source) || null;
+}
+
+/**
+ * Security events matching the filters, newest first
+ * @param {object} [filters]
+ * @param {string} [filters.type]
+ * @param {string} [filters.source]
+ * @param {string} [filters.reason]
+ * @param {string} [filters.userId]
+ * @param {string} [filters.name]
+ * @param {string} [filters.deviceId]
+ * @param {string} [filters.door]
+ * @param {number} [filters.from] - Inclusive lower timestamp bound (ms)
+ * @param {number} [filters.to] - Exclusive upper timestamp bound (ms)
+ * @param {number} [filters.limit]
+ */
+function querySecurityEvents(filters = {}) {
+    let results = timeline.select(filters);
+    if (filters.source !== undefined) {
+        results = results.filter(event => sourceOf(event) === filters.source);
+    }
+
+    results.reverse();
+    return filters.limit !== undefined ? results.slice(0, filters.limit) : results;
+}
+
+/**
+ * Deletes security events by id
+ * @returns {number} How many were removed
+ */
+function removeSecurityEvents(ids) {
+    return timeline.remove(ids);
+}
+
+/**
+ * Stores changed copies of security events (same ids and timestamps)
+ */
+function replaceSecurityEvents(updated) {
+    return timeline.replace(updated);
+}
+
+/**
+ * Rewrites the log file without removed or replaced versions
+ */
+function compactSecurityEvents() {
+    securityEvents.compact();
+}
+
+/**
+ * Doors that have security events, unsorted
+ */
+function listDoors() {
+    return securityEvents.values('door');
+}
+
+module.exports = {
+    recordDenial,
+    recordGrant,
+    recordFlood,
+    findByClientEventId,
+    querySecurityEvents,
+    removeSecurityEvents,
+    replaceSecurityEvents,
+    compactSecurityEvents,
+    listDoors
+};
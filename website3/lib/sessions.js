@@ -0,0 +1,407 @@
+// ===================================
+// Sessions & Presence
+// Per-person in/out state machine derived from the event log
+// ===================================
+//
+// outside --in--> inside --out--> outside
+//
+// Each person's scans are replayed in timestamp order. Scans that do not fit
+// the machine are flagged:
+//   DOUBLE_IN      - "in" while already inside (the open session is left incomplete)
+//   OUT_WITHOUT_IN - "out" while outside (recorded as an incomplete session)
+//   SHORT_SESSION  - "out" less than MIN_SESSION_SECONDS after the "in"
+//
+// Everything here is rebuilt from lib/eventStore on startup, so the event log
+// stays the only source of truth. Each event also stores the anomalies it
+// raises; when a late scan changes what later scans raise, those events are
+// saved again so the stored flags always match /api/anomalies.
+
+const config = require('./config');
+const eventStore = require('./eventStore');
+
+const { compareByTime } = eventStore;
+
+const MIN_SESSION_SECONDS = config.site.minSessionSeconds;
+
+const ANOMALY_TYPES = {
+    DOUBLE_IN: 'Signed in again without signing out',
+    OUT_WITHOUT_IN: 'Signed out without signing in',
+    SHORT_SESSION: `Signed out less than ${MIN_SESSION_SECONDS}s after signing in`
+};
+
+const SESSION_STATUSES = ['open', 'complete', 'incomplete'];
+
+// Person key -> { key, userId, name, inside, since, door, sessionId, lastEvent, sessions, anomalies }
+let people = new Map();
+
+/**
+ * Scans by a directory user are grouped by user id (so renames do not split
+ * them); free-text scans are grouped by name
+ */
+function personKey(event) {
+    return event.userId ? `user:${event.userId}` : `name:${event.name}`;
+}
+
+function emptyPerson(event) {
+    return {
+        key: personKey(event),
+        userId: event.userId || null,
+        name: event.name,
+        inside: false,
+        since: null,
+        door: null,
+        sessionId: null,
+        lastEvent: null,
+        sessions: [],
+        anomalies: []
+    };
+}
+
+function newSession(person, event, changes) {
+    return {
+        id: event.id,
+        personKey: person.key,
+        userId: person.userId,
+        name: person.name,
+        door: event.door || null,
+        start: null,
+        end: null,
+        startEventId: null,
+        endEventId: null,
+        durationMs: null,
+        status: 'open',
+        anomalies: [],
+        ...changes
+    };
+}
+
+/**
+ * Which anomalies a scan would raise against the person's current state
+ */
+function anomaliesFor(person, event) {
+    if (event.action === 'in') {
+        return person.inside ? ['DOUBLE_IN'] : [];
+    }
+    if (!person.inside) {
+        return ['OUT_WITHOUT_IN'];
+    }
+    const open = person.sessions[person.sessions.length - 1];
+    return event.timestamp - open.start < MIN_SESSION_SECONDS * 1000 ? ['SHORT_SESSION'] : [];
+}
+
+/**
+ * Advances one person's state machine by one scan (mutates person)
+ */
+function step(person, event) {
+    const anomalies = anomaliesFor(person, event);
+    const open = person.inside ? person.sessions[person.sessions.length - 1] : null;
+
+    person.name = event.name;
+    person.lastEvent = event;
+    anomalies.forEach(type => {
+        person.anomalies.push({
+            id: `${event.id}:${type}`,
+            type: type,
+            message: ANOMALY_TYPES[type],
+            eventId: event.id,
+            personKey: person.key,
+            userId: person.userId,
+            name: event.name,
+            timestamp: event.timestamp,
+            deviceId: event.deviceId || null,
+            door: event.door || null
+        });
+    });
+
+    if (event.action === 'in') {
+        if (open) {
+            // The earlier session never got its "out"
+            open.status = 'incomplete';
+            open.anomalies.push('DOUBLE_IN');
+        }
+        const session = newSession(person, event, { start: event.timestamp, startEventId: event.id });
+        person.sessions.push(session);
+        person.inside = true;
+        person.since = event.timestamp;
+        person.door = event.door || null;
+        person.sessionId = session.id;
+    } else {
+        if (open) {
+            open.end = event.timestamp;
+            open.endEventId = event.id;
+            open.durationMs = open.end - open.start;
+            open.status = 'complete';
+            open.anomalies.push(...anomalies);
+        } else {
+            person.sessions.push(newSession(person, event, {
+                end: event.timestamp,
+                endEventId: event.id,
+                status: 'incomplete',
+                anomalies: anomalies
+            }));
+        }
+        person.inside = false;
+        person.since = event.timestamp;
+        person.door = event.door || null;
+        person.sessionId = null;
+    }
+
+    return anomalies;
+}
+
+function replay(events) {
+    let person = null;
+    events.forEach(event => {
+        if (!person) person = emptyPerson(event);
+        step(person, event);
+    });
+    return person;
+}
+
+/**
+ * All stored scans of one person, oldest first
+ */
+function personEvents(key) {
+    if (key.startsWith('user:')) {
+        return eventStore.queryEvents({ userId: key.slice(5), order: 'asc' });
+    }
+    return eventStore.queryEvents({ name: key.slice(5), order: 'asc' })
+        .filter(event => !event.userId);
+}
+
+/**
+ * The person's state just before a scan that is not stored yet. Scans older
+ * than the person's latest scan (e.g. a flushed offline backlog) see the
+ * state at their own time. The result must not be modified.
+ */
+function personBefore(candidate) {
+    const key = personKey(candidate);
+    const person = people.get(key);
+    if (!person) {
+        return emptyPerson(candidate);
+    }
+    if (compareByTime(candidate, person.lastEvent) > 0) {
+        return person;
+    }
+
+    const earlier = personEvents(key).filter(event => compareByTime(event, candidate) < 0);
+    return replay(earlier) || emptyPerson(candidate);
+}
+
+/**
+ * Whether the person was inside just before the scan, and their previous scan
+ * @returns {{ inside: boolean, since: number|null, lastEvent: object|null }}
+ */
+function stateBefore(candidate) {
+    const person = personBefore(candidate);
+    return { inside: person.inside, since: person.since, lastEvent: person.lastEvent };
+}
+
+/**
+ * Anomalies a new scan raises. Call before storing it so the flags can be
+ * saved on the event.
+ */
+function evaluate(candidate) {
+    return anomaliesFor(personBefore(candidate), candidate);
+}
+
+/**
+ * Replays people from their scans (oldest first) and saves again every scan
+ * whose stored `anomalies` no longer match the replay: a scan inserted or
+ * removed earlier in someone's history changes what the later ones raise
+ * @param {Map<string, object[]>} byPerson - Person key -> their scans
+ * @returns {number} How many stored events were updated
+ */
+function replayPeople(byPerson) {
+    const changed = [];
+    byPerson.forEach((events, key) => {
+        if (events.length === 0) {
+            people.delete(key);
+            return;
+        }
+        const person = replay(events);
+        people.set(key, person);
+
+        const raised = new Map();
+        person.anomalies.forEach(anomaly => {
+            if (!raised.has(anomaly.eventId)) raised.set(anomaly.eventId, []);
+            raised.get(anomaly.eventId).push(anomaly.type);
+        });
+        events.forEach(event => {
+            const types = raised.get(event.id) || [];
+            if ((event.anomalies || []).join() !== types.join()) {
+                changed.push({ ...event, anomalies: types });
+            }
+        });
+    });
+
+    if (changed.length > 0) {
+        eventStore.replaceEvents(changed);
+        // Keep the replayed state pointing at the stored versions
+        const updated = new Map(changed.map(event => [event.id, event]));
+        byPerson.forEach((events, key) => {
+            const person = people.get(key);
+            if (person && updated.has(person.lastEvent.id)) {
+                person.lastEvent = updated.get(person.lastEvent.id);
+            }
+        });
+    }
+    return changed.length;
+}
+
+/**
+ * Applies a stored event to its person's state
+ */
+function record(event) {
+    const key = personKey(event);
+    const person = people.get(key);
+
+    if (!person) {
+        const created = emptyPerson(event);
+        step(created, event);
+        people.set(key, created);
+    } else if (compareByTime(event, person.lastEvent) > 0) {
+        step(person, event);
+    } else {
+        // Out of order: rebuild this person from their full history
+        refresh([key]);
+    }
+    return getPresence(key);
+}
+
+/**
+ * Rebuilds some people's state after their scans changed other than by
+ * appending, e.g. an import or rollback in the middle of their history
+ * @param {Iterable<string>} keys - Person keys (see personKey)
+ * @returns {number} How many stored events had their anomalies updated
+ */
+function refresh(keys) {
+    const byPerson = new Map();
+    Array.from(keys).forEach(key => byPerson.set(key, personEvents(key)));
+    return replayPeople(byPerson);
+}
+
+/**
+ * Rebuilds every person's state from the event log
+ */
+function rebuild() {
+    const byPerson = new Map();
+    eventStore.queryEvents({ order: 'asc' }).forEach(event => {
+        const key = personKey(event);
+        if (!byPerson.has(key)) byPerson.set(key, []);
+        byPerson.get(key).push(event);
+    });
+
+    people = new Map();
+    replayPeople(byPerson);
+}
+
+function toPresence(person) {
+    return {
+        personKey: person.key,
+        userId: person.userId,
+        name: person.name,
+        state: person.inside ? 'inside' : 'outside',
+        since: person.since,
+        door: person.door,
+        sessionId: person.sessionId
+    };
+}
+
+function getPresence(key) {
+    const person = people.get(key);
+    return person ? toPresence(person) : null;
+}
+
+/**
+ * Everyone's current state, optionally only those inside
+ * @param {object} [filters] - { state?: "inside"|"outside", door? }
+ */
+function listPresence(filters = {}) {
+    let list = Array.from(people.values(), toPresence);
+    if (filters.state) list = list.filter(person => person.state === filters.state);
+    if (filters.door) list = list.filter(person => person.door === filters.door);
+    return list.sort((a, b) => b.since - a.since);
+}
+
+// A session overlaps [from, to) if it started before `to` and ended after `from`
+function overlaps(session, from, to) {
+    const start = session.start !== null ? session.start : session.end;
+    const end = session.end !== null ? session.end : Infinity;
+    return (to === undefined || start < to) && (from === undefined || end >= from);
+}
+
+function matchesPerson(item, filters) {
+    if (filters.userId && item.userId !== filters.userId) return false;
+    if (filters.name && item.name !== filters.name) return false;
+    return true;
+}
+
+/**
+ * Sessions overlapping a time range, newest first
+ * @param {object} [filters] - { userId?, name?, status?, door?, from?, to?, limit? }
+ */
+function listSessions(filters = {}) {
+    const list = [];
+    people.forEach(person => {
+        person.sessions.forEach(session => {
+            if (!matchesPerson(session, filters)) return;
+            if (filters.status && session.status !== filters.status) return;
+            if (filters.door && session.door !== filters.door) return;
+            if (!overlaps(session, filters.from, filters.to)) return;
+            list.push(session);
+        });
+    });
+
+    const sortKey = session => (session.start !== null ? session.start : session.end);
+    list.sort((a, b) => sortKey(b) - sortKey(a));
+    return filters.limit ? list.slice(0, filters.limit) : list;
+}
+
+function getSession(id) {
+    for (const person of people.values()) {
+        const session = person.sessions.find(item => item.id === id);
+        if (session) return session;
+    }
+    return null;
+}
+
+/**
+ * Anomalies in the current timeline, newest first
+ * @param {object} [filters] - { userId?, name?, type?, door?, from?, to?, limit? }
+ */
+function listAnomalies(filters = {}) {
+    const list = [];
+    people.forEach(person => {
+        person.anomalies.forEach(anomaly => {
+            if (!matchesPerson(anomaly, filters)) return;
+            if (filters.type && anomaly.type !== filters.type) return;
+            if (filters.door && anomaly.door !== filters.door) return;
+            if (filters.from !== undefined && anomaly.timestamp < filters.from) return;
+            if (filters.to !== undefined && anomaly.timestamp >= filters.to) return;
+            list.push(anomaly);
+        });
+    });
+
+    list.sort((a, b) => b.timestamp - a.timestamp);
+    return filters.limit ? list.slice(0, filters.limit) : list;
+}
+
+rebuild();
+
+module.exports = {
+    MIN_SESSION_SECONDS,
+    ANOMALY_TYPES,
+    SESSION_STATUSES,
+    personKey,
+    stateBefore,
+    evaluate,
+    record,
+    refresh,
+    rebuild,
+    getPresence,
+    listPresence,
+    listSessions,
+    getSession,
+    listAnomalies
+};
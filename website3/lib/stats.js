@@ -0,0 +1,77 @@
+// ===================================
+// Statistics
+// ===================================
+
+const eventStore = require('./eventStore');
+const security = require('./security');
+const devices = require('./devices');
+const calendar = require('./calendar');
+
+// Every count reads an index size or the last day of the timelines, so the
+// stats published after each scan cost the same however long the history is
+function summarize(filters, todayStart, now) {
+    const todayEntries = eventStore.queryEvents({ ...filters, from: todayStart });
+    const deniedToday = security.querySecurityEvents({ ...filters, type: 'denied', from: todayStart });
+
+    const deniedByReasonToday = {};
+    deniedToday.forEach(event => {
+        deniedByReasonToday[event.reason] = (deniedByReasonToday[event.reason] || 0) + 1;
+    });
+
+    return {
+        totalEntries: eventStore.countEvents(filters),
+        signInsToday: todayEntries.filter(entry => entry.action === 'in').length,
+        signOutsToday: todayEntries.filter(entry => entry.action === 'out').length,
+        entriesLast24h: eventStore.countEvents({ ...filters, from: now - calendar.DAY_MS }),
+        deniedToday: deniedToday.length,
+        deniedByReasonToday: deniedByReasonToday
+    };
+}
+
+/**
+ * Doors seen in the selected events and denials (events from unassigned
+ * devices have none)
+ */
+function doorsOf(selection) {
+    const doors = new Set();
+    if (selection.deviceId) {
+        eventStore.queryEvents(selection).forEach(entry => entry.door && doors.add(entry.door));
+        security.querySecurityEvents(selection).forEach(event => event.door && doors.add(event.door));
+    } else {
+        eventStore.listDoors().forEach(door => doors.add(door));
+        security.listDoors().forEach(door => doors.add(door));
+    }
+    return Array.from(doors).filter(door => !selection.door || door === selection.door).sort();
+}
+
+/**
+ * Computes the dashboard statistics from the event store
+ * @param {object} [filters] - { deviceId?, door? } to restrict the counts
+ * @param {string} [timeZone] - Where "today" is; defaults to the device's zone
+ *   when filtering by device, otherwise the site time zone
+ * @returns {object} Counts for the selection plus a `byDoor` breakdown
+ */
+function computeStats(filters = {}, timeZone = devices.getTimeZone(filters.deviceId)) {
+    const now = Date.now();
+    const todayStart = calendar.startOfDay(now, timeZone);
+
+    const selection = {};
+    if (filters.deviceId) selection.deviceId = filters.deviceId;
+    if (filters.door) selection.door = filters.door;
+
+    const byDoor = {};
+    doorsOf(selection).forEach(door => {
+        byDoor[door] = summarize({ ...selection, door }, todayStart, now);
+    });
+
+    return {
+        ...summarize(selection, todayStart, now),
+        byDoor: byDoor,
+        timeZone: timeZone,
+        todayStart: todayStart
+    };
+}
+
+module.exports = {
+    computeStats
+};
@@ -0,0 +1,307 @@
+// ===================================
+// Append-Only File Storage
+// Durable JSON Lines collections
+// ===================================
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const encryption = require('./encryption');
+
+const DATA_DIR = config.storage.dataDir;
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+
+// Collection name -> fields encrypted at rest (also applied to its archives)
+const encryptedFields = new Map();
+
+function serialize(operation, fields) {
+    if (operation.op !== 'put') return JSON.stringify(operation);
+    return JSON.stringify({ op: 'put', record: encryption.encryptFields(operation.record, fields) });
+}
+
+/**
+ * Parses one stored line. Unreadable JSON (a torn write) yields null, but a
+ * value that cannot be decrypted throws: a wrong key must not drop data.
+ * @returns {{ operation: object, stale: boolean }|null}
+ */
+function parseLine(line, fields) {
+    let operation;
+    try {
+        operation = JSON.parse(line);
+    } catch (error) {
+        return null;
+    }
+    if (operation.op !== 'put' || !operation.record) return { operation, stale: false };
+    const { record, stale } = encryption.decryptFields(operation.record, fields);
+    return { operation: { op: 'put', record }, stale };
+}
+
+/**
+ * Creates a durable collection backed by an append-only JSON Lines file.
+ * Every change is appended as an operation ({ op: 'put' | 'del' }) and the
+ * file is replayed on startup, so a crash never loses acknowledged writes.
+ *
+ * @param {string} name - File name (without extension) inside DATA_DIR
+ * @param {object} [options]
+ * @param {string[]} [options.indexes] - Record fields to keep a lookup index for
+ * @param {string[]} [options.encrypted] - Personal fields to encrypt on disk (see encryption.js)
+ */
+function createCollection(name, options = {}) {
+    const file = path.join(DATA_DIR, `${name}.jsonl`);
+    const indexFields = options.indexes || [];
+    const fields = options.encrypted || [];
+    encryptedFields.set(name, fields);
+
+    const records = new Map();
+    const indexes = new Map(indexFields.map(field => [field, new Map()]));
+
+    function addToIndexes(record) {
+        indexes.forEach((index, field) => {
+            const value = record[field];
+            if (value === undefined || value === null) return;
+            if (!index.has(value)) index.set(value, new Set());
+            index.get(value).add(record.id);
+        });
+    }
+
+    function removeFromIndexes(record) {
+        indexes.forEach((index, field) => {
+            const ids = index.get(record[field]);
+            if (!ids) return;
+            ids.delete(record.id);
+            if (ids.size === 0) index.delete(record[field]);
+        });
+    }
+
+    function apply(operation) {
+        const existing = records.get(operation.op === 'put' ? operation.record.id : operation.id);
+        if (existing) removeFromIndexes(existing);
+
+        if (operation.op === 'put') {
+            records.set(operation.record.id, operation.record);
+            addToIndexes(operation.record);
+        } else if (operation.op === 'del') {
+            records.delete(operation.id);
+        }
+    }
+
+    function append(operation) {
+        fs.appendFileSync(file, serialize(operation, fields) + '\n');
+        apply(operation);
+    }
+
+    // Replay the log; a torn final line from a crash is skipped, not fatal
+    let stale = false;
+    if (fs.existsSync(file)) {
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+        lines.forEach((line, lineNumber) => {
+            if (!line.trim()) return;
+            const parsed = parseLine(line, fields);
+            if (!parsed) {
+                console.warn(`[storage] Skipping unreadable line ${lineNumber + 1} in ${file}`);
+                return;
+            }
+            stale = stale || parsed.stale;
+            apply(parsed.operation);
+        });
+    }
+
+    const collection = {
+        get size() {
+            return records.size;
+        },
+
+        get(id) {
+            return records.get(id) || null;
+        },
+
+        all() {
+            return Array.from(records.values());
+        },
+
+        /**
+         * Returns all records whose indexed field equals value
+         */
+        find(field, value) {
+            const index = indexes.get(field);
+            if (!index) {
+                throw new Error(`Field "${field}" is not indexed in ${name}`);
+            }
+            const ids = index.get(value);
+            return ids ? Array.from(ids, id => records.get(id)) : [];
+        },
+
+        /**
+         * How many records have value in an indexed field, without copying them
+         */
+        count(field, value) {
+            const index = indexes.get(field);
+            if (!index) {
+                throw new Error(`Field "${field}" is not indexed in ${name}`);
+            }
+            const ids = index.get(value);
+            return ids ? ids.size : 0;
+        },
+
+        /**
+         * Distinct values of an indexed field (null and missing are left out)
+         */
+        values(field) {
+            const index = indexes.get(field);
+            if (!index) {
+                throw new Error(`Field "${field}" is not indexed in ${name}`);
+            }
+            return Array.from(index.keys());
+        },
+
+        put(record) {
+            if (!record.id) {
+                throw new Error(`Records in ${name} require an id`);
+            }
+            append({ op: 'put', record });
+            return record;
+        },
+
+        /**
+         * Stores several records with a single write to the log
+         */
+        putMany(list) {
+            if (list.some(record => !record.id)) {
+                throw new Error(`Records in ${name} require an id`);
+            }
+            if (list.length === 0) return list;
+            const operations = list.map(record => ({ op: 'put', record }));
+            fs.appendFileSync(file, operations.map(operation => serialize(operation, fields) + '\n').join(''));
+            operations.forEach(apply);
+            return list;
+        },
+
+        remove(id) {
+            if (!records.has(id)) return false;
+            append({ op: 'del', id });
+            return true;
+        },
+
+        /**
+         * Rewrites the log with only the current records
+         */
+        compact() {
+            const tmpFile = `${file}.tmp`;
+            const lines = Array.from(records.values(), record => serialize({ op: 'put', record }, fields));
+            fs.writeFileSync(tmpFile, lines.length ? lines.join('\n') + '\n' : '');
+            fs.renameSync(tmpFile, file);
+        },
+
+        /**
+         * Moves the current log into DATA_DIR/archive and starts empty.
+         * Returns the archive path, or null if there was nothing to archive.
+         */
+        archive() {
+            let archivePath = null;
+            if (fs.existsSync(file)) {
+                const archiveDir = path.join(DATA_DIR, 'archive');
+                fs.mkdirSync(archiveDir, { recursive: true });
+                const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+                archivePath = path.join(archiveDir, `${name}-${stamp}.jsonl`);
+                fs.renameSync(file, archivePath);
+            }
+            records.clear();
+            indexes.forEach(index => index.clear());
+            return archivePath;
+        }
+    };
+
+    // Values in plaintext or under a rotated-out key are rewritten with the active key
+    if (stale) {
+        collection.compact();
+        console.log(`[storage] Re-encrypted ${file} with key "${encryption.getStatus().activeKey}"`);
+    }
+    rewriteArchives(name, record => record);
+
+    return collection;
+}
+
+function archiveFiles(name) {
+    const archiveDir = path.join(DATA_DIR, 'archive');
+    if (!fs.existsSync(archiveDir)) return [];
+    return fs.readdirSync(archiveDir)
+        .filter(file => file.startsWith(`${name}-`) && file.endsWith('.jsonl'))
+        .map(file => path.join(archiveDir, file));
+}
+
+function readOperations(file, fields) {
+    const operations = [];
+    let stale = false;
+    fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+        if (!line.trim()) return;
+        const parsed = parseLine(line, fields);
+        if (!parsed) return; // Torn line, as on replay
+        stale = stale || parsed.stale;
+        operations.push(parsed.operation);
+    });
+    return { operations, stale };
+}
+
+/**
+ * Records written to the archived logs of a collection (see archive())
+ * @param {string} name - Collection name
+ * @returns {object[]}
+ */
+function readArchives(name) {
+    const records = [];
+    archiveFiles(name).forEach(file => {
+        const replayed = new Map();
+        readOperations(file, encryptedFields.get(name) || []).operations.forEach(operation => {
+            if (operation.op === 'put') replayed.set(operation.record.id, operation.record);
+            else if (operation.op === 'del') replayed.delete(operation.id);
+        });
+        records.push(...replayed.values());
+    });
+    return records;
+}
+
+/**
+ * Rewrites every archived log of a collection, e.g. to erase a person or
+ * apply a retention period to old purges. Archives left empty are deleted,
+ * and archives holding stale ciphertext are rewritten with the active key.
+ * @param {string} name - Collection name
+ * @param {function} transform - (record) => the record, a changed copy, or null to drop it
+ * @returns {number} How many records were changed or dropped
+ */
+function rewriteArchives(name, transform) {
+    const fields = encryptedFields.get(name) || [];
+    let changed = 0;
+    archiveFiles(name).forEach(file => {
+        let changedInFile = 0;
+        const operations = [];
+        const stored = readOperations(file, fields);
+        stored.operations.forEach(operation => {
+            if (operation.op !== 'put') {
+                operations.push(operation);
+                return;
+            }
+            const record = transform(operation.record);
+            if (record !== operation.record) changedInFile++;
+            if (record) operations.push({ op: 'put', record });
+        });
+
+        if (changedInFile === 0 && !stored.stale) return;
+        changed += changedInFile;
+        if (!operations.some(operation => operation.op === 'put')) {
+            fs.unlinkSync(file);
+            return;
+        }
+        const tmpFile = `${file}.tmp`;
+        fs.writeFileSync(tmpFile, operations.map(operation => serialize(operation, fields)).join('\n') + '\n');
+        fs.renameSync(tmpFile, file);
+    });
+    return changed;
+}
+
+module.exports = {
+    DATA_DIR,
+    createCollection,
+    readArchives,
+    rewriteArchives
+};
@@ -0,0 +1,203 @@
+// ===================================
+// Timeline
+// Time-ordered view of a collection for range queries
+// ===================================
+//
+// Scans and security events are mostly read by time range. A timeline keeps
+// a collection's records sorted by timestamp (then arrival, then id) and
+// writes through to the collection, so the two never drift apart. Queries
+// read whichever is shorter: the time range or the smallest index match, so
+// a person's or today's events never cost a copy of the whole history.
+
+// Total order over events: timestamp, then arrival, then id
+function compareByTime(a, b) {
+    return a.timestamp - b.timestamp ||
+        a.receivedAt - b.receivedAt ||
+        (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+/**
+ * Wraps a collection (see storage.js) whose records have timestamp and
+ * receivedAt fields
+ * @param {object} collection
+ * @param {string[]} indexedFilters - Indexed fields that queries filter on
+ */
+function createTimeline(collection, indexedFilters) {
+    let sorted = collection.all().sort(compareByTime);
+
+    /**
+     * Index of the first record with timestamp >= value
+     */
+    function lowerBound(value) {
+        let low = 0;
+        let high = sorted.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (sorted[mid].timestamp < value) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    /**
+     * Index of a record, found by its timestamp, arrival and id
+     */
+    function positionOf(record) {
+        let low = 0;
+        let high = sorted.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (compareByTime(sorted[mid], record) < 0) low = mid + 1;
+            else high = mid;
+        }
+        return sorted[low] && sorted[low].id === record.id ? low : -1;
+    }
+
+    function rangeOf(filters) {
+        return {
+            start: filters.from !== undefined ? lowerBound(filters.from) : 0,
+            end: filters.to !== undefined ? lowerBound(filters.to) : sorted.length
+        };
+    }
+
+    function indexedIn(filters) {
+        return indexedFilters.filter(field => filters[field] !== undefined);
+    }
+
+    /**
+     * Records in [from, to) whose indexed fields equal the filters, oldest
+     * first. Other filters are left to the caller.
+     */
+    function select(filters = {}) {
+        const { start, end } = rangeOf(filters);
+        const indexed = indexedIn(filters);
+        const narrowest = indexed
+            .map(field => ({ field, count: collection.count(field, filters[field]) }))
+            .sort((a, b) => a.count - b.count)[0];
+
+        let results;
+        if (narrowest && narrowest.count < end - start) {
+            results = collection.find(narrowest.field, filters[narrowest.field])
+                .filter(record =>
+                    (filters.from === undefined || record.timestamp >= filters.from) &&
+                    (filters.to === undefined || record.timestamp < filters.to))
+                .sort(compareByTime);
+        } else {
+            results = sorted.slice(start, end);
+        }
+
+        if (indexed.length > 0) {
+            results = results.filter(record => indexed.every(field => record[field] === filters[field]));
+        }
+        return results;
+    }
+
+    /**
+     * How many records select() would return, without copying them when an
+     * index or the time range alone answers it
+     */
+    function count(filters = {}) {
+        const indexed = indexedIn(filters);
+        const ranged = filters.from !== undefined || filters.to !== undefined;
+        if (indexed.length > 1 || (indexed.length === 1 && ranged)) {
+            return select(filters).length;
+        }
+        if (indexed.length === 1) {
+            return collection.count(indexed[0], filters[indexed[0]]);
+        }
+        const { start, end } = rangeOf(filters);
+        return end - start;
+    }
+
+    /**
+     * Stores a record and places it in time
+     */
+    function add(record) {
+        collection.put(record);
+
+        // Records normally arrive in order, so this is almost always an append
+        let position = sorted.length;
+        while (position > 0 && compareByTime(sorted[position - 1], record) > 0) {
+            position--;
+        }
+        sorted.splice(position, 0, record);
+        return record;
+    }
+
+    /**
+     * Stores many records with one write and merges them in a single pass,
+     * however far back they reach
+     */
+    function addMany(records) {
+        collection.putMany(records);
+
+        const batch = records.slice().sort(compareByTime);
+        const merged = [];
+        let i = 0;
+        let j = 0;
+        while (i < sorted.length || j < batch.length) {
+            if (j >= batch.length || (i < sorted.length && compareByTime(sorted[i], batch[j]) <= 0)) {
+                merged.push(sorted[i++]);
+            } else {
+                merged.push(batch[j++]);
+            }
+        }
+        sorted = merged;
+        return records;
+    }
+
+    /**
+     * Deletes records by id
+     * @returns {number} How many were removed
+     */
+    function remove(ids) {
+        const removed = new Set(ids.filter(id => collection.remove(id)));
+        if (removed.size > 0) {
+            sorted = sorted.filter(record => !removed.has(record.id));
+        }
+        return removed.size;
+    }
+
+    /**
+     * Stores changed copies of records (same ids and timestamps)
+     * @returns {number} How many were replaced
+     */
+    function replace(updated) {
+        const byId = new Map(updated.filter(record => collection.get(record.id)).map(record => [record.id, record]));
+        byId.forEach(record => {
+            const position = positionOf(collection.get(record.id));
+            collection.put(record);
+            if (position >= 0) sorted[position] = record;
+        });
+        return byId.size;
+    }
+
+    return {
+        get length() {
+            return sorted.length;
+        },
+
+        latest() {
+            return sorted[sorted.length - 1] || null;
+        },
+
+        select,
+        count,
+        add,
+        addMany,
+        remove,
+        replace,
+
+        /**
+         * Reloads from the collection, e.g. after it was archived
+         */
+        reload() {
+            sorted = collection.all().sort(compareByTime);
+        }
+    };
+}
+
+module.exports = {
+    compareByTime,
+    createTimeline
+};
@@ -0,0 +1,156 @@
+// ===================================
+// Timesheet Report
+// Worked hours per person, day and week from in/out sessions
+// ===================================
+//
+// Sessions come from lib/sessions.js. Days are calendar days in the report's
+// time zone (the site time zone by default). A session that crosses midnight
+// is split between the days it covers. Sessions without a start or an end
+// (forgotten sign-in/out) add no hours and mark their day incomplete.
+
+const sessions = require('./sessions');
+const calendar = require('./calendar');
+
+// Open sessions younger than this are someone still at work; older ones are
+// a forgotten sign-out
+const OPEN_SESSION_MAX_HOURS = 16;
+
+function toHours(durationMs) {
+    return Math.round(durationMs / 36000) / 100;
+}
+
+function emptyDay(dayStart, timeZone) {
+    return {
+        date: calendar.formatDate(dayStart, timeZone),
+        dayStart: dayStart,
+        durationMs: 0,
+        sessions: 0,
+        incomplete: false,
+        open: false,
+        anomalies: []
+    };
+}
+
+function emptyPerson(session) {
+    return {
+        personKey: session.personKey,
+        userId: session.userId,
+        name: session.name,
+        days: new Map()
+    };
+}
+
+function dayOf(person, timestamp, timeZone) {
+    const dayStart = calendar.startOfDay(timestamp, timeZone);
+    if (!person.days.has(dayStart)) person.days.set(dayStart, emptyDay(dayStart, timeZone));
+    return person.days.get(dayStart);
+}
+
+/**
+ * Adds [start, end) to the days it covers, clipped to the report range.
+ * `open` marks those days as still in progress.
+ */
+function addWorked(person, session, start, end, range, open) {
+    const from = Math.max(start, range.from);
+    const to = Math.min(end, range.to);
+    let dayStart = calendar.startOfDay(from, range.timeZone);
+
+    while (dayStart < to) {
+        const nextDay = calendar.addDays(dayStart, 1, range.timeZone);
+        const day = dayOf(person, dayStart, range.timeZone);
+        day.durationMs += Math.min(to, nextDay) - Math.max(from, dayStart);
+        day.sessions++;
+        if (open) day.open = true;
+        session.anomalies.forEach(type => {
+            if (!day.anomalies.includes(type)) day.anomalies.push(type);
+        });
+        dayStart = nextDay;
+    }
+}
+
+function markIncomplete(person, session, timestamp, range) {
+    if (timestamp < range.from || timestamp >= range.to) return;
+    const day = dayOf(person, timestamp, range.timeZone);
+    day.incomplete = true;
+    session.anomalies.forEach(type => {
+        if (!day.anomalies.includes(type)) day.anomalies.push(type);
+    });
+}
+
+function summarizeWeeks(days, timeZone) {
+    const weeks = new Map();
+    days.forEach(day => {
+        const label = calendar.formatWeek(day.dayStart, timeZone);
+        if (!weeks.has(label)) {
+            weeks.set(label, {
+                week: label,
+                weekStart: calendar.formatDate(calendar.startOfWeek(day.dayStart, timeZone), timeZone),
+                durationMs: 0,
+                incompleteDays: 0
+            });
+        }
+        const week = weeks.get(label);
+        week.durationMs += day.durationMs;
+        if (day.incomplete) week.incompleteDays++;
+    });
+    return Array.from(weeks.values()).map(week => ({ ...week, hours: toHours(week.durationMs) }));
+}
+
+/**
+ * Builds the timesheet for [from, to)
+ * @param {object} range - { from, to } in ms, plus optional userId / name filters
+ *   and the timeZone that splits days (defaults to the site time zone)
+ * @returns {object} { from, to, timeZone, generatedAt, people: [...] }
+ */
+function buildTimesheet({ from, to, userId, name, timeZone = calendar.SITE_TIMEZONE }) {
+    const now = Date.now();
+    const range = { from, to, timeZone };
+    const people = new Map();
+
+    sessions.listSessions({ userId, name, from, to }).forEach(session => {
+        if (!people.has(session.personKey)) people.set(session.personKey, emptyPerson(session));
+        const person = people.get(session.personKey);
+
+        if (session.status === 'complete') {
+            addWorked(person, session, session.start, session.end, range, false);
+        } else if (session.status === 'open' && now - session.start <= OPEN_SESSION_MAX_HOURS * 3600 * 1000) {
+            // Still at work: count up to now
+            addWorked(person, session, session.start, now, range, true);
+        } else {
+            markIncomplete(person, session, session.start !== null ? session.start : session.end, range);
+        }
+    });
+
+    // People whose only sessions were incomplete ones outside the range have no days
+    const report = Array.from(people.values()).filter(person => person.days.size > 0).map(person => {
+        const days = Array.from(person.days.values())
+            .sort((a, b) => a.dayStart - b.dayStart);
+        const totalMs = days.reduce((sum, day) => sum + day.durationMs, 0);
+
+        return {
+            personKey: person.personKey,
+            userId: person.userId,
+            name: person.name,
+            totalHours: toHours(totalMs),
+            totalDurationMs: totalMs,
+            incompleteDays: days.filter(day => day.incomplete).length,
+            days: days.map(day => ({ ...day, hours: toHours(day.durationMs) })),
+            weeks: summarizeWeeks(days, timeZone)
+        };
+    });
+
+    report.sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+        from: from,
+        to: to,
+        timeZone: timeZone,
+        generatedAt: now,
+        people: report
+    };
+}
+
+module.exports = {
+    OPEN_SESSION_MAX_HOURS,
+    buildTimesheet
+};
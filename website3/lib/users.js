@@ -0,0 +1,231 @@
+// ===================================
+// User Directory
+// People and their R503 fingerprint template slots
+// ===================================
+
+const crypto = require('crypto');
+const { createCollection } = require('./storage');
+
+const users = createCollection('users', { encrypted: ['displayName', 'department', 'fingerprintSlots'] });
+
+// The R503 template library holds 200 fingerprints (slots 0-199)
+const FINGERPRINT_SLOT_COUNT = 200;
+
+const USER_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+
+// Group names, e.g. "cleaning" or "contractors"; access schedules apply to groups
+const GROUP_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+
+// Fingerprint slot -> user id
+const slotIndex = new Map();
+
+function rebuildSlotIndex() {
+    slotIndex.clear();
+    users.all().forEach(user => {
+        user.fingerprintSlots.forEach(slot => slotIndex.set(slot, user.id));
+    });
+}
+
+function userError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function isValidSlot(slot) {
+    return Number.isInteger(slot) && slot >= 0 && slot < FINGERPRINT_SLOT_COUNT;
+}
+
+/**
+ * Validates a slot list and checks that no other user holds those slots
+ */
+function validateSlots(slots, userId) {
+    if (!Array.isArray(slots) || !slots.every(isValidSlot)) {
+        throw userError('INVALID_SLOT',
+            `fingerprintSlots must be an array of integers 0-${FINGERPRINT_SLOT_COUNT - 1}`);
+    }
+    slots.forEach(slot => {
+        const owner = slotIndex.get(slot);
+        if (owner && owner !== userId) {
+            throw userError('SLOT_TAKEN', `Fingerprint slot ${slot} is assigned to "${owner}"`);
+        }
+    });
+    return Array.from(new Set(slots)).sort((a, b) => a - b);
+}
+
+function validateDisplayName(displayName) {
+    if (typeof displayName !== 'string' || !displayName.trim()) {
+        throw userError('INVALID_USER', 'displayName is required');
+    }
+    return displayName.trim();
+}
+
+function validateGroups(groups) {
+    if (!Array.isArray(groups) || !groups.every(group => typeof group === 'string' && GROUP_PATTERN.test(group))) {
+        throw userError('INVALID_USER', 'groups must be an array of names (letters, digits, ".", "-" and "_", max 64)');
+    }
+    return Array.from(new Set(groups)).sort();
+}
+
+/**
+ * Groups of a user (users created before groups existed have none)
+ */
+function groupsOf(user) {
+    return user.groups || [];
+}
+
+function validateEnabled(enabled) {
+    if (typeof enabled !== 'boolean') {
+        throw userError('INVALID_USER', 'enabled must be true or false');
+    }
+    return enabled;
+}
+
+/**
+ * Disabled users keep their slots, but their scans are denied. Users
+ * created before the flag existed are enabled.
+ */
+function isEnabled(user) {
+    return user.enabled !== false;
+}
+
+function listUsers(filters = {}) {
+    let list = users.all();
+    if (filters.department) {
+        list = list.filter(user => user.department === filters.department);
+    }
+    if (filters.group) {
+        list = list.filter(user => groupsOf(user).includes(filters.group));
+    }
+    return list.sort((a, b) => a.displayName.localeCompare(b.displayName));
+}
+
+function getUser(id) {
+    return users.get(id);
+}
+
+function isSlotAssigned(slot) {
+    return slotIndex.has(slot);
+}
+
+function findUserBySlot(slot) {
+    const userId = slotIndex.get(slot);
+    return userId ? users.get(userId) : null;
+}
+
+/**
+ * @param {object} data - { id?, displayName, department?, groups?, fingerprintSlots?, enabled? }
+ * @throws {Error} with a `code` property on invalid input
+ */
+function createUser(data) {
+    const id = data.id || `u-${crypto.randomBytes(4).toString('hex')}`;
+    if (!USER_ID_PATTERN.test(id)) {
+        throw userError('INVALID_USER', 'User id may only contain letters, digits, ".", "-" and "_" (max 64)');
+    }
+    if (users.get(id)) {
+        throw userError('USER_EXISTS', `User "${id}" already exists`);
+    }
+
+    const now = Date.now();
+    const user = users.put({
+        id: id,
+        displayName: validateDisplayName(data.displayName),
+        department: data.department ? String(data.department).trim() : null,
+        groups: validateGroups(data.groups || []),
+        fingerprintSlots: validateSlots(data.fingerprintSlots || [], id),
+        enabled: data.enabled === undefined ? true : validateEnabled(data.enabled),
+        createdAt: now,
+        updatedAt: now
+    });
+
+    rebuildSlotIndex();
+    return user;
+}
+
+/**
+ * Applies a partial update; returns null when the user does not exist
+ */
+function updateUser(id, changes) {
+    const user = users.get(id);
+    if (!user) return null;
+
+    const updated = { ...user, updatedAt: Date.now() };
+    if (changes.displayName !== undefined) {
+        updated.displayName = validateDisplayName(changes.displayName);
+    }
+    if (changes.department !== undefined) {
+        updated.department = changes.department ? String(changes.department).trim() : null;
+    }
+    if (changes.groups !== undefined) {
+        updated.groups = validateGroups(changes.groups);
+    }
+    if (changes.fingerprintSlots !== undefined) {
+        updated.fingerprintSlots = validateSlots(changes.fingerprintSlots, id);
+    }
+    if (changes.enabled !== undefined) {
+        updated.enabled = validateEnabled(changes.enabled);
+    }
+
+    users.put(updated);
+    rebuildSlotIndex();
+    return updated;
+}
+
+function removeUser(id) {
+    const removed = users.remove(id);
+    if (removed) rebuildSlotIndex();
+    return removed;
+}
+
+/**
+ * Rewrites the directory file without removed users and old versions
+ */
+function compactUsers() {
+    users.compact();
+}
+
+/**
+ * Works out who a scan belongs to. A fingerprintId that maps to a user wins;
+ * the free-text name is only used when no fingerprintId was sent.
+ * @returns {{ error: string, code: string }|{ userId: string|null, name: string }}
+ */
+function resolveIdentity({ fingerprintId, name }) {
+    if (fingerprintId !== undefined && fingerprintId !== null) {
+        const slot = Number(fingerprintId);
+        if (!isValidSlot(slot)) {
+            return {
+                error: `fingerprintId must be an integer 0-${FINGERPRINT_SLOT_COUNT - 1}`,
+                code: 'INVALID_FINGERPRINT_ID'
+            };
+        }
+        const user = findUserBySlot(slot);
+        if (user) {
+            return { userId: user.id, name: user.displayName };
+        }
+        if (!name) {
+            return {
+                error: `Fingerprint slot ${slot} is not assigned to any user`,
+                code: 'UNKNOWN_FINGERPRINT'
+            };
+        }
+    }
+
+    return { userId: null, name: name };
+}
+
+rebuildSlotIndex();
+
+module.exports = {
+    FINGERPRINT_SLOT_COUNT,
+    listUsers,
+    getUser,
+    isEnabled,
+    groupsOf,
+    isSlotAssigned,
+    findUserBySlot,
+    createUser,
+    updateUser,
+    removeUser,
+    compactUsers,
+    resolveIdentity
+};
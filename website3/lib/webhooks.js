@@ -0,0 +1,426 @@
+// ===================================
+// Outbound Webhooks
+// Signed notifications to other systems, with retries and a delivery log
+// ===================================
+//
+// A subscription names a target URL, the event types it wants and a secret.
+// Every matching event becomes a delivery: a JSON POST signed like device
+// requests (HMAC-SHA256 of "<timestamp>.<body>", see README). Deliveries are
+// stored before they are sent, so pending ones survive a restart. A failed
+// attempt (network error, timeout or non-2xx answer) is retried after
+// RETRY_DELAYS_SECONDS; after the last one the delivery is marked failed.
+// Finished deliveries are dropped by the retention policy (see retention.js).
+
+const crypto = require('crypto');
+const { createCollection } = require('./storage');
+const { signPayload } = require('./deviceAuth');
+
+const EVENT_TYPES = ['sign-in', 'sign-out', 'denied', 'device-offline', 'anomaly'];
+
+// Waits before the 2nd, 3rd, ... attempt; the delivery fails after the last
+const RETRY_DELAYS_SECONDS = [30, 120, 600, 1800, 7200, 21600];
+const MAX_ATTEMPTS = RETRY_DELAYS_SECONDS.length + 1;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_RESPONSE_LENGTH = 500;
+const MAX_PARALLEL_DELIVERIES = 10;
+
+const webhooks = createCollection('webhooks');
+const deliveries = createCollection('webhook-deliveries', { indexes: ['webhookId', 'status'], encrypted: ['payload'] });
+
+// Deliveries being sent right now
+const inFlight = new Set();
+
+function webhookError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Subscription without its secret, safe to return from the API
+ */
+function toPublicWebhook(webhook) {
+    const { secret, ...publicFields } = webhook;
+    return publicFields;
+}
+
+function validateUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw webhookError('INVALID_WEBHOOK', 'url must be an absolute http:// or https:// URL');
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw webhookError('INVALID_WEBHOOK', 'url must be an absolute http:// or https:// URL');
+    }
+    return parsed.toString();
+}
+
+function validateEvents(events) {
+    if (!Array.isArray(events) || events.length === 0 ||
+        events.some(event => !EVENT_TYPES.includes(event))) {
+        throw webhookError('INVALID_WEBHOOK', `events must be a list of: ${EVENT_TYPES.join(', ')}`);
+    }
+    return Array.from(new Set(events));
+}
+
+function validateSecret(secret) {
+    if (secret === undefined || secret === null || secret === '') return generateSecret();
+    if (typeof secret !== 'string' || secret.length < 16 || secret.length > 256) {
+        throw webhookError('INVALID_WEBHOOK', 'secret must be 16-256 characters (leave it out to have one generated)');
+    }
+    return secret;
+}
+
+// Optional free-text label: trimmed string, or null when empty
+function normalizeLabel(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function listWebhooks() {
+    return webhooks.all()
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(toPublicWebhook);
+}
+
+function getWebhook(id) {
+    const webhook = webhooks.get(id);
+    return webhook ? toPublicWebhook(webhook) : null;
+}
+
+/**
+ * Creates a subscription and returns it together with its secret
+ * @param {object} data - { url, events, secret?, description? }
+ * @param {string} createdBy - Account id of the admin
+ * @throws {Error} with code INVALID_WEBHOOK
+ */
+function createWebhook({ url, events, secret, description }, createdBy) {
+    const webhook = webhooks.put({
+        id: crypto.randomUUID(),
+        url: validateUrl(url),
+        events: validateEvents(events),
+        description: normalizeLabel(description),
+        enabled: true,
+        secret: validateSecret(secret),
+        createdAt: Date.now(),
+        createdBy: createdBy
+    });
+    return { webhook: toPublicWebhook(webhook), secret: webhook.secret };
+}
+
+/**
+ * Applies a partial update; returns null when the subscription does not exist
+ * @param {object} changes - { url?, events?, description?, enabled? }
+ * @throws {Error} with code INVALID_WEBHOOK
+ */
+function updateWebhook(id, changes) {
+    const webhook = webhooks.get(id);
+    if (!webhook) return null;
+
+    const updated = { ...webhook };
+    if (changes.url !== undefined) {
+        updated.url = validateUrl(changes.url);
+    }
+    if (changes.events !== undefined) {
+        updated.events = validateEvents(changes.events);
+    }
+    if (changes.description !== undefined) {
+        updated.description = normalizeLabel(changes.description);
+    }
+    if (typeof changes.enabled === 'boolean') {
+        updated.enabled = changes.enabled;
+    }
+    webhooks.put(updated);
+    if (webhook.enabled && !updated.enabled) {
+        cancelPending(id, 'Webhook disabled');
+    }
+    return toPublicWebhook(updated);
+}
+
+/**
+ * Issues a new secret (or sets the given one); it applies to the next attempt
+ */
+function rotateSecret(id, secret) {
+    const webhook = webhooks.get(id);
+    if (!webhook) return null;
+
+    const updated = webhooks.put({ ...webhook, secret: validateSecret(secret), secretRotatedAt: Date.now() });
+    return { webhook: toPublicWebhook(updated), secret: updated.secret };
+}
+
+function removeWebhook(id) {
+    if (!webhooks.remove(id)) return false;
+    cancelPending(id, 'Webhook removed');
+    return true;
+}
+
+/**
+ * Cancels the deliveries of a subscription that are still waiting to be sent.
+ * An attempt already in flight finishes, but is not retried.
+ * @returns {number} How many were cancelled
+ */
+function cancelPending(webhookId, reason) {
+    const pending = deliveries.find('webhookId', webhookId)
+        .filter(delivery => delivery.status === 'pending');
+    pending.forEach(delivery => deliveries.put({ ...delivery, status: 'cancelled', nextAttemptAt: null, error: reason }));
+    return pending.length;
+}
+
+function createDelivery(webhook, event, data, options = {}) {
+    const now = Date.now();
+    const id = crypto.randomUUID();
+    const payload = { id: id, event: event, createdAt: now, data: data };
+    if (options.backfilled) payload.backfilled = true;
+    return deliveries.put({
+        id: id,
+        webhookId: webhook.id,
+        url: webhook.url,
+        event: event,
+        payload: payload,
+        status: 'pending',
+        createdAt: now,
+        nextAttemptAt: now,
+        attempts: []
+    });
+}
+
+/**
+ * Queues a delivery to every enabled subscription for the event type and
+ * starts sending them. Returns the queued deliveries.
+ * @param {string} event - One of EVENT_TYPES
+ * @param {*} data - JSON-serializable event details
+ * @param {object} [options]
+ * @param {boolean} [options.backfilled] - The event happened earlier and is
+ *   only arriving now (a device's offline backlog); the payload says so
+ */
+function dispatch(event, data, options = {}) {
+    const queued = webhooks.all()
+        .filter(webhook => webhook.enabled && webhook.events.includes(event))
+        .map(webhook => createDelivery(webhook, event, data, options));
+
+    if (queued.length > 0) setImmediate(deliverDue);
+    return queued;
+}
+
+/**
+ * Queues a "ping" delivery to one subscription, whatever its event types
+ */
+function sendTest(id) {
+    const webhook = webhooks.get(id);
+    if (!webhook) return null;
+
+    const delivery = createDelivery(webhook, 'ping', { webhookId: webhook.id, message: 'Test delivery' });
+    setImmediate(deliverDue);
+    return delivery;
+}
+
+/**
+ * Announces a stored scan: "sign-in" or "sign-out", plus "anomaly" when it
+ * raised any anomalies
+ * @param {object} [options] - { backfilled? } as for dispatch
+ */
+function notifyEntry(entry, options = {}) {
+    dispatch(entry.action === 'in' ? 'sign-in' : 'sign-out', entry, options);
+    if (entry.anomalies && entry.anomalies.length > 0) {
+        dispatch('anomaly', { anomalies: entry.anomalies, entry: entry }, options);
+    }
+}
+
+function describeFailure(error) {
+    if (error.name === 'TimeoutError') return `No answer within ${REQUEST_TIMEOUT_MS / 1000}s`;
+    const cause = error.cause;
+    if (cause) return cause.code ? `${cause.code}: ${cause.message}` : cause.message;
+    return error.message;
+}
+
+/**
+ * Makes one attempt and stores its outcome
+ */
+async function attempt(delivery) {
+    const webhook = webhooks.get(delivery.webhookId);
+    if (!webhook || !webhook.enabled) {
+        return deliveries.put({
+            ...delivery,
+            status: 'cancelled',
+            nextAttemptAt: null,
+            error: webhook ? 'Webhook disabled' : 'Webhook removed'
+        });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const startedAt = Date.now();
+    const result = { at: startedAt };
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'WeSellYourData-Webhooks/1.0',
+                'X-Webhook-Id': delivery.id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+            },
+            body: body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        result.responseStatus = response.status;
+        result.response = (await response.text()).slice(0, MAX_RESPONSE_LENGTH);
+        if (!response.ok) result.error = `HTTP ${response.status}`;
+    } catch (error) {
+        result.error = describeFailure(error);
+    }
+    result.durationMs = Date.now() - startedAt;
+
+    // Re-read: the delivery may have been retried by hand, cancelled, or
+    // removed by an erasure or the retention policy meanwhile
+    const current = deliveries.get(delivery.id);
+    if (!current) return null;
+    const attempts = [...current.attempts, result];
+    const update = { ...current, url: webhook.url, attempts: attempts, lastAttemptAt: result.at };
+
+    if (current.status !== 'pending') {
+        return deliveries.put(update);
+    }
+    if (!result.error) {
+        return deliveries.put({ ...update, status: 'delivered', deliveredAt: Date.now(), nextAttemptAt: null, error: null });
+    }
+    if (attempts.length >= MAX_ATTEMPTS) {
+        console.warn(`[${new Date().toISOString()}] Webhook delivery ${delivery.id} to ${webhook.url} failed after ${attempts.length} attempts: ${result.error}`);
+        return deliveries.put({ ...update, status: 'failed', nextAttemptAt: null, error: result.error });
+    }
+    const delay = RETRY_DELAYS_SECONDS[attempts.length - 1] * 1000;
+    return deliveries.put({ ...update, status: 'pending', nextAttemptAt: Date.now() + delay, error: result.error });
+}
+
+/**
+ * Sends every pending delivery that is due (a few at a time)
+ */
+function deliverDue() {
+    const now = Date.now();
+    const due = deliveries.find('status', 'pending')
+        .filter(delivery => delivery.nextAttemptAt <= now && !inFlight.has(delivery.id))
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+        .slice(0, Math.max(MAX_PARALLEL_DELIVERIES - inFlight.size, 0));
+
+    due.forEach(delivery => {
+        inFlight.add(delivery.id);
+        attempt(delivery)
+            .catch(error => console.error(`Error delivering webhook ${delivery.id}:`, error))
+            .finally(() => inFlight.delete(delivery.id));
+    });
+}
+
+/**
+ * Delivery log, newest first
+ * @param {object} [filters] - { webhookId, status, event, limit }
+ */
+function listDeliveries({ webhookId, status, event, limit = 100 } = {}) {
+    let list = webhookId ? deliveries.find('webhookId', webhookId) : deliveries.all();
+    if (status) list = list.filter(delivery => delivery.status === status);
+    if (event) list = list.filter(delivery => delivery.event === event);
+    return list.sort((a, b) => b.createdAt - a.createdAt).slice(0, limit);
+}
+
+function getDelivery(id) {
+    return deliveries.get(id) || null;
+}
+
+/**
+ * Sends a delivery again now. Finished deliveries get a fresh set of attempts;
+ * earlier attempts stay in the log.
+ * @throws {Error} with code DELIVERY_UNKNOWN or WEBHOOK_UNKNOWN
+ */
+function redeliver(id) {
+    const delivery = deliveries.get(id);
+    if (!delivery) {
+        throw webhookError('DELIVERY_UNKNOWN', 'Delivery not found');
+    }
+    if (!webhooks.get(delivery.webhookId)) {
+        throw webhookError('WEBHOOK_UNKNOWN', 'The webhook of this delivery was removed');
+    }
+
+    const retried = deliveries.put({
+        ...delivery,
+        status: 'pending',
+        nextAttemptAt: Date.now(),
+        // Attempts made before the manual retry no longer count towards MAX_ATTEMPTS
+        attempts: [],
+        previousAttempts: [...(delivery.previousAttempts || []), ...delivery.attempts],
+        retriedAt: Date.now()
+    });
+    setImmediate(deliverDue);
+    return retried;
+}
+
+/**
+ * Drops finished deliveries created before the cutoff and compacts the log,
+ * for the retention policy (pending ones are still to be sent)
+ * @returns {number} How many were removed
+ */
+function pruneDeliveries(cutoff) {
+    const pruned = deliveries.all()
+        .filter(delivery => delivery.status !== 'pending' && delivery.createdAt < cutoff);
+    pruned.forEach(delivery => deliveries.remove(delivery.id));
+    if (pruned.length > 0) deliveries.compact();
+    return pruned.length;
+}
+
+/**
+ * Deliveries (sent or not) whose payload concerns a user, oldest first
+ * @param {string} userId
+ * @param {string} [name] - Also match scans without a user id under this name
+ */
+function listDeliveriesFor(userId, name) {
+    const isTheirs = record => record.userId === userId || (name !== undefined && !record.userId && record.name === name);
+    const concerns = data => data && (isTheirs(data) || (data.entry && isTheirs(data.entry)));
+    // device-offline payloads are device records, whose name is the device's
+    return deliveries.all()
+        .filter(delivery => delivery.event !== 'device-offline' && concerns(delivery.payload.data))
+        .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Deletes the deliveries (sent or not) whose payload concerns a user, e.g.
+ * when the person is erased, and rewrites the file without them
+ * @returns {number} How many were removed
+ */
+function removeDeliveriesFor(userId, name) {
+    const removed = listDeliveriesFor(userId, name);
+    removed.forEach(delivery => deliveries.remove(delivery.id));
+    deliveries.compact();
+    return removed.length;
+}
+
+// Picks up retries that came due, and pending deliveries left from before a restart
+setInterval(deliverDue, 5 * 1000).unref();
+
+module.exports = {
+    EVENT_TYPES,
+    RETRY_DELAYS_SECONDS,
+    MAX_ATTEMPTS,
+    listWebhooks,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    rotateSecret,
+    removeWebhook,
+    dispatch,
+    sendTest,
+    notifyEntry,
+    listDeliveries,
+    getDelivery,
+    redeliver,
+    pruneDeliveries,
+    listDeliveriesFor,
+    removeDeliveriesFor
+};
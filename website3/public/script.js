@@ -2,50 +2,39 @@
 // Configuration & State Management
 // ===================================
 const CONFIG = {
-    refreshInterval: 3,
+    refreshInterval: 3, // Replaced by the server default from /api/config
+    historySize: 50, // Activity and security feed length, from /api/config
+    door: '', // Empty for all doors
     isMonitoring: false,
     serverURL: window.location.origin // Use the same server
 };
 
-//=================== Code for RPI HTTP GET ===============================
-// server.js (or wherever you define your routes)
-const express = require('express');
-const app = express();
-
-// Make sure you already have:
-app.use(express.json()); // for JSON bodies
-
-// ---- Single bit shared with Raspberry Pi ----
-let piStatus = 0; // 0 or 1
-
-// Pi reads this
-app.get('/pi-status', (req, res) => {
-  res.json({ status: piStatus });
-});
-
-// Website / API sets this
-app.post('/pi-status', (req, res) => {
-  const { status } = req.body;
-  if (status === 0 || status === 1) {
-    piStatus = status;
-    console.log('piStatus updated to', piStatus);
-    return res.json({ ok: true, status: piStatus });
-  }
-  return res.status(400).json({ ok: false, error: 'status must be 0 or 1' });
-});
-
-// ==============================================================================
-
 const STATE = {
     activeSessions: new Map(),
     activityHistory: [],
+    securityEvents: [], // Denied scans, newest first
     statistics: {
         totalEntries: 0,
         signInsToday: 0,
-        signOutsToday: 0
+        signOutsToday: 0,
+        deniedToday: 0
     },
     lastUpdate: null,
-    updateInterval: null
+    updateInterval: null,
+    eventSource: null,
+    lastEventId: null,
+    reconnectTimer: null,
+    reconnectAttempts: 0,
+    user: null,
+    sessionExpired: false,
+    users: [],
+    enrollments: new Map(),
+    devices: [],
+    commands: new Map(),
+    deviceHealth: new Map(),
+    webhooks: new Map(), // Subscriptions by id, for labelling deliveries
+    schedules: [],
+    timeZone: undefined // Site time zone from /health; undefined means the browser's
 };
 
 // ===================================
@@ -62,6 +51,9 @@ const DOM = {
     refreshBtn: document.getElementById('refresh-btn'),
     clearActivityBtn: document.getElementById('clear-activity'),
     
+    // Door selector
+    doorFilter: document.getElementById('door-filter'),
+    
     // Status elements
     connectionBadge: document.getElementById('connection-badge'),
     monitorText: document.getElementById('monitor-text'),
@@ -75,30 +67,135 @@ const DOM = {
     totalEntries: document.getElementById('total-entries'),
     signIns: document.getElementById('sign-ins'),
     signOuts: document.getElementById('sign-outs'),
+    deniedToday: document.getElementById('denied-today'),
+    
+    // Security feed
+    securityFeed: document.getElementById('security-feed'),
+    deniedCount: document.getElementById('denied-count'),
     systemInfo: document.getElementById('system-info'),
     
     // Toast container
     toastContainer: document.getElementById('toast-container'),
     
-    // Pi status controls (new)
-    piStatusValue: document.getElementById('pi-status-value'),
-    piStatusButtons: document.querySelectorAll('.pi-status-btn')
+    // Device commands
+    commandDevice: document.getElementById('command-device'),
+    commandLedColor: document.getElementById('command-led-color'),
+    commandButtons: document.querySelectorAll('.command-btn'),
+    commandList: document.getElementById('command-list'),
+    
+    // Import
+    importPanel: document.getElementById('import-panel'),
+    importFile: document.getElementById('import-file'),
+    importSource: document.getElementById('import-source'),
+    previewImportBtn: document.getElementById('preview-import'),
+    runImportBtn: document.getElementById('run-import'),
+    importResult: document.getElementById('import-result'),
+    importList: document.getElementById('import-list'),
+    
+    // Webhooks
+    webhookPanel: document.getElementById('webhook-panel'),
+    webhookUrl: document.getElementById('webhook-url'),
+    webhookEvents: document.querySelectorAll('#webhook-events input'),
+    webhookDescription: document.getElementById('webhook-description'),
+    addWebhookBtn: document.getElementById('add-webhook'),
+    webhookSecret: document.getElementById('webhook-secret'),
+    webhookList: document.getElementById('webhook-list'),
+    refreshDeliveriesBtn: document.getElementById('refresh-deliveries'),
+    webhookDeliveries: document.getElementById('webhook-deliveries'),
+    
+    // Access schedules
+    accessPanel: document.getElementById('access-panel'),
+    accessPolicy: document.getElementById('access-policy'),
+    scheduleName: document.getElementById('schedule-name'),
+    scheduleGroups: document.getElementById('schedule-groups'),
+    scheduleUsers: document.getElementById('schedule-users'),
+    scheduleDoors: document.getElementById('schedule-doors'),
+    scheduleDays: document.querySelectorAll('#schedule-days input'),
+    scheduleStart: document.getElementById('schedule-start'),
+    scheduleEnd: document.getElementById('schedule-end'),
+    addScheduleBtn: document.getElementById('add-schedule'),
+    scheduleList: document.getElementById('schedule-list'),
+    
+    // Audit log
+    auditPanel: document.getElementById('audit-panel'),
+    auditAction: document.getElementById('audit-action'),
+    refreshAuditBtn: document.getElementById('refresh-audit'),
+    auditList: document.getElementById('audit-list'),
+    
+    // Personal data
+    privacyPanel: document.getElementById('privacy-panel'),
+    retentionPolicy: document.getElementById('retention-policy'),
+    privacyUser: document.getElementById('privacy-user'),
+    eraseMode: document.getElementById('erase-mode'),
+    exportUserBtn: document.getElementById('export-user'),
+    eraseUserBtn: document.getElementById('erase-user'),
+    
+    // Timesheet
+    timesheetFrom: document.getElementById('timesheet-from'),
+    timesheetTo: document.getElementById('timesheet-to'),
+    timesheetUser: document.getElementById('timesheet-user'),
+    loadTimesheetBtn: document.getElementById('load-timesheet'),
+    timesheet: document.getElementById('timesheet'),
+    
+    // Device health
+    devicesOnline: document.getElementById('devices-online'),
+    deviceHealthList: document.getElementById('device-health-list'),
+    
+    // Enrollment
+    enrollUser: document.getElementById('enroll-user'),
+    enrollNewName: document.getElementById('enroll-new-name'),
+    startEnrollmentBtn: document.getElementById('start-enrollment'),
+    enrollmentList: document.getElementById('enrollment-list'),
+    
+    // Logged-in user
+    userName: document.getElementById('user-name'),
+    userRole: document.getElementById('user-role'),
+    logoutBtn: document.getElementById('logout-btn')
 };
 
+// Roles in increasing order of permissions (matches lib/auth.js)
+const ROLES = ['viewer', 'operator', 'admin'];
+
 // ===================================
 // Initialization
 // ===================================
-function init() {
+async function init() {
+    // Redirects to the login page when there is no session
+    if (!await loadCurrentUser()) return;
+    
+    await loadServerConfig();
     loadConfiguration();
     attachEventListeners();
     updateUI();
     updateEndpointDisplay();
     
-    // Check server connection
-    testConnection();
+    // Check server connection (and learn the site time zone)
+    await testConnection();
+    
+    // Device command panel
+    loadDevices();
+    fetchCommands();
+    
+    // Device health panel ("last seen" times age even without updates)
+    fetchDeviceHealth();
+    setInterval(updateDeviceHealthList, 30 * 1000);
+    
+    // Enrollment panel
+    loadUsers();
+    fetchEnrollments();
     
-    // Get initial Pi status (new)
-    fetchPiStatus();
+    // Timesheet defaults to the current week
+    initTimesheetRange();
+    
+    // Admin panels
+    if (hasRole('admin')) {
+        fetchImports();
+        fetchWebhooks();
+        setInterval(fetchWebhookDeliveries, 15 * 1000);
+        fetchSchedules();
+        fetchAuditLog();
+        fetchRetentionPolicy();
+    }
     
     // Auto-start monitoring
     setTimeout(() => {
@@ -111,12 +208,33 @@ function init() {
 // ===================================
 // Configuration Management
 // ===================================
+/**
+ * Adopts the server-side dashboard defaults (GET /api/config)
+ */
+async function loadServerConfig() {
+    try {
+        const response = await apiFetch('/api/config');
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        CONFIG.refreshInterval = result.settings.dashboard.refreshInterval;
+        CONFIG.historySize = result.settings.dashboard.historySize;
+        DOM.refreshInterval.value = CONFIG.refreshInterval;
+    } catch (error) {
+        console.error('Error loading server configuration:', error);
+    }
+}
+
+/**
+ * Settings chosen in this browser, which win over the server defaults
+ */
 function loadConfiguration() {
     const saved = localStorage.getItem('WeSellYourDataConfig');
     if (saved) {
         try {
             const config = JSON.parse(saved);
-            CONFIG.refreshInterval = config.refreshInterval || 3;
+            CONFIG.refreshInterval = config.refreshInterval || CONFIG.refreshInterval;
+            CONFIG.door = config.door || '';
             
             DOM.refreshInterval.value = CONFIG.refreshInterval;
             
@@ -127,11 +245,17 @@ function loadConfiguration() {
     }
 }
 
+// Keeps only what the user chose, so server defaults still apply to the rest
+function storeConfiguration(changes) {
+    const saved = JSON.parse(localStorage.getItem('WeSellYourDataConfig') || '{}');
+    localStorage.setItem('WeSellYourDataConfig', JSON.stringify({ ...saved, ...changes }));
+}
+
 function saveConfiguration() {
-    CONFIG.refreshInterval = parseInt(DOM.refreshInterval.value) || 3;
+    CONFIG.refreshInterval = parseInt(DOM.refreshInterval.value) || CONFIG.refreshInterval;
     
     try {
-        localStorage.setItem('WeSellYourDataConfig', JSON.stringify(CONFIG));
+        storeConfiguration({ refreshInterval: CONFIG.refreshInterval });
         showToast('Configuration saved successfully', 'success');
         updateSystemInfo('Configuration saved');
         
@@ -146,6 +270,31 @@ function saveConfiguration() {
     }
 }
 
+/**
+ * Switches the dashboard to one door (or all doors) and reloads its history
+ */
+function selectDoor(door) {
+    CONFIG.door = door;
+    try {
+        storeConfiguration({ door: door });
+    } catch (error) {
+        console.error('Save error:', error);
+    }
+    
+    STATE.activityHistory = [];
+    STATE.securityEvents = [];
+    STATE.activeSessions.clear();
+    updateUI();
+    updateStatistics();
+    fetchData();
+    updateSystemInfo(door ? `Showing ${door}` : 'Showing all doors');
+}
+
+// Query string restricting /api/data to the selected door
+function doorQuery() {
+    return CONFIG.door ? `?door=${encodeURIComponent(CONFIG.door)}` : '';
+}
+
 function updateEndpointDisplay() {
     const serverHost = window.location.host;
     const protocol = window.location.protocol;
@@ -155,13 +304,133 @@ function updateEndpointDisplay() {
 }
 
 // ===================================
-// Event Listeners
+// Authentication
 // ===================================
-function attachEventListeners() {
-    DOM.saveConfigBtn.addEventListener('click', saveConfiguration);
-    DOM.startMonitoringBtn.addEventListener('click', toggleMonitoring);
-    DOM.refreshBtn.addEventListener('click', manualRefresh);
-    DOM.clearActivityBtn.addEventListener('click', clearActivity);
+/**
+ * fetch() against the server that handles expired sessions: a 401 sends the
+ * browser to the login page, a 403 becomes a readable error.
+ */
+async function apiFetch(path, options = {}) {
+    const headers = { 'Accept': 'application/json', ...options.headers };
+    if (options.body && !headers['Content-Type']) {
+        headers['Content-Type'] = 'application/json';
+    }
+    
+    const response = await fetch(`${CONFIG.serverURL}${path}`, {
+        credentials: 'same-origin',
+        ...options,
+        headers: headers
+    });
+    
+    if (response.status === 401) {
+        handleSessionExpired();
+        throw new Error('Session expired');
+    }
+    if (response.status === 403) {
+        throw new Error('You do not have permission for this action');
+    }
+    
+    return response;
+}
+
+function handleSessionExpired() {
+    if (STATE.sessionExpired) return;
+    STATE.sessionExpired = true;
+    
+    stopPolling();
+    disconnectStream();
+    showToast('Your session has expired. Please sign in again.', 'error');
+    setTimeout(() => {
+        window.location.href = '/login.html';
+    }, 1500);
+}
+
+async function loadCurrentUser() {
+    try {
+        const response = await apiFetch('/auth/me');
+        const result = await response.json();
+        STATE.user = result.user;
+        
+        DOM.userName.textContent = STATE.user.id;
+        DOM.userRole.textContent = STATE.user.role;
+        applyRolePermissions();
+        return true;
+    } catch (error) {
+        console.error('Error loading user:', error);
+        return false;
+    }
+}
+
+function hasRole(role) {
+    return Boolean(STATE.user) && ROLES.indexOf(STATE.user.role) >= ROLES.indexOf(role);
+}
+
+function applyRolePermissions() {
+    const canOperate = hasRole('operator');
+    DOM.commandButtons.forEach(btn => {
+        // Rebooting a scanner is reserved for admins
+        const allowed = btn.getAttribute('data-command') === 'reboot' ? hasRole('admin') : canOperate;
+        btn.disabled = !allowed;
+        btn.title = allowed ? '' : 'Requires a higher role';
+    });
+    DOM.startEnrollmentBtn.disabled = !canOperate;
+    DOM.startEnrollmentBtn.title = canOperate ? '' : 'Requires the operator role';
+    DOM.importPanel.classList.toggle('hidden', !hasRole('admin'));
+    DOM.webhookPanel.classList.toggle('hidden', !hasRole('admin'));
+    DOM.accessPanel.classList.toggle('hidden', !hasRole('admin'));
+    DOM.auditPanel.classList.toggle('hidden', !hasRole('admin'));
+    DOM.privacyPanel.classList.toggle('hidden', !hasRole('admin'));
+}
+
+async function logout() {
+    try {
+        await fetch(`${CONFIG.serverURL}/auth/logout`, {
+            method: 'POST',
+            credentials: 'same-origin'
+        });
+    } finally {
+        window.location.href = '/login.html';
+    }
+}
+
+// ===================================
+// Login Page
+// ===================================
+function initLogin() {
+    const form = document.getElementById('login-form');
+    const errorText = document.getElementById('login-error');
+    const submitBtn = document.getElementById('login-submit');
+    
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        errorText.classList.add('hidden');
+        submitBtn.disabled = true;
+        
+        try {
+            const response = await fetch(`${CONFIG.serverURL}/auth/login`, {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    username: document.getElementById('login-username').value.trim(),
+                    password: document.getElementById('login-password').value
+                })
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+            window.location.href = '/';
+        } catch (error) {
+            errorText.textContent = error.message;
+            errorText.classList.remove('hidden');
+            submitBtn.disabled = false;
+        }
+    });
 }
 
 // ===================================
@@ -178,8 +447,9 @@ async function testConnection() {
         
         if (response.ok) {
             const data = await response.json();
+            STATE.timeZone = data.timeZone;
             updateConnectionStatus('connected');
-            updateSystemInfo(`Server connected - ${data.entriesStored} entries stored`);
+            updateSystemInfo(`Server connected - ${data.entriesStored} entries stored (site time: ${data.timeZone})`);
         } else {
             throw new Error(`HTTP ${response.status}`);
         }
@@ -220,14 +490,12 @@ function startMonitoring() {
     DOM.startMonitoringBtn.classList.add('active');
     DOM.monitorText.textContent = 'Stop Monitoring';
     
-    // Fetch immediately
+    // Load the current state, then follow the live stream
     fetchData();
-    
-    // Set up interval
-    STATE.updateInterval = setInterval(fetchData, CONFIG.refreshInterval * 1000);
+    connectStream();
     
     showToast('Monitoring started', 'success');
-    updateSystemInfo(`Monitoring active (${CONFIG.refreshInterval}s interval)`);
+    updateSystemInfo('Monitoring active (live updates)');
 }
 
 function stopMonitoring() {
@@ -235,14 +503,144 @@ function stopMonitoring() {
     DOM.startMonitoringBtn.classList.remove('active');
     DOM.monitorText.textContent = 'Start Monitoring';
     
+    disconnectStream();
+    stopPolling();
+    
+    updateConnectionStatus('disconnected');
+    showToast('Monitoring stopped', 'info');
+    updateSystemInfo('Monitoring stopped');
+}
+
+// Polling is only the fallback while the live stream is down
+function startPolling() {
+    if (STATE.updateInterval) return;
+    
+    STATE.updateInterval = setInterval(fetchData, CONFIG.refreshInterval * 1000);
+    updateSystemInfo(`Live updates unavailable - polling every ${CONFIG.refreshInterval}s`);
+}
+
+function stopPolling() {
     if (STATE.updateInterval) {
         clearInterval(STATE.updateInterval);
         STATE.updateInterval = null;
     }
+}
+
+// ===================================
+// Live Updates (Server-Sent Events)
+// ===================================
+function connectStream() {
+    disconnectStream();
     
-    updateConnectionStatus('disconnected');
-    showToast('Monitoring stopped', 'info');
-    updateSystemInfo('Monitoring stopped');
+    if (!window.EventSource) {
+        startPolling();
+        return;
+    }
+    
+    // Resume after the last event we saw, so nothing is missed while offline
+    const query = STATE.lastEventId ? `?lastEventId=${encodeURIComponent(STATE.lastEventId)}` : '';
+    const source = new EventSource(`${CONFIG.serverURL}/api/stream${query}`, { withCredentials: true });
+    STATE.eventSource = source;
+    
+    source.addEventListener('open', () => {
+        STATE.reconnectAttempts = 0;
+        stopPolling();
+        updateConnectionStatus('connected');
+        updateSystemInfo('Live updates connected');
+    });
+    
+    source.addEventListener('ready', rememberEventId);
+    
+    source.addEventListener('entry', (event) => {
+        rememberEventId(event);
+        processEntry(JSON.parse(event.data));
+        updateUI();
+        STATE.lastUpdate = new Date();
+    });
+    
+    source.addEventListener('security', (event) => {
+        rememberEventId(event);
+        processSecurityEvent(JSON.parse(event.data));
+        updateSecurityFeed();
+    });
+    
+    source.addEventListener('presence', (event) => {
+        rememberEventId(event);
+        handlePresenceUpdate(JSON.parse(event.data));
+        updateUI();
+    });
+    
+    source.addEventListener('stats', (event) => {
+        rememberEventId(event);
+        STATE.statistics = JSON.parse(event.data);
+        updateStatistics();
+    });
+    
+    source.addEventListener('command', (event) => {
+        rememberEventId(event);
+        handleCommandUpdate(JSON.parse(event.data));
+    });
+    
+    source.addEventListener('device', (event) => {
+        rememberEventId(event);
+        handleDeviceHealthUpdate(JSON.parse(event.data));
+    });
+    
+    source.addEventListener('enrollment', (event) => {
+        rememberEventId(event);
+        handleEnrollmentUpdate(JSON.parse(event.data));
+    });
+    
+    // The server could not replay what we missed (restart or purge)
+    source.addEventListener('reset', (event) => {
+        rememberEventId(event);
+        STATE.activityHistory = [];
+        STATE.securityEvents = [];
+        STATE.activeSessions.clear();
+        fetchData();
+    });
+    
+    source.addEventListener('error', () => {
+        if (STATE.eventSource !== source) return;
+        
+        // Keep the dashboard fresh while the stream is down
+        startPolling();
+        
+        // The browser retries by itself unless the stream is closed for good
+        if (source.readyState === EventSource.CLOSED) {
+            scheduleReconnect();
+        }
+    });
+}
+
+function disconnectStream() {
+    if (STATE.reconnectTimer) {
+        clearTimeout(STATE.reconnectTimer);
+        STATE.reconnectTimer = null;
+    }
+    if (STATE.eventSource) {
+        STATE.eventSource.close();
+        STATE.eventSource = null;
+    }
+}
+
+function scheduleReconnect() {
+    if (STATE.reconnectTimer || !CONFIG.isMonitoring) return;
+    
+    // 1s, 2s, 4s ... capped at 30s
+    const delay = Math.min(30000, 1000 * Math.pow(2, STATE.reconnectAttempts));
+    STATE.reconnectAttempts++;
+    
+    STATE.reconnectTimer = setTimeout(() => {
+        STATE.reconnectTimer = null;
+        connectStream();
+    }, delay);
+}
+
+function rememberEventId(event) {
+    if (event.lastEventId) {
+        STATE.lastEventId = event.lastEventId;
+    }
 }
 
 // ===================================
@@ -251,10 +649,7 @@ function stopMonitoring() {
 async function fetchData() {
     try {
         // Fetch all data
-        const response = await fetch(`${CONFIG.serverURL}/api/data`, {
-            method: 'GET',
-            headers: { 'Accept': 'application/json' }
-        });
+        const response = await apiFetch(`/api/data${doorQuery()}`);
         
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}`);
@@ -267,7 +662,9 @@ async function fetchData() {
             updateConnectionStatus('connected');
         }
         
-        // Fetch statistics
+        // Fetch who is inside, denied scans and the statistics
+        await fetchSessions();
+        await fetchSecurityFeed();
         await fetchStatistics();
         
         STATE.lastUpdate = new Date();
@@ -281,10 +678,7 @@ async function fetchData() {
 
 async function fetchStatistics() {
     try {
-        const response = await fetch(`${CONFIG.serverURL}/api/stats`, {
-            method: 'GET',
-            headers: { 'Accept': 'application/json' }
-        });
+        const response = await apiFetch('/api/stats');
         
         if (response.ok) {
             const result = await response.json();
@@ -298,9 +692,73 @@ async function fetchStatistics() {
     }
 }
 
+/**
+ * Loads who is currently inside; the server owns each person's in/out state
+ */
+async function fetchSessions() {
+    try {
+        const door = CONFIG.door ? `&door=${encodeURIComponent(CONFIG.door)}` : '';
+        const response = await apiFetch(`/api/sessions/presence?state=inside${door}`);
+        
+        if (response.ok) {
+            const result = await response.json();
+            STATE.activeSessions.clear();
+            (result.data || []).forEach(handlePresenceUpdate);
+            updateUI();
+        }
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+    }
+}
+
+async function fetchSecurityFeed() {
+    try {
+        const door = CONFIG.door ? `&door=${encodeURIComponent(CONFIG.door)}` : '';
+        const responses = await Promise.all([
+            apiFetch(`/api/security/denied?limit=${CONFIG.historySize}${door}`),
+            apiFetch('/api/security/floods?limit=20')
+        ]);
+        
+        if (responses.every(response => response.ok)) {
+            const results = await Promise.all(responses.map(response => response.json()));
+            // Oldest first, like live events
+            results.flatMap(result => result.data || [])
+                .sort((a, b) => a.timestamp - b.timestamp)
+                .forEach(processSecurityEvent);
+            updateSecurityFeed();
+        }
+    } catch (error) {
+        console.error('Error fetching security feed:', error);
+    }
+}
+
+function processSecurityEvent(event) {
+    // Floods concern the whole server and show whichever door is selected
+    if (CONFIG.door && event.type !== 'flood' && event.door !== CONFIG.door) return;
+    if (STATE.securityEvents.some(known => known.id === event.id)) return;
+    
+    STATE.securityEvents.unshift(event);
+    if (STATE.securityEvents.length > CONFIG.historySize) {
+        STATE.securityEvents = STATE.securityEvents.slice(0, CONFIG.historySize);
+    }
+}
+
+function handlePresenceUpdate(presence) {
+    const visible = !CONFIG.door || presence.door === CONFIG.door;
+    if (presence.state === 'inside' && visible) {
+        STATE.activeSessions.set(presence.personKey, {
+            name: presence.name,
+            startTime: new Date(presence.since)
+        });
+    } else {
+        STATE.activeSessions.delete(presence.personKey);
+    }
+}
+
 function processDataBatch(dataArray) {
-    // Process each entry
-    dataArray.forEach(entry => {
+    // The server sends newest first; replay oldest first so sessions and
+    // the feed end up in the same order as live entries
+    dataArray.slice().reverse().forEach(entry => {
         processEntry(entry);
     });
     
@@ -324,12 +782,15 @@ function processEntry(data) {
         timestamp = new Date();
     }
     
-    // Check if this entry is already in history
-    const isDuplicate = STATE.activityHistory.some(entry => 
-        entry.name === data.name && 
-        entry.action === data.action && 
-        Math.abs(entry.timestamp - timestamp) < 1000 // Within 1 second
-    );
+    // Scans at other doors are not shown while a door is selected
+    if (CONFIG.door && data.door !== CONFIG.door) {
+        return;
+    }
+    
+    // The same stored event can arrive over both the stream and polling;
+    // duplicate scans are already dropped by the server
+    const entryId = data.id || `${data.name}-${data.action}-${timestamp.getTime()}`;
+    const isDuplicate = STATE.activityHistory.some(entry => entry.id === entryId);
     
     if (isDuplicate) {
         return; // Skip duplicate
@@ -338,27 +799,20 @@ function processEntry(data) {
     // Create standardized entry
     const entry = {
         name: data.name,
+        userId: data.userId || null,
+        door: data.door || null,
         action: data.action,
+        anomalies: data.anomalies || [],
         timestamp: timestamp,
-        id: `${data.name}-${data.action}-${timestamp.getTime()}`
+        id: entryId
     };
     
-    // Update active sessions
-    if (entry.action === 'in') {
-        STATE.activeSessions.set(entry.name, {
-            name: entry.name,
-            startTime: entry.timestamp
-        });
-    } else if (entry.action === 'out') {
-        STATE.activeSessions.delete(entry.name);
-    }
-    
     // Add to activity history (at the beginning)
     STATE.activityHistory.unshift(entry);
     
-    // Limit history to 50 items
-    if (STATE.activityHistory.length > 50) {
-        STATE.activityHistory = STATE.activityHistory.slice(0, 50);
+    // Limit history to the configured length
+    if (STATE.activityHistory.length > CONFIG.historySize) {
+        STATE.activityHistory = STATE.activityHistory.slice(0, CONFIG.historySize);
     }
 }
 
@@ -395,7 +849,7 @@ function updateActiveSessions() {
                 <div class="session-card">
                     <div class="session-info">
                         <span class="session-name">${escapeHtml(session.name)}</span>
-                        <span class="session-time">${session.startTime.toLocaleTimeString()}</span>
+                        <span class="session-time">${formatTime(session.startTime)}</span>
                     </div>
                     <div class="session-status">Active • ${duration}</div>
                 </div>
@@ -406,6 +860,12 @@ function updateActiveSessions() {
     DOM.activeSessions.innerHTML = sessionsHTML;
 }
 
+const ANOMALY_LABELS = {
+    DOUBLE_IN: 'Already signed in',
+    OUT_WITHOUT_IN: 'Was not signed in',
+    SHORT_SESSION: 'Very short session'
+};
+
 function updateActivityFeed() {
     if (STATE.activityHistory.length === 0) {
         DOM.activityFeed.innerHTML = `
@@ -426,15 +886,17 @@ function updateActivityFeed() {
             const icon = entry.action === 'in' ? '→' : '←';
             const iconClass = entry.action === 'in' ? 'sign-in' : 'sign-out';
             const actionText = entry.action === 'in' ? 'Signed in' : 'Signed out';
+            const anomalyText = entry.anomalies.map(type => ANOMALY_LABELS[type] || type).join(', ');
             
             return `
                 <div class="activity-item">
                     <div class="activity-icon ${iconClass}">${icon}</div>
                     <div class="activity-details">
                         <div class="activity-name">${escapeHtml(entry.name)}</div>
-                        <div class="activity-action">${actionText}</div>
+                        <div class="activity-action">${actionText}${entry.door ? ` · ${escapeHtml(entry.door)}` : ''}</div>
+                        ${anomalyText ? `<div class="activity-anomaly">${escapeHtml(anomalyText)}</div>` : ''}
                     </div>
-                    <div class="activity-timestamp">${entry.timestamp.toLocaleTimeString()}</div>
+                    <div class="activity-timestamp">${formatTime(entry.timestamp)}</div>
                 </div>
             `;
         })
@@ -443,10 +905,71 @@ function updateActivityFeed() {
     DOM.activityFeed.innerHTML = activityHTML;
 }
 
+const DENIAL_LABELS = {
+    NO_MATCH: 'No match',
+    LOW_CONFIDENCE: 'Low confidence',
+    OUTSIDE_SCHEDULE: 'Outside schedule',
+    USER_DISABLED: 'User disabled',
+    UNKNOWN_FINGERPRINT: 'Unknown fingerprint'
+};
+
+function updateSecurityFeed() {
+    if (STATE.securityEvents.length === 0) {
+        DOM.securityFeed.innerHTML = `
+            <div class="empty-state">
+                <p>No denied scans</p>
+            </div>
+        `;
+        return;
+    }
+    
+    DOM.securityFeed.innerHTML = STATE.securityEvents
+        .map(event => {
+            if (event.type === 'flood') return floodItem(event);
+            const who = event.name || (event.fingerprintId !== null ? `Slot ${event.fingerprintId}` : 'Unknown finger');
+            const details = [DENIAL_LABELS[event.reason] || event.reason];
+            if (event.score !== null) details.push(`score ${event.score}`);
+            details.push(event.door || event.deviceId);
+            
+            return `
+                <div class="activity-item">
+                    <div class="activity-icon denied">✕</div>
+                    <div class="activity-details">
+                        <div class="activity-name">${escapeHtml(who)}</div>
+                        <div class="activity-action">${escapeHtml(details.join(' · '))}</div>
+                    </div>
+                    <div class="activity-timestamp">${formatTime(event.timestamp)}</div>
+                </div>
+            `;
+        })
+        .join('');
+}
+
+function floodItem(event) {
+    const source = event.scope === 'device' ? `Device ${event.deviceId}` : `IP ${event.ip}`;
+    const what = event.scope === 'login' ? 'login attempts' : 'requests';
+    return `
+        <div class="activity-item">
+            <div class="activity-icon flood">!</div>
+            <div class="activity-details">
+                <div class="activity-name">Suspected flood: ${escapeHtml(source)}</div>
+                <div class="activity-action">${escapeHtml(`Over ${event.limit} ${what} per ${event.windowSeconds}s · ${event.method} ${event.path}`)}</div>
+            </div>
+            <div class="activity-timestamp">${formatTime(event.timestamp)}</div>
+        </div>
+    `;
+}
+
 function updateStatistics() {
-    DOM.totalEntries.textContent = STATE.statistics.totalEntries || 0;
-    DOM.signIns.textContent = STATE.statistics.signInsToday || 0;
-    DOM.signOuts.textContent = STATE.statistics.signOutsToday || 0;
+    // Stats carry a per-door breakdown, so switching doors needs no refetch
+    const byDoor = STATE.statistics.byDoor || {};
+    const stats = CONFIG.door ? (byDoor[CONFIG.door] || {}) : STATE.statistics;
+    
+    DOM.totalEntries.textContent = stats.totalEntries || 0;
+    DOM.signIns.textContent = stats.signInsToday || 0;
+    DOM.signOuts.textContent = stats.signOutsToday || 0;
+    DOM.deniedToday.textContent = stats.deniedToday || 0;
+    DOM.deniedCount.textContent = stats.deniedToday || 0;
 }
 
 // ===================================
@@ -463,8 +986,8 @@ async function clearActivity() {
         return;
     }
     
+    // Active sessions are server state, so they stay
     STATE.activityHistory = [];
-    STATE.activeSessions.clear();
     updateUI();
     showToast('Activity history cleared', 'info');
     updateSystemInfo('Activity history cleared');
@@ -529,10 +1052,30 @@ function formatDuration(milliseconds) {
     }
 }
 
+// Times are shown in the site time zone, wherever the browser is
+function formatTime(value) {
+    return new Date(value).toLocaleTimeString([], { timeZone: STATE.timeZone });
+}
+
+function formatDateTime(value) {
+    return new Date(value).toLocaleString([], { timeZone: STATE.timeZone });
+}
+
+// "YYYY-MM-DD" in the site time zone, as used by <input type="date">
+function formatSiteDate(value) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: STATE.timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(new Date(value));
+}
+
+// Safe in element content and in quoted attribute values (e.g. option values)
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // ===================================
@@ -554,88 +1097,1135 @@ document.head.appendChild(style);
 // ===================================
 // Initialize on DOM Load
 // ===================================
-document.addEventListener('DOMContentLoaded', init);
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('login-form')) {
+        initLogin();
+    } else {
+        init();
+    }
+});
 
 function attachEventListeners() {
     DOM.saveConfigBtn.addEventListener('click', saveConfiguration);
     DOM.startMonitoringBtn.addEventListener('click', toggleMonitoring);
     DOM.refreshBtn.addEventListener('click', manualRefresh);
     DOM.clearActivityBtn.addEventListener('click', clearActivity);
+    DOM.logoutBtn.addEventListener('click', logout);
+    DOM.startEnrollmentBtn.addEventListener('click', startEnrollment);
+    DOM.enrollmentList.addEventListener('click', (event) => {
+        const btn = event.target.closest('[data-cancel-enrollment]');
+        if (btn) cancelEnrollment(btn.getAttribute('data-cancel-enrollment'));
+    });
     
-    // Pi status buttons (new)
-    DOM.piStatusButtons.forEach(btn => {
-        btn.addEventListener('click', () => {
-            const value = parseInt(btn.getAttribute('data-status'), 10);
-            setPiStatus(value);
+    // Device command buttons
+    DOM.commandButtons.forEach(btn => {
+        btn.addEventListener('click', () => sendCommand(btn.getAttribute('data-command')));
+    });
+    DOM.commandDevice.addEventListener('change', updateCommandList);
+    DOM.doorFilter.addEventListener('change', () => selectDoor(DOM.doorFilter.value));
+    DOM.loadTimesheetBtn.addEventListener('click', loadTimesheet);
+    DOM.previewImportBtn.addEventListener('click', () => submitImport(true));
+    DOM.runImportBtn.addEventListener('click', () => submitImport(false));
+    DOM.importList.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-rollback-import]');
+        if (button) rollbackImport(button.getAttribute('data-rollback-import'));
+    });
+    DOM.addWebhookBtn.addEventListener('click', addWebhook);
+    DOM.refreshDeliveriesBtn.addEventListener('click', fetchWebhookDeliveries);
+    DOM.webhookList.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-webhook-action]');
+        if (button) webhookAction(button.getAttribute('data-webhook-action'), button.getAttribute('data-webhook-id'));
+    });
+    DOM.webhookDeliveries.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-retry-delivery]');
+        if (button) retryDelivery(button.getAttribute('data-retry-delivery'));
+    });
+    DOM.auditAction.addEventListener('change', fetchAuditLog);
+    DOM.refreshAuditBtn.addEventListener('click', fetchAuditLog);
+    DOM.exportUserBtn.addEventListener('click', exportUserData);
+    DOM.eraseUserBtn.addEventListener('click', eraseUser);
+    DOM.addScheduleBtn.addEventListener('click', addSchedule);
+    DOM.scheduleList.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-schedule-action]');
+        if (button) scheduleAction(button.getAttribute('data-schedule-action'), button.getAttribute('data-schedule-id'));
+    });
+    document.querySelectorAll('.export-actions').forEach(group => {
+        group.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-format]');
+            if (button) downloadExport(group.dataset.export, button.dataset.format, button);
         });
     });
 }
 
 // ===================================
-// Pi Status API (single bit for Raspberry Pi)
+// Device Commands
 // ===================================
-async function fetchPiStatus() {
-    try {
-        const response = await fetch(`${CONFIG.serverURL}/pi-status`, {
-            method: 'GET',
-            headers: { 'Accept': 'application/json' }
-        });
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
+const COMMAND_STATUS_TEXT = {
+    queued: 'Waiting for device',
+    delivered: 'Delivered - awaiting result',
+    succeeded: 'Executed',
+    failed: 'Failed',
+    expired: 'Expired - not executed',
+    cancelled: 'Cancelled'
+};
 
-        const data = await response.json();
-        const status = data.status;
+const COMMAND_LABELS = {
+    unlock: 'Unlock',
+    lock: 'Lock',
+    reboot: 'Reboot',
+    set_led: 'Set LED',
+    enroll: 'Enroll',
+    delete_template: 'Delete template'
+};
 
-        updatePiStatusDisplay(status);
-        return status;
+async function loadDevices() {
+    try {
+        const response = await apiFetch('/api/devices');
+        const result = await response.json();
+        STATE.devices = result.data || [];
+        
+        const selected = DOM.commandDevice.value;
+        DOM.commandDevice.innerHTML = STATE.devices.length
+            ? STATE.devices.map(device => `
+                <option value="${escapeHtml(device.id)}">${escapeHtml(device.name)}</option>
+            `).join('')
+            : '<option value="">No devices</option>';
+        if (selected) DOM.commandDevice.value = selected;
+        
+        updateDoorFilter();
+        updateCommandList();
     } catch (error) {
-        console.error('Error fetching pi status:', error);
-        updatePiStatusDisplay(null);
-        updateSystemInfo(`Pi status fetch error: ${error.message}`);
-        return null;
+        console.error('Error loading devices:', error);
     }
 }
 
-async function setPiStatus(value) {
-    try {
-        const response = await fetch(`${CONFIG.serverURL}/pi-status`, {
-            method: 'POST',
-            headers: {
-                'Accept': 'application/json',
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ status: value })
-        });
+function updateDoorFilter() {
+    const doors = Array.from(new Set(STATE.devices.map(device => device.door).filter(Boolean))).sort();
+    
+    // Keep a remembered door selectable even if its device was unregistered
+    if (CONFIG.door && !doors.includes(CONFIG.door)) doors.push(CONFIG.door);
+    
+    DOM.doorFilter.innerHTML = '<option value="">All doors</option>' + doors.map(door => `
+        <option value="${escapeHtml(door)}">${escapeHtml(door)}</option>
+    `).join('');
+    DOM.doorFilter.value = CONFIG.door;
+}
 
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
+async function fetchCommands() {
+    try {
+        const response = await apiFetch('/api/commands?limit=50');
+        const result = await response.json();
+        STATE.commands = new Map((result.data || []).map(command => [command.id, command]));
+        updateCommandList();
+    } catch (error) {
+        console.error('Error fetching commands:', error);
+    }
+}
+
+async function sendCommand(type) {
+    const deviceId = DOM.commandDevice.value;
+    if (!deviceId) {
+        showToast('Register a device first', 'error');
+        return;
+    }
+    if (type === 'reboot' && !confirm(`Reboot ${deviceId}? The scanner will be offline for a minute.`)) {
+        return;
+    }
+    
+    const params = type === 'set_led' ? { color: DOM.commandLedColor.value, mode: 'breathing' } : {};
+    
+    try {
+        const response = await apiFetch('/api/commands', {
+            method: 'POST',
+            body: JSON.stringify({ deviceId: deviceId, type: type, params: params })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        handleCommandUpdate(result.command);
+        showToast(`${COMMAND_LABELS[type]} sent to ${deviceId}`, 'info');
+        updateSystemInfo(`Command queued: ${type} -> ${deviceId}`);
+    } catch (error) {
+        showToast(`Command failed: ${error.message}`, 'error');
+        updateSystemInfo(`Command error: ${error.message}`);
+    }
+}
+
+function handleCommandUpdate(command) {
+    const previous = STATE.commands.get(command.id);
+    STATE.commands.set(command.id, command);
+    updateCommandList();
+    
+    if (!previous || previous.status === command.status) return;
+    
+    const label = COMMAND_LABELS[command.type] || command.type;
+    if (command.status === 'succeeded') {
+        showToast(`${label} executed on ${command.deviceId}`, 'success');
+    } else if (command.status === 'failed' || command.status === 'expired') {
+        showToast(`${label} on ${command.deviceId} ${command.status}${command.error ? `: ${command.error}` : ''}`, 'error');
+    }
+}
+
+function updateCommandList() {
+    const deviceId = DOM.commandDevice.value;
+    const recent = Array.from(STATE.commands.values())
+        .filter(command => command.deviceId === deviceId)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, 5);
+    
+    DOM.commandList.innerHTML = recent
+        .map(command => {
+            const stateClass = ['queued', 'delivered'].includes(command.status) ? 'pending' : command.status;
+            let statusText = COMMAND_STATUS_TEXT[command.status] || command.status;
+            if (command.error) statusText += `: ${command.error}`;
+            
+            return `
+                <div class="command-item ${stateClass}">
+                    <span>${escapeHtml(COMMAND_LABELS[command.type] || command.type)} · ${formatTime(command.createdAt)}</span>
+                    <span class="command-state">${escapeHtml(statusText)}</span>
+                </div>
+            `;
+        })
+        .join('');
+}
+
+// ===================================
+// Timesheet
+// ===================================
+const DAY_FLAG_TEXT = {
+    DOUBLE_IN: 'double sign-in',
+    OUT_WITHOUT_IN: 'sign-out without sign-in',
+    SHORT_SESSION: 'very short session'
+};
+
+function initTimesheetRange() {
+    // Monday of this week at the site, counted on the calendar date alone
+    const today = formatSiteDate(Date.now());
+    const date = new Date(`${today}T00:00:00Z`);
+    const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * 24 * 60 * 60 * 1000);
+    DOM.timesheetFrom.value = monday.toISOString().slice(0, 10);
+    DOM.timesheetTo.value = today;
+}
+
+function timesheetParams() {
+    const params = new URLSearchParams();
+    if (DOM.timesheetFrom.value) params.set('from', DOM.timesheetFrom.value);
+    if (DOM.timesheetTo.value) params.set('to', DOM.timesheetTo.value);
+    if (DOM.timesheetUser.value) params.set('user', DOM.timesheetUser.value);
+    return params;
+}
+
+async function loadTimesheet() {
+    const params = timesheetParams();
+    
+    try {
+        const response = await apiFetch(`/api/reports/timesheet?${params}`);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        renderTimesheet(result.people);
+    } catch (error) {
+        showToast(`Timesheet failed: ${error.message}`, 'error');
+    }
+}
+
+function renderTimesheet(people) {
+    if (people.length === 0) {
+        DOM.timesheet.innerHTML = `
+            <div class="empty-state">
+                <p>No sessions in this range</p>
+            </div>
+        `;
+        return;
+    }
+    
+    const rows = people.map(person => {
+        const dayRows = person.days.map(day => {
+            const flags = [];
+            if (day.incomplete) flags.push('incomplete');
+            if (day.open) flags.push('in progress');
+            day.anomalies.forEach(type => flags.push(DAY_FLAG_TEXT[type] || type));
+            
+            return `
+                <tr>
+                    <td>${escapeHtml(day.date)}</td>
+                    <td class="hours">${day.hours.toFixed(2)}</td>
+                    <td>${day.sessions}</td>
+                    <td class="timesheet-flag">${escapeHtml(flags.join(', '))}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        const weekRows = person.weeks.map(week => `
+            <tr class="timesheet-week">
+                <td>Week ${escapeHtml(week.week)}</td>
+                <td class="hours">${week.hours.toFixed(2)}</td>
+                <td></td>
+                <td class="timesheet-flag">${week.incompleteDays ? `${week.incompleteDays} incomplete day(s)` : ''}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <tr class="timesheet-person">
+                <td>${escapeHtml(person.name)}</td>
+                <td class="hours">${person.totalHours.toFixed(2)}</td>
+                <td colspan="2"></td>
+            </tr>
+            ${dayRows}
+            ${weekRows}
+        `;
+    }).join('');
+    
+    DOM.timesheet.innerHTML = `
+        <table class="timesheet-table">
+            <thead>
+                <tr>
+                    <th>Day</th>
+                    <th class="hours">Hours</th>
+                    <th>Sessions</th>
+                    <th>Flags</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// ===================================
+// Export
+// ===================================
+// Query string matching what the dashboard currently shows. Dates are
+// site-time days on the server, like the timesheet
+function exportParams(table) {
+    if (table === 'timesheet') {
+        return timesheetParams();
+    }
+    
+    const params = table === 'sessions' ? timesheetParams() : new URLSearchParams();
+    if (CONFIG.door) params.set('door', CONFIG.door);
+    return params;
+}
+
+const EXPORT_PATHS = {
+    events: '/api/data/export',
+    sessions: '/api/sessions/export',
+    timesheet: '/api/reports/timesheet/export'
+};
+
+async function downloadExport(table, format, button) {
+    const params = exportParams(table);
+    params.set('format', format);
+    
+    button.disabled = true;
+    try {
+        const response = await apiFetch(`${EXPORT_PATHS[table]}?${params}`);
+        if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        
+        // Keep the file name chosen by the server
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = /filename="([^"]+)"/.exec(disposition);
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = match ? match[1] : `${table}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        
+        showToast(`Exported ${response.headers.get('X-Export-Rows') || 0} rows`, 'success');
+    } catch (error) {
+        showToast(`Export failed: ${error.message}`, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// ===================================
+// Import
+// ===================================
+const IMPORT_CONTENT_TYPES = {
+    csv: 'text/csv',
+    json: 'application/json',
+    jsonl: 'application/x-ndjson',
+    ndjson: 'application/x-ndjson'
+};
+
+// Rows listed under a preview; the rest are summarized
+const MAX_LISTED_IMPORT_ERRORS = 50;
+
+async function submitImport(dryRun) {
+    const file = DOM.importFile.files[0];
+    const source = DOM.importSource.value.trim();
+    if (!file || !source) {
+        showToast('Choose a file and enter a source tag', 'error');
+        return;
+    }
+    
+    const extension = file.name.split('.').pop().toLowerCase();
+    const contentType = IMPORT_CONTENT_TYPES[extension];
+    if (!contentType) {
+        showToast('Use a .csv, .json or .jsonl file', 'error');
+        return;
+    }
+    
+    DOM.previewImportBtn.disabled = true;
+    DOM.runImportBtn.disabled = true;
+    try {
+        const params = new URLSearchParams({ source: source });
+        if (dryRun) params.set('dryRun', 'true');
+        
+        const response = await apiFetch(`/api/imports?${params}`, {
+            method: 'POST',
+            headers: { 'Content-Type': contentType },
+            body: await file.text()
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        renderImportResult(result);
+        if (!dryRun) {
+            showToast(`Imported ${result.summary.imported} entries`, 'success');
+            fetchImports();
+        }
+    } catch (error) {
+        showToast(`Import failed: ${error.message}`, 'error');
+    } finally {
+        DOM.previewImportBtn.disabled = false;
+        DOM.runImportBtn.disabled = false;
+    }
+}
+
+function renderImportResult(result) {
+    const summary = result.summary;
+    const counts = result.dryRun
+        ? `Preview: ${summary.valid} of ${summary.rows} rows would be imported`
+        : `${summary.imported} of ${summary.rows} rows imported`;
+    
+    const problems = result.results.filter(row => row.status === 'rejected' || row.status === 'duplicate');
+    const listed = problems.slice(0, MAX_LISTED_IMPORT_ERRORS).map(row => `
+        <li>Row ${row.row}: ${escapeHtml(row.status === 'duplicate' ? `duplicate of event ${row.eventId}` : row.error)}</li>
+    `).join('');
+    const more = problems.length > MAX_LISTED_IMPORT_ERRORS
+        ? `<li>…and ${problems.length - MAX_LISTED_IMPORT_ERRORS} more</li>`
+        : '';
+    
+    DOM.importResult.innerHTML = `
+        <div class="import-summary">${escapeHtml(counts)} (${summary.duplicates} duplicate, ${summary.rejected} rejected)</div>
+        ${problems.length ? `<ul class="import-errors">${listed}${more}</ul>` : ''}
+    `;
+}
+
+async function fetchImports() {
+    try {
+        const response = await apiFetch('/api/imports');
+        const result = await response.json();
+        renderImportList(result.data || []);
+    } catch (error) {
+        console.error('Error fetching imports:', error);
+    }
+}
+
+function renderImportList(list) {
+    DOM.importList.innerHTML = list.slice(0, 5).map(record => {
+        const applied = record.status === 'applied';
+        const statusText = applied
+            ? `${record.imported} entries, ${formatDateTime(record.createdAt)} by ${record.createdBy}`
+            : `Rolled back (${record.removed} entries removed)`;
+        
+        return `
+            <div class="enrollment-item ${applied ? 'stored' : ''}">
+                <div class="enrollment-details">
+                    <div class="enrollment-name">${escapeHtml(record.source)}</div>
+                    <div class="enrollment-status">${escapeHtml(statusText)}</div>
+                </div>
+                ${applied ? `<button class="clear-btn" data-rollback-import="${escapeHtml(record.id)}">Roll back</button>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+async function rollbackImport(id) {
+    if (!confirm('Roll back this import? Every entry it added will be deleted.')) {
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`/api/imports/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        showToast(`Removed ${result.import.removed} imported entries`, 'success');
+        fetchImports();
+    } catch (error) {
+        showToast(`Rollback failed: ${error.message}`, 'error');
+    }
+}
+
+// ===================================
+// Webhooks
+// ===================================
+const WEBHOOK_EVENT_TEXT = {
+    'sign-in': 'Sign-in',
+    'sign-out': 'Sign-out',
+    'denied': 'Denied',
+    'device-offline': 'Device offline',
+    'anomaly': 'Anomaly',
+    'ping': 'Test'
+};
+
+// Delivery status -> list item class
+const DELIVERY_ITEM_CLASS = {
+    pending: 'active',
+    delivered: 'stored',
+    failed: 'failed',
+    cancelled: ''
+};
+
+async function fetchWebhooks() {
+    try {
+        const response = await apiFetch('/api/webhooks');
+        const result = await response.json();
+        STATE.webhooks = new Map((result.data || []).map(webhook => [webhook.id, webhook]));
+        renderWebhookList();
+        fetchWebhookDeliveries();
+    } catch (error) {
+        console.error('Error fetching webhooks:', error);
+    }
+}
 
-        const data = await response.json();
-        if (data.ok) {
-            updatePiStatusDisplay(data.status);
-            showToast(`Pi status set to ${data.status}`, 'success');
-            updateSystemInfo(`Pi status updated to ${data.status}`);
+function renderWebhookList() {
+    DOM.webhookList.innerHTML = Array.from(STATE.webhooks.values()).map(webhook => {
+        const events = webhook.events.map(event => WEBHOOK_EVENT_TEXT[event] || event).join(', ');
+        const id = escapeHtml(webhook.id);
+        return `
+            <div class="enrollment-item ${webhook.enabled ? 'stored' : ''}">
+                <div class="enrollment-details">
+                    <div class="enrollment-name">${escapeHtml(webhook.description || webhook.url)}</div>
+                    <div class="enrollment-status">${escapeHtml(webhook.enabled ? events : `Disabled (${events})`)}</div>
+                    ${webhook.description ? `<div class="enrollment-status">${escapeHtml(webhook.url)}</div>` : ''}
+                </div>
+                <button class="clear-btn" data-webhook-action="test" data-webhook-id="${id}">Test</button>
+                <button class="clear-btn" data-webhook-action="${webhook.enabled ? 'disable' : 'enable'}" data-webhook-id="${id}">${webhook.enabled ? 'Disable' : 'Enable'}</button>
+                <button class="clear-btn" data-webhook-action="remove" data-webhook-id="${id}">Remove</button>
+            </div>
+        `;
+    }).join('');
+}
+
+async function addWebhook() {
+    const url = DOM.webhookUrl.value.trim();
+    const events = Array.from(DOM.webhookEvents).filter(input => input.checked).map(input => input.value);
+    if (!url || events.length === 0) {
+        showToast('Enter a URL and choose at least one event', 'error');
+        return;
+    }
+    
+    DOM.addWebhookBtn.disabled = true;
+    try {
+        const response = await apiFetch('/api/webhooks', {
+            method: 'POST',
+            body: JSON.stringify({ url: url, events: events, description: DOM.webhookDescription.value.trim() })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        // The secret is only shown once; the receiver needs it to check signatures
+        DOM.webhookSecret.innerHTML = `Signing secret for ${escapeHtml(result.webhook.url)} (shown once):<br><code>${escapeHtml(result.secret)}</code>`;
+        DOM.webhookSecret.classList.remove('hidden');
+        DOM.webhookUrl.value = '';
+        DOM.webhookDescription.value = '';
+        showToast('Webhook added', 'success');
+        fetchWebhooks();
+    } catch (error) {
+        showToast(`Could not add webhook: ${error.message}`, 'error');
+    } finally {
+        DOM.addWebhookBtn.disabled = false;
+    }
+}
+
+async function webhookAction(action, id) {
+    if (action === 'remove' && !confirm('Remove this webhook? Its pending deliveries are cancelled.')) {
+        return;
+    }
+    
+    const path = `/api/webhooks/${encodeURIComponent(id)}`;
+    const requests = {
+        test: () => apiFetch(`${path}/test`, { method: 'POST' }),
+        enable: () => apiFetch(path, { method: 'PATCH', body: JSON.stringify({ enabled: true }) }),
+        disable: () => apiFetch(path, { method: 'PATCH', body: JSON.stringify({ enabled: false }) }),
+        remove: () => apiFetch(path, { method: 'DELETE' })
+    };
+    
+    try {
+        const response = await requests[action]();
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        if (action === 'test') {
+            showToast('Test delivery queued', 'success');
+            // Give the delivery a moment before showing its outcome
+            setTimeout(fetchWebhookDeliveries, 1500);
         } else {
-            throw new Error(data.error || 'Unknown error');
+            fetchWebhooks();
         }
     } catch (error) {
-        console.error('Error setting pi status:', error);
-        showToast(`Failed to set Pi status: ${error.message}`, 'error');
-        updateSystemInfo(`Pi status set error: ${error.message}`);
+        showToast(`Webhook ${action} failed: ${error.message}`, 'error');
     }
 }
 
-function updatePiStatusDisplay(status) {
-    if (status === 0 || status === 1) {
-        DOM.piStatusValue.textContent = String(status);
-        DOM.piStatusValue.style.color = status === 1 
-            ? 'var(--color-success)' 
-            : 'var(--color-text-secondary)';
-    } else {
-        DOM.piStatusValue.textContent = 'Unknown';
-        DOM.piStatusValue.style.color = 'var(--color-text-muted)';
+async function fetchWebhookDeliveries() {
+    try {
+        const response = await apiFetch('/api/webhooks/deliveries?limit=20');
+        const result = await response.json();
+        renderWebhookDeliveries(result.data || []);
+    } catch (error) {
+        console.error('Error fetching webhook deliveries:', error);
+    }
+}
+
+function deliveryStatusText(delivery) {
+    const attempts = delivery.attempts.length;
+    const last = delivery.attempts[attempts - 1];
+    const answer = last && last.responseStatus ? ` (HTTP ${last.responseStatus})` : '';
+    
+    if (delivery.status === 'delivered') {
+        return `Delivered ${formatDateTime(delivery.deliveredAt)}${answer}`;
+    }
+    if (delivery.status === 'failed') {
+        return `Failed after ${attempts} attempts: ${delivery.error}`;
+    }
+    if (delivery.status === 'cancelled') {
+        return `Cancelled: ${delivery.error}`;
+    }
+    if (attempts === 0) {
+        return 'Sending…';
+    }
+    return `${delivery.error}; retry ${attempts + 1} at ${formatTime(delivery.nextAttemptAt)}`;
+}
+
+function renderWebhookDeliveries(list) {
+    if (list.length === 0) {
+        DOM.webhookDeliveries.innerHTML = '<div class="empty-state"><p>No deliveries yet</p></div>';
+        return;
+    }
+    
+    DOM.webhookDeliveries.innerHTML = list.map(delivery => {
+        const webhook = STATE.webhooks.get(delivery.webhookId);
+        const target = webhook ? webhook.description || webhook.url : delivery.url;
+        const canRetry = delivery.status !== 'delivered' && webhook;
+        return `
+            <div class="enrollment-item ${DELIVERY_ITEM_CLASS[delivery.status] || ''}">
+                <div class="enrollment-details">
+                    <div class="enrollment-name">${escapeHtml(WEBHOOK_EVENT_TEXT[delivery.event] || delivery.event)} → ${escapeHtml(target)}</div>
+                    <div class="enrollment-status">${escapeHtml(formatDateTime(delivery.createdAt))} · ${escapeHtml(deliveryStatusText(delivery))}</div>
+                </div>
+                ${canRetry ? `<button class="clear-btn" data-retry-delivery="${escapeHtml(delivery.id)}">Retry now</button>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+async function retryDelivery(id) {
+    try {
+        const response = await apiFetch(`/api/webhooks/deliveries/${encodeURIComponent(id)}/retry`, { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        showToast('Delivery queued again', 'success');
+        setTimeout(fetchWebhookDeliveries, 1500);
+    } catch (error) {
+        showToast(`Retry failed: ${error.message}`, 'error');
+    }
+}
+
+// ===================================
+// Access Schedules
+// ===================================
+const DAY_LABELS = { mon: 'Mon', tue: 'Tue', wed: 'Wed', thu: 'Thu', fri: 'Fri', sat: 'Sat', sun: 'Sun' };
+
+// "ann, bob" -> ["ann", "bob"]
+function splitList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+async function fetchSchedules() {
+    try {
+        const response = await apiFetch('/api/access/schedules');
+        const result = await response.json();
+        STATE.schedules = result.data || [];
+        DOM.accessPolicy.textContent = `Default: ${result.defaultPolicy}`;
+        renderScheduleList();
+    } catch (error) {
+        console.error('Error fetching access schedules:', error);
+    }
+}
+
+function scheduleSummary(schedule) {
+    const who = schedule.groups.map(group => `@${group}`).concat(schedule.users).join(', ');
+    const where = schedule.doors.length ? schedule.doors.join(', ') : 'All doors';
+    const when = schedule.windows.map(window =>
+        `${window.days.map(day => DAY_LABELS[day]).join(' ')} ${window.start}–${window.end}`).join('; ');
+    const exceptions = schedule.exceptions.length ? ` · ${schedule.exceptions.length} exception(s)` : '';
+    return { who, where, when: (when || 'Exceptions only') + exceptions };
+}
+
+function renderScheduleList() {
+    if (STATE.schedules.length === 0) {
+        DOM.scheduleList.innerHTML = '<div class="empty-state"><p>No schedules; the default policy applies to everyone</p></div>';
+        return;
+    }
+    
+    DOM.scheduleList.innerHTML = STATE.schedules.map(schedule => {
+        const summary = scheduleSummary(schedule);
+        const id = escapeHtml(schedule.id);
+        return `
+            <div class="enrollment-item ${schedule.enabled ? 'stored' : ''}">
+                <div class="enrollment-details">
+                    <div class="enrollment-name">${escapeHtml(schedule.name)}${schedule.enabled ? '' : ' (disabled)'}</div>
+                    <div class="enrollment-status">${escapeHtml(summary.who)} · ${escapeHtml(summary.where)}</div>
+                    <div class="enrollment-status">${escapeHtml(summary.when)}</div>
+                </div>
+                <button class="clear-btn" data-schedule-action="${schedule.enabled ? 'disable' : 'enable'}" data-schedule-id="${id}">${schedule.enabled ? 'Disable' : 'Enable'}</button>
+                <button class="clear-btn" data-schedule-action="remove" data-schedule-id="${id}">Remove</button>
+            </div>
+        `;
+    }).join('');
+}
+
+async function addSchedule() {
+    const schedule = {
+        name: DOM.scheduleName.value.trim(),
+        groups: splitList(DOM.scheduleGroups.value),
+        users: splitList(DOM.scheduleUsers.value),
+        doors: splitList(DOM.scheduleDoors.value),
+        windows: [{
+            days: Array.from(DOM.scheduleDays).filter(input => input.checked).map(input => input.value),
+            start: DOM.scheduleStart.value,
+            end: DOM.scheduleEnd.value
+        }]
+    };
+    if (!schedule.name || (schedule.groups.length === 0 && schedule.users.length === 0)) {
+        showToast('Enter a name and at least one group or user', 'error');
+        return;
+    }
+    
+    DOM.addScheduleBtn.disabled = true;
+    try {
+        const response = await apiFetch('/api/access/schedules', {
+            method: 'POST',
+            body: JSON.stringify(schedule)
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        DOM.scheduleName.value = '';
+        showToast(`Schedule "${result.schedule.name}" added`, 'success');
+        fetchSchedules();
+    } catch (error) {
+        showToast(`Could not add schedule: ${error.message}`, 'error');
+    } finally {
+        DOM.addScheduleBtn.disabled = false;
+    }
+}
+
+async function scheduleAction(action, id) {
+    if (action === 'remove' && !confirm('Remove this schedule?')) {
+        return;
+    }
+    
+    const path = `/api/access/schedules/${encodeURIComponent(id)}`;
+    const requests = {
+        enable: () => apiFetch(path, { method: 'PATCH', body: JSON.stringify({ enabled: true }) }),
+        disable: () => apiFetch(path, { method: 'PATCH', body: JSON.stringify({ enabled: false }) }),
+        remove: () => apiFetch(path, { method: 'DELETE' })
+    };
+    
+    try {
+        const response = await requests[action]();
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        fetchSchedules();
+    } catch (error) {
+        showToast(`Schedule ${action} failed: ${error.message}`, 'error');
+    }
+}
+
+// ===================================
+// Audit Log
+// ===================================
+async function fetchAuditLog() {
+    const action = DOM.auditAction.value;
+    try {
+        const query = action ? `&action=${encodeURIComponent(action)}` : '';
+        const response = await apiFetch(`/api/audit?limit=50${query}`);
+        const result = await response.json();
+        
+        // Offer every action recorded so far, keeping the current choice
+        DOM.auditAction.innerHTML = '<option value="">All actions</option>' + (result.actions || [])
+            .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+        DOM.auditAction.value = action;
+        
+        renderAuditLog(result.data || []);
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+    }
+}
+
+function formatAuditValue(value) {
+    if (value === undefined || value === null) return '–';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// "role: operator → admin" for every field the action changed
+function auditChanges(entry) {
+    if (!entry.before || !entry.after) return [];
+    const fields = new Set(Object.keys(entry.before).concat(Object.keys(entry.after)));
+    return Array.from(fields)
+        .filter(field => field !== 'updatedAt' && formatAuditValue(entry.before[field]) !== formatAuditValue(entry.after[field]))
+        .map(field => `${field}: ${formatAuditValue(entry.before[field])} → ${formatAuditValue(entry.after[field])}`);
+}
+
+function renderAuditLog(list) {
+    if (list.length === 0) {
+        DOM.auditList.innerHTML = '<div class="empty-state"><p>No administrative actions recorded</p></div>';
+        return;
+    }
+    
+    DOM.auditList.innerHTML = list.map(entry => {
+        const target = entry.targetId ? ` ${entry.targetId}` : '';
+        let change = auditChanges(entry).join(' · ');
+        if (!change && entry.after && !entry.before) change = 'Created';
+        if (!change && entry.before && !entry.after) change = 'Removed';
+        return `
+            <div class="enrollment-item">
+                <div class="enrollment-details">
+                    <div class="enrollment-name">${escapeHtml(entry.action)}${escapeHtml(target)}</div>
+                    <div class="enrollment-status">${escapeHtml(formatDateTime(entry.timestamp))} · ${escapeHtml(entry.actor || 'unknown')} · ${escapeHtml(entry.ip || 'unknown IP')}</div>
+                    ${change ? `<div class="enrollment-status audit-change">${escapeHtml(change)}</div>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// ===================================
+// Personal Data & Retention
+// ===================================
+async function fetchRetentionPolicy() {
+    try {
+        const response = await apiFetch('/api/retention');
+        const result = await response.json();
+        const policy = result.policy;
+        DOM.retentionPolicy.textContent = policy.eventDays
+            ? `${policy.mode === 'purge' ? 'Purge' : 'Anonymise'} after ${policy.eventDays} days`
+            : 'Kept forever';
+    } catch (error) {
+        console.error('Error fetching retention policy:', error);
+    }
+}
+
+async function exportUserData() {
+    const userId = DOM.privacyUser.value;
+    if (!userId) {
+        showToast('Select a user', 'error');
+        return;
+    }
+    
+    DOM.exportUserBtn.disabled = true;
+    try {
+        const response = await apiFetch(`/api/users/${encodeURIComponent(userId)}/export`);
+        if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `user-${userId}-export.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        showToast(`Export failed: ${error.message}`, 'error');
+    } finally {
+        DOM.exportUserBtn.disabled = false;
+    }
+}
+
+async function eraseUser() {
+    const userId = DOM.privacyUser.value;
+    if (!userId) {
+        showToast('Select a user', 'error');
+        return;
+    }
+    const mode = DOM.eraseMode.value;
+    const what = mode === 'delete' ? 'deleted' : 'kept under a pseudonym';
+    if (prompt(`Erase ${userId}? Their record and enrollments are removed, their scans are ${what}, and their templates are deleted from every scanner. Type the user id to confirm.`) !== userId) {
+        return;
+    }
+    
+    DOM.eraseUserBtn.disabled = true;
+    try {
+        const response = await apiFetch(`/api/users/${encodeURIComponent(userId)}/erase`, {
+            method: 'POST',
+            body: JSON.stringify({ confirm: userId, mode: mode })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        showToast(`Erased ${userId} (${result.erasure.events} scans ${what})`, 'success');
+        DOM.privacyUser.value = '';
+        loadUsers();
+        fetchAuditLog();
+    } catch (error) {
+        showToast(`Erasure failed: ${error.message}`, 'error');
+    } finally {
+        DOM.eraseUserBtn.disabled = false;
+    }
+}
+
+// ===================================
+// Device Health
+// ===================================
+const SENSOR_STATUS_TEXT = {
+    ok: 'Sensor OK',
+    degraded: 'Sensor degraded',
+    error: 'Sensor error',
+    disconnected: 'Sensor disconnected'
+};
+
+async function fetchDeviceHealth() {
+    try {
+        const response = await apiFetch('/api/devices/health');
+        const result = await response.json();
+        STATE.deviceHealth = new Map((result.data || []).map(device => [device.id, device]));
+        updateDeviceHealthList();
+    } catch (error) {
+        console.error('Error fetching device health:', error);
+    }
+}
+
+function handleDeviceHealthUpdate(device) {
+    const previous = STATE.deviceHealth.get(device.id);
+    STATE.deviceHealth.set(device.id, device);
+    updateDeviceHealthList();
+    
+    if (!previous || previous.status === device.status) return;
+    
+    if (device.status === 'offline') {
+        showToast(`${device.name} is offline`, 'error');
+    } else if (device.status === 'online') {
+        showToast(`${device.name} is back online`, 'success');
+    }
+}
+
+function updateDeviceHealthList() {
+    const list = Array.from(STATE.deviceHealth.values())
+        .sort((a, b) => a.name.localeCompare(b.name));
+    const online = list.filter(device => device.status === 'online').length;
+    DOM.devicesOnline.textContent = `${online}/${list.length}`;
+    
+    if (list.length === 0) {
+        DOM.deviceHealthList.innerHTML = `
+            <div class="empty-state">
+                <p>No devices registered</p>
+            </div>
+        `;
+        return;
+    }
+    
+    DOM.deviceHealthList.innerHTML = list
+        .map(device => {
+            const heartbeat = device.heartbeat;
+            const sensorProblem = heartbeat && heartbeat.sensorStatus !== 'ok';
+            const queued = heartbeat && heartbeat.queueDepth > 0;
+            const stateClass = device.status === 'online' && (sensorProblem || queued) ? 'warning' : device.status;
+            
+            const lastSeen = device.lastSeenAt
+                ? `Last seen ${formatDuration(Date.now() - device.lastSeenAt)} ago`
+                : 'Never seen';
+            const details = [device.door, lastSeen];
+            if (heartbeat) {
+                details.push(`v${heartbeat.firmwareVersion}`);
+                details.push(`up ${formatDuration(heartbeat.uptimeSeconds * 1000)}`);
+                details.push(SENSOR_STATUS_TEXT[heartbeat.sensorStatus] || heartbeat.sensorStatus);
+                if (queued) details.push(`${heartbeat.queueDepth} scans waiting`);
+            }
+            
+            return `
+                <div class="device-health-item ${stateClass}">
+                    <div class="device-health-header">
+                        <span class="device-health-name">${escapeHtml(device.name)}</span>
+                        <span class="device-health-status">${escapeHtml(device.enabled ? device.status : 'disabled')}</span>
+                    </div>
+                    <div class="device-health-details">${escapeHtml(details.filter(Boolean).join(' · '))}</div>
+                </div>
+            `;
+        })
+        .join('');
+}
+
+// ===================================
+// Enrollment
+// ===================================
+const ENROLLMENT_STATUS_TEXT = {
+    pending: 'Waiting for scanner',
+    claimed: 'Place finger on scanner',
+    first_capture: 'First capture OK - place the same finger again',
+    second_capture: 'Second capture OK - storing template',
+    stored: 'Stored in slot',
+    failed: 'Failed',
+    cancelled: 'Cancelled',
+    expired: 'Expired'
+};
+
+const ACTIVE_ENROLLMENT_STATUSES = ['pending', 'claimed', 'first_capture', 'second_capture'];
+
+async function loadUsers() {
+    try {
+        const response = await apiFetch('/api/users');
+        const result = await response.json();
+        STATE.users = result.data || [];
+        
+        const selected = DOM.enrollUser.value;
+        DOM.enrollUser.innerHTML = '<option value="">Select a user...</option>' +
+            STATE.users.map(user => `
+                <option value="${escapeHtml(user.id)}">${escapeHtml(user.displayName)}${user.fingerprintSlots.length ? ` (${user.fingerprintSlots.length} enrolled)` : ''}</option>
+            `).join('');
+        DOM.enrollUser.value = selected;
+        
+        const timesheetSelected = DOM.timesheetUser.value;
+        DOM.timesheetUser.innerHTML = '<option value="">Everyone</option>' +
+            STATE.users.map(user => `
+                <option value="${escapeHtml(user.id)}">${escapeHtml(user.displayName)}</option>
+            `).join('');
+        DOM.timesheetUser.value = timesheetSelected;
+        
+        const privacySelected = DOM.privacyUser.value;
+        DOM.privacyUser.innerHTML = '<option value="">Select a user...</option>' +
+            STATE.users.map(user => `
+                <option value="${escapeHtml(user.id)}">${escapeHtml(user.displayName)} (${escapeHtml(user.id)})</option>
+            `).join('');
+        DOM.privacyUser.value = privacySelected;
+    } catch (error) {
+        console.error('Error loading users:', error);
+    }
+}
+
+async function fetchEnrollments() {
+    try {
+        const response = await apiFetch('/api/enrollments');
+        const result = await response.json();
+        STATE.enrollments = new Map((result.data || []).map(enrollment => [enrollment.id, enrollment]));
+        updateEnrollmentList();
+    } catch (error) {
+        console.error('Error fetching enrollments:', error);
+    }
+}
+
+async function startEnrollment() {
+    const newName = DOM.enrollNewName.value.trim();
+    let userId = DOM.enrollUser.value;
+    
+    if (!newName && !userId) {
+        showToast('Select a user or enter a name', 'error');
+        return;
+    }
+    
+    DOM.startEnrollmentBtn.disabled = true;
+    try {
+        // Create the user record first when enrolling someone new
+        if (newName) {
+            const response = await apiFetch('/api/users', {
+                method: 'POST',
+                body: JSON.stringify({ displayName: newName })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+            userId = result.user.id;
+            DOM.enrollNewName.value = '';
+            await loadUsers();
+        }
+        
+        const response = await apiFetch('/api/enrollments', {
+            method: 'POST',
+            body: JSON.stringify({ userId: userId })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        handleEnrollmentUpdate(result.enrollment);
+        showToast(`Enrollment queued for ${result.enrollment.displayName} (slot ${result.enrollment.slot})`, 'success');
+        updateSystemInfo('Enrollment queued - waiting for scanner');
+    } catch (error) {
+        showToast(`Enrollment failed: ${error.message}`, 'error');
+        updateSystemInfo(`Enrollment error: ${error.message}`);
+    } finally {
+        DOM.startEnrollmentBtn.disabled = !hasRole('operator');
     }
 }
+
+async function cancelEnrollment(id) {
+    try {
+        const response = await apiFetch(`/api/enrollments/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        handleEnrollmentUpdate(result.enrollment);
+    } catch (error) {
+        showToast(`Could not cancel enrollment: ${error.message}`, 'error');
+    }
+}
+
+function handleEnrollmentUpdate(enrollment) {
+    const previous = STATE.enrollments.get(enrollment.id);
+    STATE.enrollments.set(enrollment.id, enrollment);
+    updateEnrollmentList();
+    
+    if (previous && previous.status === enrollment.status) return;
+    
+    if (enrollment.status === 'stored') {
+        showToast(`${enrollment.displayName} enrolled in slot ${enrollment.slot}`, 'success');
+        loadUsers();
+    } else if (enrollment.status === 'failed' || enrollment.status === 'expired') {
+        showToast(`Enrollment for ${enrollment.displayName} ${enrollment.status}: ${enrollment.error || ''}`, 'error');
+    }
+}
+
+function updateEnrollmentList() {
+    const recent = Array.from(STATE.enrollments.values())
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, 5);
+    
+    if (recent.length === 0) {
+        DOM.enrollmentList.innerHTML = '';
+        return;
+    }
+    
+    const canOperate = hasRole('operator');
+    DOM.enrollmentList.innerHTML = recent
+        .map(enrollment => {
+            const isActive = ACTIVE_ENROLLMENT_STATUSES.includes(enrollment.status);
+            const itemClass = isActive ? 'active' : enrollment.status;
+            let statusText = ENROLLMENT_STATUS_TEXT[enrollment.status] || enrollment.status;
+            if (enrollment.status === 'stored') statusText += ` ${enrollment.slot}`;
+            if (enrollment.error) statusText += `: ${enrollment.error}`;
+            
+            return `
+                <div class="enrollment-item ${itemClass}">
+                    <div class="enrollment-details">
+                        <div class="enrollment-name">${escapeHtml(enrollment.displayName)}</div>
+                        <div class="enrollment-status">${escapeHtml(statusText)}</div>
+                    </div>
+                    ${isActive && canOperate ? `<button class="clear-btn" data-cancel-enrollment="${escapeHtml(enrollment.id)}">Cancel</button>` : ''}
+                </div>
+            `;
+        })
+        .join('');
+}
@@ -0,0 +1,146 @@
+// ===================================
+// Access Schedules & Decisions API
+// ===================================
+//
+// The device-facing check (POST /api/access/check) is mounted in server.js,
+// ahead of the dashboard login guard.
+
+const express = require('express');
+const access = require('../lib/access');
+const security = require('../lib/security');
+const audit = require('../lib/audit');
+const { normalizeTimestamp } = require('../lib/entries');
+const { requireRole } = require('../lib/auth');
+const { logReference } = require('../lib/encryption');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const ERROR_STATUS = {
+    SCHEDULE_UNKNOWN: 404
+};
+
+function sendAccessError(res, error) {
+    return res.status(ERROR_STATUS[error.code] || 400).json({ error: error.message, code: error.code });
+}
+
+function scheduleNotFound(res) {
+    return res.status(404).json({ error: 'Schedule not found', code: 'SCHEDULE_UNKNOWN' });
+}
+
+/**
+ * GET /api/access/schedules
+ * Query: user (schedules covering the user, directly or through a group), group, door
+ */
+router.get('/schedules', (req, res) => {
+    const list = access.listSchedules({
+        userId: req.query.user ? String(req.query.user) : undefined,
+        group: req.query.group ? String(req.query.group) : undefined,
+        door: req.query.door ? String(req.query.door) : undefined
+    });
+    res.json({ success: true, defaultPolicy: access.DEFAULT_POLICY, count: list.length, data: list });
+});
+
+/**
+ * GET /api/access/schedules/:id
+ */
+router.get('/schedules/:id', (req, res) => {
+    const schedule = access.getSchedule(req.params.id);
+    if (!schedule) return scheduleNotFound(res);
+    res.json({ success: true, schedule: schedule });
+});
+
+/**
+ * POST /api/access/schedules
+ * Body: { name: "Cleaning crew", groups: ["cleaning"], users?: [], doors?: ["back"],
+ *         windows: [{ days: ["mon", "wed"], start: "18:00", end: "22:00" }],
+ *         exceptions?: [{ from: "2026-12-24", to: "2026-12-26", access: "deny", start?, end?, note? }],
+ *         enabled? }
+ */
+router.post('/schedules', requireRole('admin'), (req, res) => {
+    try {
+        const schedule = access.createSchedule(req.body || {}, req.user.id);
+        console.log(`[${new Date().toISOString()}] ${logReference(req.user.id)} added access schedule ${schedule.id}`);
+        audit.recordAction(req, 'schedule.create', { targetId: schedule.id, before: null, after: schedule });
+        res.status(201).json({ success: true, schedule: schedule });
+    } catch (error) {
+        if (error.code) return sendAccessError(res, error);
+        throw error;
+    }
+});
+
+/**
+ * PATCH /api/access/schedules/:id
+ * Body: any of { name, users, groups, doors, windows, exceptions, enabled }
+ */
+router.patch('/schedules/:id', requireRole('admin'), (req, res) => {
+    try {
+        const before = access.getSchedule(req.params.id);
+        const schedule = access.updateSchedule(req.params.id, req.body || {});
+        if (!schedule) return scheduleNotFound(res);
+        console.log(`[${new Date().toISOString()}] ${logReference(req.user.id)} updated access schedule ${schedule.id}`);
+        audit.recordAction(req, 'schedule.update', { targetId: schedule.id, before: before, after: schedule });
+        res.json({ success: true, schedule: schedule });
+    } catch (error) {
+        if (error.code) return sendAccessError(res, error);
+        throw error;
+    }
+});
+
+/**
+ * DELETE /api/access/schedules/:id
+ */
+router.delete('/schedules/:id', requireRole('admin'), (req, res) => {
+    const before = access.getSchedule(req.params.id);
+    if (!access.removeSchedule(req.params.id)) return scheduleNotFound(res);
+    console.log(`[${new Date().toISOString()}] ${logReference(req.user.id)} removed access schedule ${req.params.id}`);
+    audit.recordAction(req, 'schedule.remove', { targetId: req.params.id, before: before, after: null });
+    res.json({ success: true, message: `Schedule ${req.params.id} removed` });
+});
+
+/**
+ * GET /api/access/decisions
+ * Access check decisions, newest first
+ * Query: decision (allow|deny), user, device, door, from, to, limit (max 1000)
+ */
+router.get('/decisions', (req, res) => {
+    const filters = { source: 'access-check' };
+
+    if (req.query.decision) {
+        if (!['allow', 'deny'].includes(req.query.decision)) {
+            return res.status(400).json({ error: 'decision must be "allow" or "deny"', code: 'INVALID_QUERY' });
+        }
+        filters.type = req.query.decision === 'allow' ? 'access-granted' : 'denied';
+    }
+    if (req.query.user) filters.userId = String(req.query.user);
+    if (req.query.device) filters.deviceId = String(req.query.device);
+    if (req.query.door) filters.door = String(req.query.door);
+
+    for (const bound of ['from', 'to']) {
+        if (req.query[bound] === undefined || req.query[bound] === '') continue;
+        const timestamp = normalizeTimestamp(String(req.query[bound]));
+        if (!Number.isFinite(timestamp)) {
+            return res.status(400).json({ error: `${bound} must be a Unix timestamp or ISO date`, code: 'INVALID_QUERY' });
+        }
+        filters[bound] = timestamp;
+    }
+
+    filters.limit = DEFAULT_LIMIT;
+    if (req.query.limit !== undefined) {
+        const limit = Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_LIMIT}`, code: 'INVALID_QUERY' });
+        }
+        filters.limit = limit;
+    }
+
+    const list = security.querySecurityEvents(filters).map(event => ({
+        ...event,
+        decision: event.type === 'access-granted' ? 'allow' : 'deny'
+    }));
+    res.json({ success: true, count: list.length, data: list });
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+// ===================================
+// Audit Log API
+// ===================================
+
+const express = require('express');
+const audit = require('../lib/audit');
+const { normalizeTimestamp } = require('../lib/entries');
+const { requireRole } = require('../lib/auth');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+router.use(requireRole('admin'));
+
+/**
+ * GET /api/audit
+ * Administrative actions, newest first
+ * Query: actor, action, targetType, target, from, to, limit (max 1000)
+ */
+router.get('/', (req, res) => {
+    const filters = {};
+    if (req.query.actor) filters.actor = String(req.query.actor);
+    if (req.query.action) filters.action = String(req.query.action);
+    if (req.query.targetType) filters.targetType = String(req.query.targetType);
+    if (req.query.target) filters.targetId = String(req.query.target);
+
+    for (const bound of ['from', 'to']) {
+        if (req.query[bound] === undefined || req.query[bound] === '') continue;
+        const timestamp = normalizeTimestamp(String(req.query[bound]));
+        if (!Number.isFinite(timestamp)) {
+            return res.status(400).json({ error: `${bound} must be a Unix timestamp or ISO date`, code: 'INVALID_QUERY' });
+        }
+        filters[bound] = timestamp;
+    }
+
+    filters.limit = DEFAULT_LIMIT;
+    if (req.query.limit !== undefined) {
+        const limit = Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_LIMIT}`, code: 'INVALID_QUERY' });
+        }
+        filters.limit = limit;
+    }
+
+    const list = audit.queryAudit(filters);
+    res.json({ success: true, actions: audit.listActions(), count: list.length, data: list });
+});
+
+module.exports = router;
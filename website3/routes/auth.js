@@ -0,0 +1,135 @@
+// ===================================
+// Login & Account API
+// ===================================
+
+const express = require('express');
+const auth = require('../lib/auth');
+const audit = require('../lib/audit');
+const { limitLogins } = require('../lib/rateLimit');
+const { logReference } = require('../lib/encryption');
+
+// Mounted at /auth (public: login/logout/session check)
+const sessionRouter = express.Router();
+
+// Mounted at /api/accounts (admin only)
+const accountRouter = express.Router();
+
+/**
+ * POST /auth/login
+ * Body: { username, password }. Sets the session cookie.
+ */
+sessionRouter.post('/login', limitLogins, (req, res) => {
+    const { username, password } = req.body || {};
+    const account = auth.login(req, res, username, password);
+
+    if (!account) {
+        console.log(`[${new Date().toISOString()}] Failed login for ${logReference(username)} from ${logReference(req.ip)}`);
+        return res.status(401).json({ error: 'Invalid username or password', code: 'INVALID_CREDENTIALS' });
+    }
+
+    console.log(`[${new Date().toISOString()}] Login: ${logReference(account.id)} (${account.role})`);
+    res.json({ success: true, user: { id: account.id, role: account.role } });
+});
+
+/**
+ * POST /auth/logout
+ * Ends the current session
+ */
+sessionRouter.post('/logout', (req, res) => {
+    auth.logout(req, res);
+    res.json({ success: true });
+});
+
+/**
+ * GET /auth/me
+ * Returns the logged-in user, or 401
+ */
+sessionRouter.get('/me', auth.requireRole('viewer'), (req, res) => {
+    res.json({ success: true, user: req.user });
+});
+
+function sendAccountError(res, error) {
+    const status = error.code === 'ACCOUNT_EXISTS' ? 409 : 400;
+    return res.status(status).json({ error: error.message, code: error.code });
+}
+
+accountRouter.use(auth.requireRole('admin'));
+
+/**
+ * GET /api/accounts
+ * Lists dashboard accounts
+ */
+accountRouter.get('/', (req, res) => {
+    const list = auth.listAccounts();
+    res.json({ success: true, count: list.length, data: list });
+});
+
+/**
+ * POST /api/accounts
+ * Body: { username, password, role: "viewer"|"operator"|"admin" }
+ */
+accountRouter.post('/', (req, res) => {
+    try {
+        const account = auth.createAccount(req.body || {});
+        console.log(`[${new Date().toISOString()}] Account created: ${logReference(account.id)} (${account.role})`);
+        audit.recordAction(req, 'account.create', { targetId: account.id, before: null, after: account });
+        res.status(201).json({ success: true, account: account });
+    } catch (error) {
+        if (error.code) return sendAccountError(res, error);
+        throw error;
+    }
+});
+
+/**
+ * PATCH /api/accounts/:id
+ * Body: { role?, password? }
+ */
+accountRouter.patch('/:id', (req, res) => {
+    try {
+        const { role, password } = req.body || {};
+        const current = auth.getAccount(req.params.id);
+        const demotesLastAdmin = current && current.role === 'admin' &&
+            role !== undefined && role !== 'admin' && auth.countAdmins() === 1;
+        if (demotesLastAdmin) {
+            return res.status(409).json({ error: 'Cannot demote the last admin account', code: 'LAST_ADMIN' });
+        }
+
+        const account = auth.updateAccount(req.params.id, { role, password });
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found', code: 'ACCOUNT_UNKNOWN' });
+        }
+        audit.recordAction(req, 'account.update', {
+            targetId: account.id,
+            before: current,
+            after: account,
+            details: { passwordChanged: password !== undefined }
+        });
+        res.json({ success: true, account: account });
+    } catch (error) {
+        if (error.code) return sendAccountError(res, error);
+        throw error;
+    }
+});
+
+/**
+ * DELETE /api/accounts/:id
+ */
+accountRouter.delete('/:id', (req, res) => {
+    const target = auth.getAccount(req.params.id);
+    if (!target) {
+        return res.status(404).json({ error: 'Account not found', code: 'ACCOUNT_UNKNOWN' });
+    }
+    if (target.role === 'admin' && auth.countAdmins() === 1) {
+        return res.status(409).json({ error: 'Cannot delete the last admin account', code: 'LAST_ADMIN' });
+    }
+
+    auth.removeAccount(req.params.id);
+    console.log(`[${new Date().toISOString()}] Account removed: ${logReference(req.params.id)}`);
+    audit.recordAction(req, 'account.remove', { targetId: target.id, before: target, after: null });
+    res.json({ success: true, message: `Account ${req.params.id} removed` });
+});
+
+module.exports = {
+    sessionRouter,
+    accountRouter
+};
@@ -0,0 +1,138 @@
+// ===================================
+// Device Command API
+// ===================================
+
+const express = require('express');
+const commands = require('../lib/commands');
+const liveUpdates = require('../lib/liveUpdates');
+const audit = require('../lib/audit');
+const { requireRole } = require('../lib/auth');
+const { requireDeviceSignature } = require('../lib/deviceAuth');
+const { logReference } = require('../lib/encryption');
+
+// Mounted at /api/commands (dashboard)
+const commandRouter = express.Router();
+
+// Mounted at /device/commands (signed Raspberry Pi requests)
+const deviceRouter = express.Router();
+
+const ERROR_STATUS = {
+    DEVICE_UNKNOWN: 404,
+    COMMAND_UNKNOWN: 404,
+    COMMAND_CLOSED: 409
+};
+
+function sendCommandError(res, error) {
+    return res.status(ERROR_STATUS[error.code] || 400).json({ error: error.message, code: error.code });
+}
+
+function announce(command) {
+    liveUpdates.publish('command', command);
+    return command;
+}
+
+setInterval(() => {
+    commands.expireStale().forEach(announce);
+}, 10 * 1000).unref();
+
+/**
+ * GET /api/commands
+ * Recent commands, newest first. Query: device, status, limit (max 500)
+ */
+commandRouter.get('/', (req, res) => {
+    commands.expireStale().forEach(announce);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const list = commands.listCommands({ deviceId: req.query.device, status: req.query.status, limit });
+    res.json({ success: true, count: list.length, data: list });
+});
+
+/**
+ * GET /api/commands/:id
+ */
+commandRouter.get('/:id', (req, res) => {
+    const command = commands.getCommand(req.params.id);
+    if (!command) {
+        return res.status(404).json({ error: 'Command not found', code: 'COMMAND_UNKNOWN' });
+    }
+    res.json({ success: true, command: command });
+});
+
+/**
+ * POST /api/commands
+ * Body: { deviceId, type, params?, ttlSeconds? }
+ * Rebooting a scanner requires the admin role.
+ */
+commandRouter.post('/', requireRole('operator'), (req, res) => {
+    try {
+        const { deviceId, type, params, ttlSeconds } = req.body || {};
+        if (type === 'enroll') {
+            return res.status(400).json({
+                error: 'Start enrollments with POST /api/enrollments',
+                code: 'INVALID_TYPE'
+            });
+        }
+        if (type === 'reboot' && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Rebooting a device requires the admin role', code: 'FORBIDDEN' });
+        }
+
+        const command = commands.enqueueCommand({ deviceId, type, params, ttlSeconds }, req.user.id);
+        console.log(`[${new Date().toISOString()}] ${logReference(req.user.id)} queued ${command.type} for ${command.deviceId}`);
+        audit.recordAction(req, 'command.queue', { targetId: command.id, before: null, after: command });
+        res.status(201).json({ success: true, command: announce(command) });
+    } catch (error) {
+        if (error.code) return sendCommandError(res, error);
+        throw error;
+    }
+});
+
+/**
+ * DELETE /api/commands/:id
+ * Cancels a command the device has not acknowledged yet
+ */
+commandRouter.delete('/:id', requireRole('operator'), (req, res) => {
+    try {
+        const before = commands.getCommand(req.params.id);
+        const command = commands.cancelCommand(req.params.id);
+        if (!command) {
+            return res.status(404).json({ error: 'Command not found', code: 'COMMAND_UNKNOWN' });
+        }
+        audit.recordAction(req, 'command.cancel', { targetId: command.id, before: before, after: command });
+        res.json({ success: true, command: announce(command) });
+    } catch (error) {
+        if (error.code) return sendCommandError(res, error);
+        throw error;
+    }
+});
+
+deviceRouter.use(requireDeviceSignature);
+
+/**
+ * POST /device/commands/pending
+ * Returns the calling device's unacknowledged commands, oldest first
+ */
+deviceRouter.post('/pending', (req, res) => {
+    commands.expireStale().forEach(announce);
+    const pending = commands.takePendingCommands(req.device.id);
+    pending.forEach(announce);
+    res.json({ success: true, count: pending.length, data: pending });
+});
+
+/**
+ * POST /device/commands/:id/ack
+ * Body: { status: "succeeded"|"failed", result?, error? }
+ */
+deviceRouter.post('/:id/ack', (req, res) => {
+    try {
+        const command = commands.acknowledgeCommand(req.params.id, req.device.id, req.body || {});
+        console.log(`[${new Date().toISOString()}] ${command.deviceId} ${command.status} ${command.type}`);
+        res.json({ success: true, command: announce(command) });
+    } catch (error) {
+        if (error.code) return sendCommandError(res, error);
+        throw error;
+    }
+});
+
+module.exports = {
+    commandRouter,
+    deviceRouter
+};
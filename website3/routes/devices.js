@@ -0,0 +1,189 @@
+// ===================================
+// Device Registry & Health API
+// ===================================
+
+const express = require('express');
+const devices = require('../lib/devices');
+const deviceHealth = require('../lib/deviceHealth');
+const liveUpdates = require('../lib/liveUpdates');
+const webhooks = require('../lib/webhooks');
+const audit = require('../lib/audit');
+const { requireRole } = require('../lib/auth');
+const { requireDeviceSignature } = require('../lib/deviceAuth');
+
+// Mounted at /api/devices (dashboard)
+const router = express.Router();
+
+// Mounted at /device (signed Raspberry Pi requests)
+const deviceRouter = express.Router();
+
+function announce(device) {
+    liveUpdates.publish('device', device);
+    return device;
+}
+
+/**
+ * Applies online/offline changes and announces them (devices going offline
+ * also to webhooks). Returns the changed devices.
+ */
+function refreshStatuses() {
+    return deviceHealth.refreshStatuses().map(device => {
+        console.log(`[${new Date().toISOString()}] Device ${device.id} is ${device.status}`);
+        if (device.status === 'offline') webhooks.dispatch('device-offline', device);
+        return announce(device);
+    });
+}
+
+// Notice devices that went quiet (or came back) between heartbeats
+setInterval(refreshStatuses, 15 * 1000).unref();
+
+/**
+ * GET /api/devices
+ * Lists registered devices (secrets are never returned here)
+ */
+router.get('/', (req, res) => {
+    const list = devices.listDevices();
+    res.json({ success: true, count: list.length, data: list });
+});
+
+/**
+ * GET /api/devices/health
+ * Online/offline status, last-seen time and latest heartbeat of every device
+ */
+router.get('/health', (req, res) => {
+    refreshStatuses();
+    const list = deviceHealth.listDeviceHealth();
+    res.json({
+        success: true,
+        offlineAfterSeconds: deviceHealth.OFFLINE_AFTER_SECONDS,
+        count: list.length,
+        data: list
+    });
+});
+
+/**
+ * GET /api/devices/:id
+ * One device (without secrets)
+ */
+router.get('/:id', (req, res) => {
+    const device = devices.getDevice(req.params.id);
+    if (!device) {
+        return res.status(404).json({ error: 'Device not found', code: 'DEVICE_UNKNOWN' });
+    }
+    res.json({ success: true, device: devices.toPublicDevice(device) });
+});
+
+/**
+ * POST /api/devices
+ * Registers a device.
+ * Body: { id?: "front-door", name?: "Front door Pi", door?: "Front door", location?: "Ground floor",
+ *         timeZone?: "Europe/Berlin", scanMode?: "explicit"|"toggle", cooldownSeconds?: 10 }
+ * The secret is only returned in this response and on rotation.
+ */
+router.post('/', requireRole('admin'), (req, res) => {
+    try {
+        const { id, name, door, location, timeZone, scanMode, cooldownSeconds } = req.body || {};
+        const result = devices.registerDevice({ id, name, door, location, timeZone, scanMode, cooldownSeconds });
+        console.log(`[${new Date().toISOString()}] Device registered: ${result.device.id}`);
+        audit.recordAction(req, 'device.register', { targetId: result.device.id, before: null, after: result.device });
+        res.status(201).json({ success: true, ...result });
+    } catch (error) {
+        if (error.code) {
+            const status = error.code === 'DEVICE_EXISTS' ? 409 : 400;
+            return res.status(status).json({ error: error.message, code: error.code });
+        }
+        throw error;
+    }
+});
+
+/**
+ * PATCH /api/devices/:id
+ * Renames, moves, reconfigures or enables/disables a device.
+ * Body: { name?, door?, location?, timeZone?, scanMode?, cooldownSeconds?, enabled? }
+ * Events already recorded keep the door they were scanned at.
+ */
+router.patch('/:id', requireRole('admin'), (req, res) => {
+    try {
+        const before = devices.getDevice(req.params.id);
+        const device = devices.updateDevice(req.params.id, req.body || {});
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found', code: 'DEVICE_UNKNOWN' });
+        }
+        audit.recordAction(req, 'device.update', {
+            targetId: device.id,
+            before: devices.toPublicDevice(before),
+            after: device
+        });
+        res.json({ success: true, device: device });
+    } catch (error) {
+        if (error.code) {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+        throw error;
+    }
+});
+
+/**
+ * POST /api/devices/:id/rotate-key
+ * Issues a new secret; the old one keeps working for a short grace period
+ */
+router.post('/:id/rotate-key', requireRole('admin'), (req, res) => {
+    const result = devices.rotateDeviceKey(req.params.id);
+    if (!result) {
+        return res.status(404).json({ error: 'Device not found', code: 'DEVICE_UNKNOWN' });
+    }
+    console.log(`[${new Date().toISOString()}] Device key rotated: ${req.params.id}`);
+    audit.recordAction(req, 'device.rotate-key', { targetId: req.params.id });
+    res.json({ success: true, ...result });
+});
+
+/**
+ * DELETE /api/devices/:id
+ * Removes a device; its requests are rejected from then on
+ */
+router.delete('/:id', requireRole('admin'), (req, res) => {
+    const before = devices.getDevice(req.params.id);
+    if (!devices.removeDevice(req.params.id)) {
+        return res.status(404).json({ error: 'Device not found', code: 'DEVICE_UNKNOWN' });
+    }
+    deviceHealth.forgetDevice(req.params.id);
+    console.log(`[${new Date().toISOString()}] Device removed: ${req.params.id}`);
+    audit.recordAction(req, 'device.remove', { targetId: req.params.id, before: devices.toPublicDevice(before), after: null });
+    res.json({ success: true, message: `Device ${req.params.id} removed` });
+});
+
+/**
+ * POST /device/heartbeat
+ * Periodic status report from a Pi (every 30-60 seconds is plenty).
+ * Body: { uptimeSeconds: 3600, firmwareVersion: "1.4.2", sensorStatus: "ok", queueDepth: 0 }
+ * queueDepth is the number of scans the Pi is holding because it could not deliver them.
+ */
+deviceRouter.post('/heartbeat', requireDeviceSignature, (req, res) => {
+    try {
+        deviceHealth.recordHeartbeat(req.device.id, req.body || {});
+    } catch (error) {
+        if (error.code) {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+        throw error;
+    }
+
+    // A device coming back online is announced by refreshStatuses
+    const changed = refreshStatuses();
+    const device = deviceHealth.getDeviceHealth(req.device.id);
+    if (!changed.some(entry => entry.id === device.id)) {
+        announce(device);
+    }
+
+    res.json({
+        success: true,
+        status: device.status,
+        serverTime: Date.now(),
+        offlineAfterSeconds: deviceHealth.OFFLINE_AFTER_SECONDS
+    });
+});
+
+module.exports = {
+    registryRouter: router,
+    deviceRouter
+};
@@ -0,0 +1,161 @@
+// ===================================
+// Enrollment API
+// ===================================
+
+const express = require('express');
+const enrollments = require('../lib/enrollments');
+const commands = require('../lib/commands');
+const devices = require('../lib/devices');
+const liveUpdates = require('../lib/liveUpdates');
+const audit = require('../lib/audit');
+const { requireRole } = require('../lib/auth');
+const { requireDeviceSignature } = require('../lib/deviceAuth');
+
+// Mounted at /api/enrollments (dashboard)
+const enrollmentRouter = express.Router();
+
+// Mounted at /device/enrollments (signed Raspberry Pi requests)
+const deviceRouter = express.Router();
+
+const ERROR_STATUS = {
+    USER_UNKNOWN: 404,
+    ENROLLMENT_UNKNOWN: 404,
+    SLOT_TAKEN: 409,
+    NO_FREE_SLOT: 409,
+    ENROLLMENT_NOT_ACTIVE: 409
+};
+
+function sendEnrollmentError(res, error) {
+    return res.status(ERROR_STATUS[error.code] || 400).json({ error: error.message, code: error.code });
+}
+
+function announce(enrollment) {
+    liveUpdates.publish('enrollment', enrollment);
+    return enrollment;
+}
+
+// Devices that stop reporting leave enrollments hanging; expire them
+setInterval(() => {
+    enrollments.expireStale().forEach(announce);
+}, 30 * 1000).unref();
+
+/**
+ * GET /api/enrollments
+ * Lists enrollments, newest first. Query: status, user
+ */
+enrollmentRouter.get('/', (req, res) => {
+    enrollments.expireStale().forEach(announce);
+    const list = enrollments.listEnrollments({ status: req.query.status, userId: req.query.user });
+    res.json({ success: true, count: list.length, data: list });
+});
+
+/**
+ * GET /api/enrollments/:id
+ */
+enrollmentRouter.get('/:id', (req, res) => {
+    const enrollment = enrollments.getEnrollment(req.params.id);
+    if (!enrollment) {
+        return res.status(404).json({ error: 'Enrollment not found', code: 'ENROLLMENT_UNKNOWN' });
+    }
+    res.json({ success: true, enrollment: enrollment });
+});
+
+/**
+ * POST /api/enrollments
+ * Queues an enrollment. Body: { userId, deviceId?, slot? }
+ * Without a slot the lowest free one is reserved. With a deviceId an
+ * "enroll" command is also sent to that device.
+ */
+enrollmentRouter.post('/', requireRole('operator'), (req, res) => {
+    try {
+        const { userId, deviceId, slot } = req.body || {};
+        if (deviceId) {
+            if (!devices.getDevice(deviceId)) {
+                return res.status(404).json({ error: `Device "${deviceId}" is not registered`, code: 'DEVICE_UNKNOWN' });
+            }
+        }
+        
+        const enrollment = enrollments.createEnrollment({ userId, deviceId, slot }, req.user.id);
+        console.log(`[${new Date().toISOString()}] Enrollment ${enrollment.id} queued for slot ${enrollment.slot}`);
+        
+        let command = null;
+        if (enrollment.deviceId) {
+            command = commands.enqueueCommand({
+                deviceId: enrollment.deviceId,
+                type: 'enroll',
+                params: { enrollmentId: enrollment.id, slot: enrollment.slot }
+            }, req.user.id);
+            liveUpdates.publish('command', command);
+        }
+        audit.recordAction(req, 'enrollment.start', {
+            targetId: enrollment.id,
+            before: null,
+            after: enrollment,
+            details: command ? { commandId: command.id } : null
+        });
+        
+        res.status(201).json({ success: true, enrollment: announce(enrollment), command: command });
+    } catch (error) {
+        if (error.code) return sendEnrollmentError(res, error);
+        throw error;
+    }
+});
+
+/**
+ * DELETE /api/enrollments/:id
+ * Cancels an unfinished enrollment
+ */
+enrollmentRouter.delete('/:id', requireRole('operator'), (req, res) => {
+    try {
+        const before = enrollments.getEnrollment(req.params.id);
+        const enrollment = enrollments.cancelEnrollment(req.params.id);
+        if (!enrollment) {
+            return res.status(404).json({ error: 'Enrollment not found', code: 'ENROLLMENT_UNKNOWN' });
+        }
+        audit.recordAction(req, 'enrollment.cancel', { targetId: enrollment.id, before: before, after: enrollment });
+        commands.cancelWhere(command =>
+            command.type === 'enroll' && command.params.enrollmentId === enrollment.id
+        ).forEach(command => liveUpdates.publish('command', command));
+        res.json({ success: true, enrollment: announce(enrollment) });
+    } catch (error) {
+        if (error.code) return sendEnrollmentError(res, error);
+        throw error;
+    }
+});
+
+deviceRouter.use(requireDeviceSignature);
+
+/**
+ * POST /device/enrollments/next
+ * Claims the oldest pending enrollment for the calling device.
+ * Returns { enrollment: null } when there is nothing to do.
+ */
+deviceRouter.post('/next', (req, res) => {
+    enrollments.expireStale().forEach(announce);
+    const enrollment = enrollments.claimNextEnrollment(req.device.id);
+    if (enrollment) {
+        console.log(`[${new Date().toISOString()}] Enrollment ${enrollment.id} claimed by ${req.device.id}`);
+        announce(enrollment);
+    }
+    res.json({ success: true, enrollment: enrollment });
+});
+
+/**
+ * POST /device/enrollments/:id/progress
+ * Body: { status: "first_capture"|"second_capture"|"stored"|"failed", slot?, error? }
+ */
+deviceRouter.post('/:id/progress', (req, res) => {
+    try {
+        const enrollment = enrollments.reportProgress(req.params.id, req.device.id, req.body || {});
+        console.log(`[${new Date().toISOString()}] Enrollment ${enrollment.id}: ${enrollment.status}`);
+        res.json({ success: true, enrollment: announce(enrollment) });
+    } catch (error) {
+        if (error.code) return sendEnrollmentError(res, error);
+        throw error;
+    }
+});
+
+module.exports = {
+    enrollmentRouter,
+    deviceRouter
+};
@@ -0,0 +1,116 @@
+// ===================================
+// Bulk Import API
+// ===================================
+
+const express = require('express');
+const config = require('../lib/config');
+const imports = require('../lib/imports');
+const liveUpdates = require('../lib/liveUpdates');
+const audit = require('../lib/audit');
+const { computeStats } = require('../lib/stats');
+const { requireRole } = require('../lib/auth');
+const { logReference } = require('../lib/encryption');
+
+const router = express.Router();
+
+// Whole files are uploaded, so imports get a larger body limit than the
+// rest of the API. The body is only parsed once the role check has passed.
+const IMPORT_BODY_LIMIT = config.server.maxImportSize;
+
+const CONTENT_TYPE_FORMATS = {
+    'text/csv': 'csv',
+    'application/json': 'json',
+    'application/x-ndjson': 'jsonl'
+};
+
+const ERROR_STATUS = {
+    IMPORT_UNKNOWN: 404,
+    IMPORT_ROLLED_BACK: 409,
+    IMPORT_TOO_LARGE: 413
+};
+
+function sendImportError(res, error) {
+    return res.status(ERROR_STATUS[error.code] || 400).json({ error: error.message, code: error.code });
+}
+
+router.use(requireRole('admin'));
+
+/**
+ * GET /api/imports
+ * Past imports, newest first
+ */
+router.get('/', (req, res) => {
+    const list = imports.listImports();
+    res.json({ success: true, count: list.length, data: list });
+});
+
+/**
+ * GET /api/imports/:id
+ */
+router.get('/:id', (req, res) => {
+    const record = imports.getImport(req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: 'Import not found', code: 'IMPORT_UNKNOWN' });
+    }
+    res.json({ success: true, import: record });
+});
+
+/**
+ * POST /api/imports?source=paper-2024&dryRun=true
+ * Body: the file as text/csv, application/json or application/x-ndjson.
+ * Query: source (required tag), dryRun, format (csv|json|jsonl; overrides the content type)
+ */
+router.post('/',
+    express.json({ limit: IMPORT_BODY_LIMIT }),
+    express.text({ type: ['text/csv', 'text/plain', 'application/x-ndjson'], limit: IMPORT_BODY_LIMIT }),
+    (req, res) => {
+        const format = req.query.format || CONTENT_TYPE_FORMATS[(req.get('Content-Type') || '').split(';')[0].trim()];
+        if (!imports.IMPORT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                error: `Send text/csv, application/json or application/x-ndjson, or set format to one of: ${imports.IMPORT_FORMATS.join(', ')}`,
+                code: 'INVALID_FORMAT'
+            });
+        }
+        const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+
+        try {
+            const rows = imports.parseRows(req.body, format);
+            const result = imports.runImport({ rows, source: req.query.source, format, dryRun }, req.user.id);
+
+            if (result.import) {
+                console.log(`[${new Date().toISOString()}] ${logReference(req.user.id)} imported ${result.summary.imported} entries from ${result.import.source} (import ${result.import.id})`);
+                audit.recordAction(req, 'import.apply', { targetId: result.import.id, before: null, after: result.import });
+                liveUpdates.publish('reset', {});
+                liveUpdates.publish('stats', computeStats());
+            }
+
+            res.status(result.import ? 201 : 200).json({ success: true, ...result });
+        } catch (error) {
+            if (error.code) return sendImportError(res, error);
+            throw error;
+        }
+    }
+);
+
+/**
+ * DELETE /api/imports/:id
+ * Rolls an import back: every event it stored is deleted
+ */
+router.delete('/:id', (req, res) => {
+    try {
+        const before = imports.getImport(req.params.id);
+        const record = imports.rollbackImport(req.params.id, req.user.id);
+        console.log(`[${new Date().toISOString()}] ${logReference(req.user.id)} rolled back import ${record.id} (${record.removed} entries)`);
+        audit.recordAction(req, 'import.rollback', { targetId: record.id, before: before, after: record });
+
+        liveUpdates.publish('reset', {});
+        liveUpdates.publish('stats', computeStats());
+
+        res.json({ success: true, import: record });
+    } catch (error) {
+        if (error.code) return sendImportError(res, error);
+        throw error;
+    }
+});
+
+module.exports = router;
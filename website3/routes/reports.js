@@ -0,0 +1,98 @@
+// ===================================
+// Reports API
+// ===================================
+
+const express = require('express');
+const calendar = require('../lib/calendar');
+const { buildTimesheet } = require('../lib/timesheet');
+const { normalizeTimestamp } = require('../lib/entries');
+const exporter = require('../lib/exporter');
+
+const router = express.Router();
+
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Parses ?from=&to=&tz= for reports. Plain dates ("2024-03-01") are days in
+ * the time zone (the site's unless tz is given) and `to` includes that whole
+ * day; timestamps are used as given (to exclusive). Defaults to the current
+ * week up to the end of today.
+ * @returns {{ error: string }|{ from: number, to: number, timeZone: string }}
+ */
+function parseRange(query) {
+    const { error, timeZone } = calendar.parseTimeZone(query.tz);
+    if (error) {
+        return { error };
+    }
+
+    const today = calendar.startOfDay(Date.now(), timeZone);
+    const range = {
+        from: calendar.startOfWeek(today, timeZone),
+        to: calendar.addDays(today, 1, timeZone),
+        timeZone: timeZone
+    };
+
+    for (const bound of ['from', 'to']) {
+        const value = query[bound];
+        if (value === undefined || value === '') continue;
+
+        const date = calendar.parseDate(String(value), timeZone);
+        if (Number.isFinite(date)) {
+            range[bound] = bound === 'to' ? calendar.addDays(date, 1, timeZone) : date;
+            continue;
+        }
+        const timestamp = normalizeTimestamp(String(value));
+        if (!Number.isFinite(timestamp)) {
+            return { error: `${bound} must be a date (YYYY-MM-DD), Unix timestamp or ISO date` };
+        }
+        range[bound] = timestamp;
+    }
+
+    if (range.from >= range.to) {
+        return { error: 'from must be earlier than to' };
+    }
+    if (range.to - range.from > MAX_RANGE_DAYS * calendar.DAY_MS) {
+        return { error: `The range may cover at most ${MAX_RANGE_DAYS} days` };
+    }
+    return range;
+}
+
+function timesheetFor(range, query) {
+    return buildTimesheet({
+        from: range.from,
+        to: range.to,
+        userId: query.user ? String(query.user) : undefined,
+        name: query.name ? String(query.name) : undefined,
+        timeZone: range.timeZone
+    });
+}
+
+/**
+ * GET /api/reports/timesheet
+ * Worked hours per person, day and week. Query: from, to, tz, user, name
+ */
+router.get('/timesheet', (req, res) => {
+    const range = parseRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ error: range.error, code: 'INVALID_QUERY' });
+    }
+
+    res.json({ success: true, ...timesheetFor(range, req.query) });
+});
+
+/**
+ * GET /api/reports/timesheet/export
+ * The same report as one row per person and day.
+ * Query: format (csv|jsonl|xlsx), from, to, tz, user, name
+ */
+router.get('/timesheet/export', (req, res) => {
+    const range = parseRange(req.query);
+    const { error: formatError, format } = exporter.parseFormat(req.query.format);
+    if (range.error || formatError) {
+        return res.status(400).json({ error: range.error || formatError, code: 'INVALID_QUERY' });
+    }
+
+    exporter.sendExport(res, 'timesheet', format, timesheetFor(range, req.query), range.timeZone);
+});
+
+module.exports = router;
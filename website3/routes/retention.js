@@ -0,0 +1,37 @@
+// ===================================
+// Retention Policy API
+// ===================================
+
+const express = require('express');
+const retention = require('../lib/retention');
+const audit = require('../lib/audit');
+const liveUpdates = require('../lib/liveUpdates');
+const { computeStats } = require('../lib/stats');
+const { requireRole } = require('../lib/auth');
+const { logReference } = require('../lib/encryption');
+
+const router = express.Router();
+
+/**
+ * GET /api/retention
+ * The configured retention policy and the outcome of its latest run
+ */
+router.get('/', (req, res) => {
+    res.json({ success: true, policy: retention.getPolicy() });
+});
+
+/**
+ * POST /api/retention/run
+ * Applies the retention policy now instead of waiting for the daily run
+ */
+router.post('/run', requireRole('admin'), (req, res) => {
+    const result = retention.runRetention();
+    console.log(`[${new Date().toISOString()}] ${logReference(req.user.id)} ran the retention policy (${result.mode}: ${result.events} events, ${result.archivedEvents} archived events, ${result.securityEvents} security events, ${result.webhookDeliveries} webhook deliveries, ${result.auditEntries} audit entries)`);
+    audit.recordAction(req, 'retention.run', { targetType: 'events', details: result });
+
+    liveUpdates.publish('reset', {});
+    liveUpdates.publish('stats', computeStats());
+    res.json({ success: true, result: result });
+});
+
+module.exports = router;
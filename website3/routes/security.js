@@ -0,0 +1,82 @@
+// ===================================
+// Security Feed API
+// ===================================
+
+const express = require('express');
+const security = require('../lib/security');
+const { DENIAL_REASONS, normalizeTimestamp } = require('../lib/entries');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Parses ?reason=&user=&device=&door=&from=&to=&limit=
+ * @returns {{ error: string }|{ filters: object }}
+ */
+function parseFilters(query) {
+    const filters = { type: 'denied' };
+
+    if (query.reason) {
+        if (!DENIAL_REASONS.includes(query.reason)) {
+            return { error: `reason must be one of: ${DENIAL_REASONS.join(', ')}` };
+        }
+        filters.reason = query.reason;
+    }
+    if (query.user) filters.userId = String(query.user);
+    if (query.device) filters.deviceId = String(query.device);
+    if (query.door) filters.door = String(query.door);
+
+    for (const bound of ['from', 'to']) {
+        if (query[bound] === undefined || query[bound] === '') continue;
+        const timestamp = normalizeTimestamp(String(query[bound]));
+        if (!Number.isFinite(timestamp)) {
+            return { error: `${bound} must be a Unix timestamp or ISO date` };
+        }
+        filters[bound] = timestamp;
+    }
+
+    filters.limit = DEFAULT_LIMIT;
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+        }
+        filters.limit = limit;
+    }
+
+    return { filters };
+}
+
+/**
+ * GET /api/security/denied
+ * Denied scan attempts, newest first
+ * Query: reason, user, device, door, from, to, limit (max 1000)
+ */
+router.get('/denied', (req, res) => {
+    const { error, filters } = parseFilters(req.query);
+    if (error) {
+        return res.status(400).json({ error: error, code: 'INVALID_QUERY' });
+    }
+
+    const list = security.querySecurityEvents(filters);
+    res.json({ success: true, reasons: DENIAL_REASONS, count: list.length, data: list });
+});
+
+/**
+ * GET /api/security/floods
+ * Clients that exceeded a rate limit (one event per client and window), newest first
+ * Query: device, door, from, to, limit (max 1000)
+ */
+router.get('/floods', (req, res) => {
+    const { error, filters } = parseFilters(req.query);
+    if (error) {
+        return res.status(400).json({ error: error, code: 'INVALID_QUERY' });
+    }
+
+    const list = security.querySecurityEvents({ ...filters, type: 'flood', reason: undefined });
+    res.json({ success: true, count: list.length, data: list });
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+// ===================================
+// Sessions & Anomalies API
+// ===================================
+
+const express = require('express');
+const sessions = require('../lib/sessions');
+const { normalizeTimestamp } = require('../lib/entries');
+const calendar = require('../lib/calendar');
+const exporter = require('../lib/exporter');
+
+// Mounted at /api/sessions
+const sessionRouter = express.Router();
+
+// Mounted at /api/anomalies
+const anomalyRouter = express.Router();
+
+const MAX_LIMIT = 1000;
+
+/**
+ * Parses the filters both lists share: user, name, door, from, to, tz, limit.
+ * from/to also accept plain dates ("2024-03-01") in the tz (site time zone by
+ * default); a date in `to` includes that whole day.
+ * @returns {{ error: string }|{ filters: object, timeZone: string }}
+ */
+function parseFilters(query) {
+    const filters = {};
+    if (query.user) filters.userId = String(query.user);
+    if (query.name) filters.name = String(query.name);
+    if (query.door) filters.door = String(query.door);
+
+    const { error, timeZone } = calendar.parseTimeZone(query.tz);
+    if (error) {
+        return { error };
+    }
+
+    for (const bound of ['from', 'to']) {
+        if (query[bound] === undefined || query[bound] === '') continue;
+        const date = calendar.parseDate(String(query[bound]), timeZone);
+        if (Number.isFinite(date)) {
+            filters[bound] = bound === 'to' ? calendar.addDays(date, 1, timeZone) : date;
+            continue;
+        }
+        const timestamp = normalizeTimestamp(String(query[bound]));
+        if (!Number.isFinite(timestamp)) {
+            return { error: `${bound} must be a date (YYYY-MM-DD), Unix timestamp or ISO date` };
+        }
+        filters[bound] = timestamp;
+    }
+
+    filters.limit = 100;
+    if (query.limit !== undefined) {
+        filters.limit = Number(query.limit);
+        if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > MAX_LIMIT) {
+            return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+        }
+    }
+
+    return { filters, timeZone };
+}
+
+/**
+ * Applies ?status= to the parsed filters
+ * @returns {string|undefined} An error message
+ */
+function parseStatus(query, filters) {
+    if (!query.status) return undefined;
+    if (!sessions.SESSION_STATUSES.includes(query.status)) {
+        return `status must be one of: ${sessions.SESSION_STATUSES.join(', ')}`;
+    }
+    filters.status = query.status;
+    return undefined;
+}
+
+/**
+ * GET /api/sessions
+ * In/out sessions overlapping the range, newest first.
+ * Query: user, name, door, status (open|complete|incomplete), from, to, limit
+ */
+sessionRouter.get('/', (req, res) => {
+    const { error, filters } = parseFilters(req.query);
+    if (error) {
+        return res.status(400).json({ error: error, code: 'INVALID_QUERY' });
+    }
+    const statusError = parseStatus(req.query, filters);
+    if (statusError) {
+        return res.status(400).json({ error: statusError, code: 'INVALID_QUERY' });
+    }
+
+    const list = sessions.listSessions(filters);
+    res.json({ success: true, count: list.length, data: list });
+});
+
+/**
+ * GET /api/sessions/export
+ * Downloads every session matching the /api/sessions filters (limit is ignored).
+ * Query: format (csv|jsonl|xlsx), user, name, door, status, from, to, tz
+ */
+sessionRouter.get('/export', (req, res) => {
+    const { error, filters, timeZone } = parseFilters({ ...req.query, limit: undefined });
+    const statusError = error ? undefined : parseStatus(req.query, filters);
+    const { error: formatError, format } = exporter.parseFormat(req.query.format);
+    if (error || statusError || formatError) {
+        return res.status(400).json({ error: error || statusError || formatError, code: 'INVALID_QUERY' });
+    }
+
+    delete filters.limit;
+    exporter.sendExport(res, 'sessions', format, sessions.listSessions(filters), timeZone);
+});
+
+/**
+ * GET /api/sessions/presence
+ * Each person's current state ("inside" or "outside") and since when.
+ * Query: state (inside|outside), door
+ */
+sessionRouter.get('/presence', (req, res) => {
+    const state = req.query.state;
+    if (state && state !== 'inside' && state !== 'outside') {
+        return res.status(400).json({ error: 'state must be "inside" or "outside"', code: 'INVALID_QUERY' });
+    }
+    const list = sessions.listPresence({ state: state, door: req.query.door });
+    res.json({ success: true, count: list.length, data: list });
+});
+
+/**
+ * GET /api/sessions/:id
+ */
+sessionRouter.get('/:id', (req, res) => {
+    const session = sessions.getSession(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found', code: 'SESSION_UNKNOWN' });
+    }
+    res.json({ success: true, session: session });
+});
+
+/**
+ * GET /api/anomalies
+ * Scans that did not fit the in/out state machine, newest first.
+ * Query: user, name, door, type (DOUBLE_IN|OUT_WITHOUT_IN|SHORT_SESSION), from, to, limit
+ */
+anomalyRouter.get('/', (req, res) => {
+    const { error, filters } = parseFilters(req.query);
+    if (error) {
+        return res.status(400).json({ error: error, code: 'INVALID_QUERY' });
+    }
+    if (req.query.type) {
+        if (!Object.prototype.hasOwnProperty.call(sessions.ANOMALY_TYPES, req.query.type)) {
+            return res.status(400).json({
+                error: `type must be one of: ${Object.keys(sessions.ANOMALY_TYPES).join(', ')}`,
+                code: 'INVALID_QUERY'
+            });
+        }
+        filters.type = req.query.type;
+    }
+
+    const list = sessions.listAnomalies(filters);
+    res.json({ success: true, count: list.length, data: list });
+});
+
+module.exports = {
+    sessionRouter,
+    anomalyRouter
+};
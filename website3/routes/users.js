@@ -0,0 +1,159 @@
+// ===================================
+// User Directory API
+// ===================================
+
+const express = require('express');
+const users = require('../lib/users');
+const privacy = require('../lib/privacy');
+const audit = require('../lib/audit');
+const liveUpdates = require('../lib/liveUpdates');
+const { computeStats } = require('../lib/stats');
+const { requireRole } = require('../lib/auth');
+const { logReference } = require('../lib/encryption');
+
+const router = express.Router();
+
+const ERROR_STATUS = {
+    USER_EXISTS: 409,
+    SLOT_TAKEN: 409
+};
+
+function sendUserError(res, error) {
+    return res.status(ERROR_STATUS[error.code] || 400).json({ error: error.message, code: error.code });
+}
+
+/**
+ * GET /api/users
+ * Lists people in the directory. Query: department, group
+ */
+router.get('/', (req, res) => {
+    const list = users.listUsers({ department: req.query.department, group: req.query.group });
+    res.json({ success: true, count: list.length, data: list });
+});
+
+/**
+ * GET /api/users/:id
+ */
+router.get('/:id', (req, res) => {
+    const user = users.getUser(req.params.id);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found', code: 'USER_UNKNOWN' });
+    }
+    res.json({ success: true, user: user });
+});
+
+/**
+ * POST /api/users
+ * Body: { id?, displayName, department?, groups?: ["cleaning"], fingerprintSlots?: [3, 4], enabled? }
+ */
+router.post('/', requireRole('operator'), (req, res) => {
+    try {
+        const user = users.createUser(req.body || {});
+        console.log(`[${new Date().toISOString()}] User created: ${logReference(user.id)}`);
+        audit.recordAction(req, 'user.create', { targetId: user.id, before: null, after: user });
+        res.status(201).json({ success: true, user: user });
+    } catch (error) {
+        if (error.code) return sendUserError(res, error);
+        throw error;
+    }
+});
+
+/**
+ * PATCH /api/users/:id
+ * Body: any of { displayName, department, groups, fingerprintSlots, enabled }
+ * A disabled user's scans are denied (reason USER_DISABLED).
+ */
+router.patch('/:id', requireRole('operator'), (req, res) => {
+    try {
+        const before = users.getUser(req.params.id);
+        const user = users.updateUser(req.params.id, req.body || {});
+        if (!user) {
+            return res.status(404).json({ error: 'User not found', code: 'USER_UNKNOWN' });
+        }
+        audit.recordAction(req, 'user.update', { targetId: user.id, before: before, after: user });
+        res.json({ success: true, user: user });
+    } catch (error) {
+        if (error.code) return sendUserError(res, error);
+        throw error;
+    }
+});
+
+/**
+ * DELETE /api/users/:id
+ * Removes the person and frees their slots; past events keep their userId
+ */
+router.delete('/:id', requireRole('admin'), (req, res) => {
+    const before = users.getUser(req.params.id);
+    if (!users.removeUser(req.params.id)) {
+        return res.status(404).json({ error: 'User not found', code: 'USER_UNKNOWN' });
+    }
+    console.log(`[${new Date().toISOString()}] User removed: ${logReference(req.params.id)}`);
+    audit.recordAction(req, 'user.remove', { targetId: req.params.id, before: before, after: null });
+    res.json({ success: true, message: `User ${req.params.id} removed` });
+});
+
+/**
+ * GET /api/users/:id/export
+ * Downloads everything stored about the person as JSON (a data access request):
+ * directory record, scans, sessions, anomalies, security feed entries,
+ * enrollments, access schedules, webhook deliveries and audit log entries
+ */
+router.get('/:id/export', requireRole('admin'), (req, res) => {
+    const data = privacy.exportUser(req.params.id);
+    if (!data) {
+        return res.status(404).json({ error: 'Nothing is stored for this user', code: 'USER_UNKNOWN' });
+    }
+    console.log(`[${new Date().toISOString()}] ${logReference(req.user.id)} exported the data of user ${logReference(req.params.id)}`);
+    audit.recordAction(req, 'user.export', {
+        targetId: req.params.id,
+        details: { events: data.events.length, securityEvents: data.securityEvents.length }
+    });
+    res.set('Content-Disposition', `attachment; filename="user-${req.params.id}-export.json"`);
+    res.json(data);
+});
+
+/**
+ * POST /api/users/:id/erase
+ * Erases the person ("erase me"). Body: { confirm: "<user id>", mode?: "delete"|"pseudonymise" }
+ * "delete" removes their scans and security entries; "pseudonymise" keeps them
+ * under a random id with the name blanked. Either way the directory record,
+ * enrollments and schedule memberships go, the audit log is redacted, and
+ * delete_template commands are queued on every enabled device.
+ */
+router.post('/:id/erase', requireRole('admin'), (req, res) => {
+    const body = req.body || {};
+    if (body.confirm !== req.params.id) {
+        return res.status(400).json({
+            error: `Erasure not confirmed. Repeat the request with confirm set to the user id ("${req.params.id}")`,
+            code: 'NOT_CONFIRMED'
+        });
+    }
+
+    try {
+        const result = privacy.eraseUser(req.params.id, { mode: body.mode }, req.user.id);
+        if (!result) {
+            return res.status(404).json({ error: 'Nothing is stored for this user', code: 'USER_UNKNOWN' });
+        }
+        // Neither the log line nor the audit entry may name the person they erase
+        const { userId, fingerprintSlots, deleteCommands, ...counts } = result;
+        console.log(`[${new Date().toISOString()}] ${logReference(req.user.id)} erased a user (${result.mode}, ${result.events} events)`);
+        audit.recordAction(req, 'user.erase', {
+            targetId: result.pseudonym || audit.ERASED,
+            details: {
+                ...counts,
+                fingerprintSlots: fingerprintSlots.length,
+                deleteCommands: deleteCommands.map(command => command.id)
+            }
+        });
+
+        result.deleteCommands.forEach(command => liveUpdates.publish('command', command));
+        liveUpdates.publish('reset', {});
+        liveUpdates.publish('stats', computeStats());
+        res.json({ success: true, erasure: result });
+    } catch (error) {
+        if (error.code) return sendUserError(res, error);
+        throw error;
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+// ===================================
+// Webhook Subscriptions & Delivery Log API
+// ===================================
+
+const express = require('express');
+const webhooks = require('../lib/webhooks');
+const audit = require('../lib/audit');
+const { requireRole } = require('../lib/auth');
+const { logReference } = require('../lib/encryption');
+
+const router = express.Router();
+
+const ERROR_STATUS = {
+    WEBHOOK_UNKNOWN: 404,
+    DELIVERY_UNKNOWN: 404
+};
+
+function sendWebhookError(res, error) {
+    return res.status(ERROR_STATUS[error.code] || 400).json({ error: error.message, code: error.code });
+}
+
+function webhookNotFound(res) {
+    return res.status(404).json({ error: 'Webhook not found', code: 'WEBHOOK_UNKNOWN' });
+}
+
+router.use(requireRole('admin'));
+
+/**
+ * GET /api/webhooks
+ * Subscriptions (secrets are never returned here) and the event types on offer
+ */
+router.get('/', (req, res) => {
+    const list = webhooks.listWebhooks();
+    res.json({ success: true, eventTypes: webhooks.EVENT_TYPES, count: list.length, data: list });
+});
+
+/**
+ * GET /api/webhooks/deliveries
+ * Delivery log, newest first. Query: webhook, status (pending|delivered|failed|cancelled),
+ * event, limit (max 500)
+ */
+router.get('/deliveries', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const list = webhooks.listDeliveries({
+        webhookId: req.query.webhook ? String(req.query.webhook) : undefined,
+        status: req.query.status ? String(req.query.status) : undefined,
+        event: req.query.event ? String(req.query.event) : undefined,
+        limit: limit
+    });
+    res.json({ success: true, count: list.length, data: list });
+});
+
+/**
+ * GET /api/webhooks/deliveries/:id
+ * One delivery with its payload and every attempt
+ */
+router.get('/deliveries/:id', (req, res) => {
+    const delivery = webhooks.getDelivery(req.params.id);
+    if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found', code: 'DELIVERY_UNKNOWN' });
+    }
+    res.json({ success: true, delivery: delivery });
+});
+
+/**
+ * POST /api/webhooks/deliveries/:id/retry
+ * Sends a delivery again now, e.g. after fixing the receiver
+ */
+router.post('/deliveries/:id/retry', (req, res) => {
+    try {
+        const delivery = webhooks.redeliver(req.params.id);
+        console.log(`[${new Date().toISOString()}] ${logReference(req.user.id)} retried webhook delivery ${delivery.id}`);
+        audit.recordAction(req, 'webhook.redeliver', {
+            targetType: 'webhook-delivery',
+            targetId: delivery.id,
+            details: { webhookId: delivery.webhookId, event: delivery.event }
+        });
+        res.json({ success: true, delivery: delivery });
+    } catch (error) {
+        if (error.code) return sendWebhookError(res, error);
+        throw error;
+    }
+});
+
+/**
+ * GET /api/webhooks/:id
+ */
+router.get('/:id', (req, res) => {
+    const webhook = webhooks.getWebhook(req.params.id);
+    if (!webhook) return webhookNotFound(res);
+    res.json({ success: true, webhook: webhook });
+});
+
+/**
+ * POST /api/webhooks
+ * Body: { url: "http://chatbot.local/hooks/office", events: ["sign-in", "sign-out"],
+ *         secret?: "...", description?: "Chat bot" }
+ * A secret is generated when none is given. It is only returned in this
+ * response and on rotation.
+ */
+router.post('/', (req, res) => {
+    try {
+        const { url, events, secret, description } = req.body || {};
+        const result = webhooks.createWebhook({ url, events, secret, description }, req.user.id);
+        console.log(`[${new Date().toISOString()}] ${logReference(req.user.id)} added webhook ${result.webhook.id} (${result.webhook.events.join(', ')})`);
+        audit.recordAction(req, 'webhook.create', { targetId: result.webhook.id, before: null, after: result.webhook });
+        res.status(201).json({ success: true, ...result });
+    } catch (error) {
+        if (error.code) return sendWebhookError(res, error);
+        throw error;
+    }
+});
+
+/**
+ * PATCH /api/webhooks/:id
+ * Body: { url?, events?, description?, enabled? }
+ * Pending deliveries of a disabled webhook are cancelled.
+ */
+router.patch('/:id', (req, res) => {
+    try {
+        const before = webhooks.getWebhook(req.params.id);
+        const webhook = webhooks.updateWebhook(req.params.id, req.body || {});
+        if (!webhook) return webhookNotFound(res);
+        audit.recordAction(req, 'webhook.update', { targetId: webhook.id, before: before, after: webhook });
+        res.json({ success: true, webhook: webhook });
+    } catch (error) {
+        if (error.code) return sendWebhookError(res, error);
+        throw error;
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Body (optional): { secret } to set a specific secret; otherwise one is generated
+ */
+router.post('/:id/rotate-secret', (req, res) => {
+    try {
+        const result = webhooks.rotateSecret(req.params.id, (req.body || {}).secret);
+        if (!result) return webhookNotFound(res);
+        console.log(`[${new Date().toISOString()}] ${logReference(req.user.id)} rotated the secret of webhook ${req.params.id}`);
+        audit.recordAction(req, 'webhook.rotate-secret', { targetId: req.params.id });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (error.code) return sendWebhookError(res, error);
+        throw error;
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Queues a signed "ping" delivery, whatever event types the webhook has
+ */
+router.post('/:id/test', (req, res) => {
+    const delivery = webhooks.sendTest(req.params.id);
+    if (!delivery) return webhookNotFound(res);
+    res.status(202).json({ success: true, delivery: delivery });
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Removes a subscription; its pending deliveries are cancelled
+ */
+router.delete('/:id', (req, res) => {
+    const before = webhooks.getWebhook(req.params.id);
+    if (!webhooks.removeWebhook(req.params.id)) return webhookNotFound(res);
+    console.log(`[${new Date().toISOString()}] ${logReference(req.user.id)} removed webhook ${req.params.id}`);
+    audit.recordAction(req, 'webhook.remove', { targetId: req.params.id, before: before, after: null });
+    res.json({ success: true, message: `Webhook ${req.params.id} removed` });
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+// ===================================
+// Local Webhook Receiver
+// Prints incoming webhook deliveries and checks their signatures
+// ===================================
+//
+// Usage:
+//   WEBHOOK_SECRET=<secret> node scripts/webhook-receiver.js
+//
+// Then add a webhook for http://localhost:4000/ in the dashboard (or via
+// POST /api/webhooks) and send a test delivery.
+//   RECEIVER_PORT  - port to listen on (default 4000)
+//   WEBHOOK_SECRET - the webhook's secret; without it signatures are not checked
+//   FAIL_STATUS    - answer every delivery with this status, e.g. 500, to watch retries
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.RECEIVER_PORT, 10) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET || null;
+const FAIL_STATUS = parseInt(process.env.FAIL_STATUS, 10) || null;
+
+// Deliveries signed longer ago than this are treated as replays
+const TOLERANCE_SECONDS = 300;
+
+function verify(req, body) {
+    if (!SECRET) return 'not checked (set WEBHOOK_SECRET)';
+
+    const timestamp = req.headers['x-webhook-timestamp'];
+    const signature = req.headers['x-webhook-signature'] || '';
+    if (!timestamp || Math.abs(Date.now() / 1000 - Number(timestamp)) > TOLERANCE_SECONDS) {
+        return 'INVALID (timestamp missing or too old)';
+    }
+
+    const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+    const valid = signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    return valid ? 'valid' : 'INVALID (does not match)';
+}
+
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
+        console.log(`  Event:     ${req.headers['x-webhook-event']}`);
+        console.log(`  Delivery:  ${req.headers['x-webhook-id']}`);
+        console.log(`  Signature: ${verify(req, body)}`);
+        try {
+            console.log(JSON.stringify(JSON.parse(body), null, 2));
+        } catch (error) {
+            console.log(body);
+        }
+
+        const status = FAIL_STATUS || 200;
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ received: status < 300 }));
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Webhook receiver listening on http://localhost:${PORT}/`);
+    if (FAIL_STATUS) console.log(`Answering every delivery with HTTP ${FAIL_STATUS}`);
+});
@@ -7,19 +7,146 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 
+// Settings are validated before anything else loads; report problems plainly
+let config;
+try {
+    config = require('./lib/config');
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+const eventStore = require('./lib/eventStore');
+const { computeStats } = require('./lib/stats');
+const { ingestScan } = require('./lib/ingest');
+const { parseHistoryQuery } = require('./lib/historyQuery');
+const exporter = require('./lib/exporter');
+const calendar = require('./lib/calendar');
+const devices = require('./lib/devices');
+const deviceHealth = require('./lib/deviceHealth');
+const sessions = require('./lib/sessions');
+const liveUpdates = require('./lib/liveUpdates');
+const webhooks = require('./lib/webhooks');
+const access = require('./lib/access');
+const audit = require('./lib/audit');
+const { captureRawBody, requireDeviceSignature } = require('./lib/deviceAuth');
+const { authenticate, requireRole } = require('./lib/auth');
+const { limitByIp } = require('./lib/rateLimit');
+const { logReference } = require('./lib/encryption');
+const deviceRoutes = require('./routes/devices');
+const userRoutes = require('./routes/users');
+const enrollmentRoutes = require('./routes/enrollments');
+const commandRoutes = require('./routes/commands');
+const sessionRoutes = require('./routes/sessions');
+const reportRoutes = require('./routes/reports');
+const securityRoutes = require('./routes/security');
+const importRoutes = require('./routes/imports');
+const webhookRoutes = require('./routes/webhooks');
+const accessRoutes = require('./routes/access');
+const auditRoutes = require('./routes/audit');
+const retentionRoutes = require('./routes/retention');
+const { sessionRouter, accountRouter } = require('./routes/auth');
+
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
+
+// Largest JSON body accepted outside imports (a full offline batch fits easily)
+const MAX_BODY_SIZE = config.server.maxBodySize;
+
+// Behind a reverse proxy, client IPs (for rate limits and the audit log)
+// come from X-Forwarded-For; set TRUST_PROXY to the number of proxies
+if (config.server.trustProxy !== false) {
+    app.set('trust proxy', config.server.trustProxy);
+}
+
+// The dashboard is served from this origin and devices are not browsers, so
+// cross-origin access is only granted to the origins in CORS_ORIGINS
+const CORS_ORIGINS = config.server.corsOrigins;
 
 // Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static('public')); // Serve static files from 'public' folder
+app.use(limitByIp); // Before parsing, so a flood costs as little as possible
+if (CORS_ORIGINS.length > 0) {
+    app.use(cors(CORS_ORIGINS.includes('*') ? {} : { origin: CORS_ORIGINS, credentials: true }));
+}
+app.use(express.json({
+    limit: MAX_BODY_SIZE,
+    verify: captureRawBody, // Raw body is kept for device signatures
+    // Imports are whole files; routes/imports.js parses them with a larger limit
+    type: req => req.is('application/json') && !req.path.startsWith('/api/imports')
+}));
+app.use(authenticate); // Sets req.user from the session cookie or admin token
+
+// Login/logout are public; every /api/* route needs at least the viewer role
+// (except the device-signed access check below)
+app.use('/auth', sessionRouter);
+app.post('/api/access/check', requireDeviceSignature, handleAccessCheck);
+app.use('/api', requireRole('viewer'));
 
 // ===================================
-// In-Memory Data Store
+// Data Store
 // ===================================
-let latestData = [];
-const MAX_HISTORY = 100; // Keep last 100 entries
+// Events are persisted by lib/eventStore
+const PURGE_CONFIRMATION = 'PURGE';
+
+// Largest backlog a Pi may flush in one request
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * Announces a newly denied scan on the security feed and to webhooks
+ * @param {object} [options] - { backfilled? } for scans from an offline backlog
+ */
+function announceDenial(event, options = {}) {
+    console.log(`[${new Date().toISOString()}] Denied scan: ${event.reason} (${event.door || event.deviceId})`);
+    liveUpdates.publish('security', event);
+    webhooks.dispatch('denied', event, options);
+}
+
+/**
+ * POST /api/access/check
+ * Asked by a Raspberry Pi after the R503 matched a finger, before it unlocks.
+ * Body: { fingerprintId: 3, score?: 87, eventId?: "..." }
+ * Answers { decision: "allow"|"deny", allowed, reason, scheduleId, userId, name }.
+ * The decision is made at server time and logged on the security feed; a
+ * retried eventId gets the first answer again. Denials here need not be
+ * reported again through /fingerprint-data.
+ * Requests must be signed by a registered device (see lib/deviceAuth.js)
+ */
+function handleAccessCheck(req, res) {
+    try {
+        const result = access.checkAccess(req.body, req.device);
+        if (result.error) {
+            return res.status(400).json({ error: result.error, code: result.code });
+        }
+
+        const event = result.event;
+        if (!result.duplicate) {
+            if (result.allowed) {
+                console.log(`[${new Date().toISOString()}] Access granted: ${result.reason} (${event.door || event.deviceId})`);
+            } else {
+                announceDenial(event);
+                liveUpdates.publish('stats', computeStats());
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            decision: result.allowed ? 'allow' : 'deny',
+            allowed: result.allowed,
+            reason: result.reason,
+            scheduleId: result.scheduleId,
+            userId: event.userId,
+            name: event.name,
+            duplicate: result.duplicate,
+            event: event
+        });
+    } catch (error) {
+        console.error('Error checking access:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+}
 
 // ===================================
 // API Endpoints
@@ -28,56 +155,71 @@ const MAX_HISTORY = 100; // Keep last 100 entries
 /**
  * POST /fingerprint-data
  * Receives fingerprint data from Raspberry Pi
- * Expected format: { name: "Alice", action: "in"|"out", timestamp: 1710000000 }
+ * Expected format: { fingerprintId: 3, action: "in"|"out", timestamp: 1710000000, eventId?: "..." }
+ * `name` may be sent instead of (or as a fallback to) fingerprintId.
+ * Devices in toggle mode may leave out `action`; the response's `action`
+ * tells the Pi what the server decided (e.g. for the LED colour).
+ * Failed matches are sent as { action: "denied", reason: "NO_MATCH", score?, timestamp }.
+ * The server also denies unassigned slots, disabled users and low scores;
+ * denied scans answer `"denied": true` with the reason.
+ * Requests must be signed by a registered device (see lib/deviceAuth.js)
  */
-app.post('/fingerprint-data', (req, res) => {
+app.post('/fingerprint-data', requireDeviceSignature, (req, res) => {
     try {
-        const data = req.body;
+        const result = ingestScan(req.body, req.device);
+        if (result.error) {
+            return res.status(400).json({ error: result.error, code: result.code });
+        }
         
-        // Validate incoming data
-        if (!data.name || !data.action || !data.timestamp) {
-            return res.status(400).json({ 
-                error: 'Invalid data format. Required: name, action, timestamp' 
+        if (result.denied) {
+            if (!result.duplicate) {
+                announceDenial(result.event);
+                liveUpdates.publish('stats', computeStats());
+            }
+            return res.status(200).json({
+                success: true,
+                denied: true,
+                duplicate: result.duplicate,
+                reason: result.event.reason,
+                action: 'denied',
+                event: result.event
             });
         }
         
-        if (!['in', 'out'].includes(data.action)) {
-            return res.status(400).json({ 
-                error: 'Invalid action. Must be "in" or "out"' 
+        if (result.duplicate) {
+            return res.status(200).json({
+                success: true,
+                duplicate: true,
+                message: 'Already received',
+                action: result.entry.action,
+                entry: result.entry
             });
         }
         
-        // Normalize timestamp (convert to milliseconds if needed)
-        let timestamp = data.timestamp;
-        if (typeof timestamp === 'number' && timestamp < 10000000000) {
-            // Likely in seconds, convert to milliseconds
-            timestamp = timestamp * 1000;
-        } else if (typeof timestamp === 'string') {
-            // ISO string
-            timestamp = new Date(timestamp).getTime();
+        if (result.ignored) {
+            return res.status(200).json({
+                success: true,
+                ignored: true,
+                reason: result.reason,
+                message: 'Repeat scan within the device cooldown; nothing recorded',
+                action: result.action
+            });
         }
         
-        // Create standardized entry
-        const entry = {
-            name: data.name,
-            action: data.action,
-            timestamp: timestamp,
-            receivedAt: Date.now()
-        };
-        
-        // Add to data store
-        latestData.unshift(entry); // Add to beginning
+        const entry = result.entry;
+        const flags = entry.anomalies.length ? ` [${entry.anomalies.join(', ')}]` : '';
+        console.log(`[${new Date().toISOString()}] New entry: ${entry.id} - ${entry.action}${entry.userId ? '' : ' (unregistered)'} (${entry.door || entry.deviceId})${flags}`);
         
-        // Trim to max history
-        if (latestData.length > MAX_HISTORY) {
-            latestData = latestData.slice(0, MAX_HISTORY);
-        }
-        
-        console.log(`[${new Date().toISOString()}] New entry: ${entry.name} - ${entry.action}`);
+        liveUpdates.publish('entry', entry);
+        liveUpdates.publish('presence', result.presence);
+        liveUpdates.publish('stats', computeStats());
+        webhooks.notifyEntry(entry);
         
         res.status(200).json({ 
             success: true, 
             message: 'Data received successfully',
+            action: entry.action,
+            inferred: result.inferred,
             entry: entry
         });
         
@@ -90,18 +232,111 @@ app.post('/fingerprint-data', (req, res) => {
     }
 });
 
+/**
+ * POST /fingerprint-data/batch
+ * Flushes scans a Pi buffered while offline.
+ * Body: { events: [{ eventId: "pi-1-000123", fingerprintId: 3, action: "in", timestamp: 1710000000 }, ...] }
+ * Every item needs a device-generated eventId. Items are stored in order and
+ * answered one by one: "accepted", "duplicate" (already stored earlier),
+ * "denied" (recorded on the security feed), "ignored" (repeat scan within
+ * the device cooldown) or "rejected" (invalid; retrying will not help).
+ */
+app.post('/fingerprint-data/batch', requireDeviceSignature, (req, res) => {
+    try {
+        const items = req.body && req.body.events;
+        if (!Array.isArray(items) || items.length === 0 || items.length > MAX_BATCH_SIZE) {
+            return res.status(400).json({
+                error: `events must be an array of 1-${MAX_BATCH_SIZE} scans`,
+                code: 'INVALID_BATCH'
+            });
+        }
+        
+        const results = items.map((item, index) => {
+            const eventId = item && item.eventId;
+            if (eventId === undefined) {
+                return { index, eventId: null, status: 'rejected', error: 'eventId is required in a batch', code: 'INVALID_EVENT_ID' };
+            }
+            
+            const result = ingestScan(item, req.device);
+            if (result.error) {
+                return { index, eventId, status: 'rejected', error: result.error, code: result.code };
+            }
+            if (result.ignored) {
+                return { index, eventId, status: 'ignored', reason: result.reason, action: result.action };
+            }
+            if (result.denied) {
+                if (!result.duplicate) announceDenial(result.event, { backfilled: true });
+                return {
+                    index,
+                    eventId,
+                    status: result.duplicate ? 'duplicate' : 'denied',
+                    reason: result.event.reason,
+                    securityEventId: result.event.id
+                };
+            }
+            if (!result.duplicate) {
+                liveUpdates.publish('entry', result.entry);
+                liveUpdates.publish('presence', result.presence);
+                webhooks.notifyEntry(result.entry, { backfilled: true });
+            }
+            return {
+                index,
+                eventId,
+                status: result.duplicate ? 'duplicate' : 'accepted',
+                action: result.entry.action,
+                entryId: result.entry.id
+            };
+        });
+        
+        const count = status => results.filter(result => result.status === status).length;
+        const summary = {
+            accepted: count('accepted'),
+            duplicates: count('duplicate'),
+            denied: count('denied'),
+            ignored: count('ignored'),
+            rejected: count('rejected')
+        };
+        
+        console.log(`[${new Date().toISOString()}] Batch from ${req.device.id}: ${summary.accepted} accepted, ${summary.duplicates} duplicate, ${summary.denied} denied, ${summary.ignored} ignored, ${summary.rejected} rejected`);
+        if (summary.accepted > 0 || summary.denied > 0) {
+            liveUpdates.publish('stats', computeStats());
+        }
+        
+        res.status(200).json({ success: true, ...summary, results: results });
+    } catch (error) {
+        console.error('Error processing fingerprint batch:', error);
+        res.status(500).json({ 
+            error: 'Internal server error',
+            message: error.message 
+        });
+    }
+});
+
 /**
  * GET /api/data
- * Retrieves all fingerprint data for the frontend
+ * Retrieves fingerprint data, newest first by default
+ * Query: user, name, action, device, door, from, to, order (asc|desc), limit, cursor
  */
 app.get('/api/data', (req, res) => {
     try {
+        const { error, filters, page } = parseHistoryQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error: error, code: 'INVALID_QUERY' });
+        }
+        
+        const result = eventStore.paginateEvents(filters, page);
+        
         res.json({
             success: true,
-            count: latestData.length,
-            data: latestData
+            count: result.data.length,
+            total: result.total,
+            nextCursor: result.nextCursor,
+            data: result.data
         });
     } catch (error) {
+        if (error.code === 'INVALID_CURSOR') {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
         console.error('Error retrieving data:', error);
         res.status(500).json({ 
             error: 'Internal server error',
@@ -110,6 +345,34 @@ app.get('/api/data', (req, res) => {
     }
 });
 
+/**
+ * GET /api/data/export
+ * Downloads every entry matching the /api/data filters (no pagination)
+ * Query: format (csv|jsonl|xlsx), tz (zone for the times; site time zone by default),
+ * user, name, action, device, door, from, to, order
+ */
+app.get('/api/data/export', (req, res) => {
+    try {
+        const { error, filters } = parseHistoryQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error: error, code: 'INVALID_QUERY' });
+        }
+        const { error: formatError, format } = exporter.parseFormat(req.query.format);
+        const { error: zoneError, timeZone } = calendar.parseTimeZone(req.query.tz);
+        if (formatError || zoneError) {
+            return res.status(400).json({ error: formatError || zoneError, code: 'INVALID_QUERY' });
+        }
+        
+        exporter.sendExport(res, 'events', format, eventStore.queryEvents(filters), timeZone);
+    } catch (error) {
+        console.error('Error exporting data:', error);
+        res.status(500).json({ 
+            error: 'Internal server error',
+            message: error.message 
+        });
+    }
+});
+
 /**
  * GET /api/data/latest
  * Retrieves only the most recent entry
@@ -118,7 +381,7 @@ app.get('/api/data/latest', (req, res) => {
     try {
         res.json({
             success: true,
-            data: latestData[0] || null
+            data: eventStore.getLatestEvent()
         });
     } catch (error) {
         console.error('Error retrieving latest data:', error);
@@ -130,17 +393,38 @@ app.get('/api/data/latest', (req, res) => {
 });
 
 /**
- * DELETE /api/data
- * Clears all data (for testing/reset purposes)
+ * DELETE /api/data?confirm=PURGE
+ * Purges the event history. The current log is archived under data/archive
+ * rather than destroyed, and the request must carry an explicit confirmation
+ * (query parameter or JSON body) so a stray DELETE cannot wipe attendance.
  */
-app.delete('/api/data', (req, res) => {
+app.delete('/api/data', requireRole('admin'), (req, res) => {
     try {
-        const previousCount = latestData.length;
-        latestData = [];
+        const confirmation = req.query.confirm || (req.body && req.body.confirm);
+        if (confirmation !== PURGE_CONFIRMATION) {
+            return res.status(400).json({
+                error: `Purge not confirmed. Repeat the request with confirm=${PURGE_CONFIRMATION}`,
+                entriesStored: eventStore.countEvents()
+            });
+        }
+        
+        const result = eventStore.purgeEvents();
+        sessions.rebuild();
+        console.log(`[${new Date().toISOString()}] ${logReference(req.user.id)} purged ${result.purged} entries (archived to ${result.archive})`);
+        audit.recordAction(req, 'data.purge', {
+            targetType: 'events',
+            before: { entriesStored: result.purged },
+            after: { entriesStored: 0 },
+            details: { archive: result.archive ? path.basename(result.archive) : null }
+        });
+        
+        liveUpdates.publish('reset', {});
+        liveUpdates.publish('stats', computeStats());
         
         res.json({
             success: true,
-            message: `Cleared ${previousCount} entries`
+            message: `Cleared ${result.purged} entries`,
+            archive: result.archive ? path.basename(result.archive) : null
         });
     } catch (error) {
         console.error('Error clearing data:', error);
@@ -153,27 +437,24 @@ app.delete('/api/data', (req, res) => {
 
 /**
  * GET /api/stats
- * Get statistics about the data
+ * Get statistics about the data, with a per-door breakdown
+ * Query: device, door (optional, restrict the counts), tz (zone for "today";
+ * defaults to the device's zone, then the site time zone)
  */
 app.get('/api/stats', (req, res) => {
     try {
-        const now = new Date();
-        const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
-        
-        const todayEntries = latestData.filter(entry => entry.timestamp >= todayStart);
-        const signInsToday = todayEntries.filter(entry => entry.action === 'in').length;
-        const signOutsToday = todayEntries.filter(entry => entry.action === 'out').length;
+        const deviceId = req.query.device ? String(req.query.device) : undefined;
+        const { error, timeZone } = calendar.parseTimeZone(req.query.tz, devices.getTimeZone(deviceId));
+        if (error) {
+            return res.status(400).json({ error: error, code: 'INVALID_QUERY' });
+        }
         
         res.json({
             success: true,
-            stats: {
-                totalEntries: latestData.length,
-                signInsToday: signInsToday,
-                signOutsToday: signOutsToday,
-                entriesLast24h: latestData.filter(entry => 
-                    entry.timestamp >= (Date.now() - 24 * 60 * 60 * 1000)
-                ).length
-            }
+            stats: computeStats({
+                deviceId: deviceId,
+                door: req.query.door ? String(req.query.door) : undefined
+            }, timeZone)
         });
     } catch (error) {
         console.error('Error retrieving stats:', error);
@@ -184,6 +465,113 @@ app.get('/api/stats', (req, res) => {
     }
 });
 
+/**
+ * GET /api/stream
+ * Server-Sent Events: "entry" for each new scan, "presence" when someone's
+ * in/out state changes, "stats" when statistics change and "reset" when the
+ * client must reload everything (see README for the full list). Reconnecting
+ * clients resume via Last-Event-ID (or ?lastEventId=).
+ */
+app.get('/api/stream', liveUpdates.handleStream);
+
+// ===================================
+// Sessions, Anomalies & Reports
+// ===================================
+app.use('/api/sessions', sessionRoutes.sessionRouter);
+app.use('/api/anomalies', sessionRoutes.anomalyRouter);
+app.use('/api/reports', reportRoutes);
+
+// ===================================
+// Security Feed
+// ===================================
+app.use('/api/security', securityRoutes);
+
+// ===================================
+// Access Schedules
+// ===================================
+app.use('/api/access', accessRoutes);
+
+// ===================================
+// Audit Log
+// ===================================
+app.use('/api/audit', auditRoutes);
+
+// ===================================
+// Data Retention
+// ===================================
+app.use('/api/retention', retentionRoutes);
+
+// ===================================
+// Bulk Import
+// ===================================
+app.use('/api/imports', importRoutes);
+
+// ===================================
+// Webhooks
+// ===================================
+app.use('/api/webhooks', webhookRoutes);
+
+// ===================================
+// Device Commands
+// ===================================
+app.use('/api/commands', commandRoutes.commandRouter);
+app.use('/device/commands', commandRoutes.deviceRouter);
+
+// Legacy single bit shared with older Raspberry Pi builds (0 or 1).
+// Deprecated: use the command queue and enrollment workflow instead.
+let piStatus = 0;
+
+/**
+ * GET /pi-status
+ * Polled by older Raspberry Pi builds; public so the device needs no login
+ */
+app.get('/pi-status', (req, res) => {
+    res.json({ status: piStatus });
+});
+
+/**
+ * POST /pi-status
+ * Sets the flag from the dashboard. Body: { status: 0|1 }
+ */
+app.post('/pi-status', requireRole('operator'), (req, res) => {
+    const { status } = req.body || {};
+    if (status === 0 || status === 1) {
+        const before = piStatus;
+        piStatus = status;
+        console.log(`[${new Date().toISOString()}] ${logReference(req.user.id)} set piStatus to ${piStatus}`);
+        audit.recordAction(req, 'pi-status.set', { before: { status: before }, after: { status: piStatus } });
+        return res.json({ ok: true, status: piStatus });
+    }
+    return res.status(400).json({ ok: false, error: 'status must be 0 or 1' });
+});
+
+// ===================================
+// Administration
+// ===================================
+app.use('/api/devices', deviceRoutes.registryRouter);
+app.use('/device', deviceRoutes.deviceRouter);
+app.use('/api/accounts', accountRouter);
+
+// ===================================
+// User Directory & Enrollment
+// ===================================
+app.use('/api/users', userRoutes);
+app.use('/api/enrollments', enrollmentRoutes.enrollmentRouter);
+app.use('/device/enrollments', enrollmentRoutes.deviceRouter);
+
+// ===================================
+// Configuration
+// ===================================
+/**
+ * GET /api/config
+ * The server settings without secrets, so the dashboard can adopt the
+ * server-side defaults. Read-only: settings change in the config file or
+ * environment, followed by a restart.
+ */
+app.get('/api/config', (req, res) => {
+    res.json({ success: true, ...config.toPublic() });
+});
+
 // ===================================
 // Health Check
 // ===================================
@@ -192,17 +580,56 @@ app.get('/health', (req, res) => {
         status: 'healthy',
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
-        entriesStored: latestData.length
+        entriesStored: eventStore.countEvents(),
+        timeZone: calendar.SITE_TIMEZONE,
+        liveClients: liveUpdates.countClients(),
+        devices: deviceHealth.summarize()
     });
 });
 
 // ===================================
 // Serve Frontend
 // ===================================
+// Assets the login page needs before a session exists
+const PUBLIC_ASSETS = ['/login.html', '/style.css', '/script.js'];
+
+/**
+ * Sends visitors without a session to the login page
+ */
+function guardDashboard(req, res, next) {
+    if (req.user || PUBLIC_ASSETS.includes(req.path)) {
+        return next();
+    }
+    if (req.method === 'GET' && req.accepts('html')) {
+        return res.redirect('/login.html');
+    }
+    res.status(401).json({ error: 'Login required', code: 'UNAUTHENTICATED' });
+}
+
+app.use(guardDashboard);
+app.use(express.static(path.join(__dirname, 'public')));
+
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// ===================================
+// Error Handling
+// ===================================
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body is not valid JSON' });
+    }
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: `Request body is larger than ${error.limit} bytes`, code: 'BODY_TOO_LARGE' });
+    }
+    console.error(`Error handling ${req.method} ${req.path}:`, error);
+    res.status(500).json({ 
+        error: 'Internal server error',
+        message: error.message 
+    });
+});
+
 // ===================================
 // Start Server
 // ===================================
@@ -215,10 +642,48 @@ app.listen(PORT, () => {
     console.log(`API Endpoint: http://localhost:${PORT}/fingerprint-data`);
     console.log(`API Docs:`);
     console.log(`  POST   /fingerprint-data  - Receive data from Raspberry Pi`);
-    console.log(`  GET    /api/data          - Get all entries`);
+    console.log(`  POST   /fingerprint-data/batch - Flush scans buffered while offline`);
+    console.log(`  GET    /api/data          - Query entries (filters + pagination)`);
+    console.log(`  GET    /api/data/export   - Download entries (CSV, JSON Lines, XLSX)`);
     console.log(`  GET    /api/data/latest   - Get latest entry`);
-    console.log(`  GET    /api/stats         - Get statistics`);
-    console.log(`  DELETE /api/data          - Clear all data`);
+    console.log(`  GET    /api/stats         - Get statistics (per door)`);
+    console.log(`  GET    /api/stream        - Live updates (Server-Sent Events)`);
+    console.log(`  GET    /api/sessions      - In/out sessions and presence`);
+    console.log(`  GET    /api/anomalies     - Double sign-ins, missing sign-ins, short sessions`);
+    console.log(`  GET    /api/security/denied - Denied scans (no match, low confidence, disabled user...)`);
+    console.log(`  GET    /api/security/floods - Clients that exceeded a rate limit`);
+    console.log(`  POST   /api/access/check  - Pi asks whether a finger may open the door`);
+    console.log(`  *      /api/access/schedules - Access schedules per user or group`);
+    console.log(`  GET    /api/access/decisions - Logged access decisions`);
+    console.log(`  GET    /api/reports/timesheet - Worked hours per person, day and week`);
+    console.log(`  GET    /api/sessions/export, /api/reports/timesheet/export - Download as CSV, JSON Lines, XLSX`);
+    console.log(`  POST   /api/imports       - Import historical entries (CSV, JSON; dryRun=true to preview)`);
+    console.log(`  DELETE /api/imports/:id   - Roll back an import`);
+    console.log(`  *      /api/webhooks      - Outbound webhooks and delivery log (admin)`);
+    console.log(`  DELETE /api/data          - Purge all data (requires confirm=PURGE)`);
+    console.log(`  GET    /api/audit         - Audit log of administrative actions (admin)`);
+    console.log(`  *      /api/retention     - Retention policy; POST /api/retention/run applies it now`);
+    console.log(`  POST   /auth/login        - Dashboard login`);
+    console.log(`  *      /api/commands      - Device command queue`);
+    console.log(`  POST   /device/commands/pending - Pi fetches its commands`);
+    console.log(`  GET    /pi-status         - Legacy Pi status flag (deprecated)`);
+    console.log(`  *      /api/users         - User directory`);
+    console.log(`  GET    /api/users/:id/export - Everything stored about a person (admin)`);
+    console.log(`  POST   /api/users/:id/erase - Erase a person (admin)`);
+    console.log(`  *      /api/enrollments   - Fingerprint enrollment`);
+    console.log(`  POST   /device/enrollments/next - Pi claims an enrollment`);
+    console.log(`  *      /api/devices       - Device registry (admin)`);
+    console.log(`  GET    /api/devices/health - Device status and heartbeats`);
+    console.log(`  POST   /device/heartbeat  - Pi reports uptime, firmware and sensor status`);
+    console.log(`  *      /api/accounts      - Dashboard accounts (admin)`);
+    console.log(`  GET    /api/config        - Server settings, without secrets`);
     console.log(`  GET    /health            - Health check`);
     console.log('===========================================');
+
+    const warnings = config.getWarnings();
+    if (warnings.length > 0) {
+        console.warn('!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!');
+        warnings.forEach(warning => console.warn(`WARNING: ${warning}`));
+        console.warn('!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!');
+    }
 });